@@ -0,0 +1,20 @@
+// Directory middleware: runs before every route in pages/api/admin
+import type { ApiRequest, NextMiddleware } from '../../../src/types/api';
+import { createErrorResponse } from '../../../src/utils/api-helpers';
+
+export default async function middleware(request: ApiRequest, next: NextMiddleware) {
+  const user = request.user;
+  const isAdmin = user?.role === 'admin' || user?.permissions?.includes('admin') || false;
+
+  if (!isAdmin) {
+    return createErrorResponse(
+      'Insufficient permissions',
+      403,
+      'Admin role required to access user management'
+    );
+  }
+
+  const response = await next();
+  response?.headers.set('Cache-Control', 'no-store');
+  return response;
+}
@@ -1,4 +1,5 @@
-// Modern TypeScript admin users endpoint with role-based access
+// Modern TypeScript admin users endpoint
+// Admin access is enforced by ./_middleware.ts
 import type { 
   ApiRequest, 
   User
@@ -73,22 +74,7 @@ const adminUsers: AdminUser[] = [
   },
 ];
 
-// Admin role check helper
-function requireAdminRole(request: ApiRequest): boolean {
-  const user = request.user;
-  return user?.role === 'admin' || user?.permissions?.includes('admin') || false;
-}
-
 export async function GET(request: ApiRequest): Promise<Response> {
-  // Check admin access
-  if (!requireAdminRole(request)) {
-    return createErrorResponse(
-      'Insufficient permissions',
-      403,
-      'Admin role required to access user management'
-    );
-  }
-
   const url = new URL(request.url);
   const { page, limit, offset } = parsePagination(request.url);
   const search = url.searchParams.get('search') || '';
@@ -123,15 +109,6 @@ export async function GET(request: ApiRequest): Promise<Response> {
 }
 
 export async function POST(request: ApiRequest): Promise<Response> {
-  // Check admin access
-  if (!requireAdminRole(request)) {
-    return createErrorResponse(
-      'Insufficient permissions',
-      403,
-      'Admin role required to create users'
-    );
-  }
-
   try {
     const body: CreateUserRequest = await request.json();
     const { name, email, role = 'user', permissions = ['read'] } = body;
@@ -197,15 +174,6 @@ export async function POST(request: ApiRequest): Promise<Response> {
 }
 
 export async function PUT(request: ApiRequest): Promise<Response> {
-  // Check admin access
-  if (!requireAdminRole(request)) {
-    return createErrorResponse(
-      'Insufficient permissions',
-      403,
-      'Admin role required to update users'
-    );
-  }
-
   try {
     const body: UpdateUserRequest & { userId: string | number } = await request.json();
     const { userId, name, email, role, permissions, status } = body;
@@ -283,15 +251,6 @@ export async function PUT(request: ApiRequest): Promise<Response> {
 }
 
 export async function DELETE(request: ApiRequest): Promise<Response> {
-  // Check admin access
-  if (!requireAdminRole(request)) {
-    return createErrorResponse(
-      'Insufficient permissions',
-      403,
-      'Admin role required to delete users'
-    );
-  }
-
   try {
     const body: DeleteUserRequest = await request.json();
     const { userId, reason } = body;
@@ -1,5 +1,5 @@
 // Modern App Router style with dynamic routes
-import type { ApiRequest, ApiSuccessResponse } from '../../../../src/types/api';
+import type { ApiRequest, ApiSuccessResponse, RouteContext } from '../../../../src/types/api';
 
 interface Product {
   id: string;
@@ -8,10 +8,11 @@ interface Product {
   description: string;
 }
 
-export async function GET(request: ApiRequest): Promise<Response> {
-  const url = new URL(request.url);
-  const pathParts = url.pathname.split('/');
-  const id = pathParts[pathParts.length - 1];
+export async function GET(
+  request: ApiRequest,
+  { params }: RouteContext<{ id: string }>
+): Promise<Response> {
+  const { id } = params;
   
   const response: ApiSuccessResponse<{ product: Product }> = {
     success: true,
@@ -31,10 +32,11 @@ export async function GET(request: ApiRequest): Promise<Response> {
   });
 }
 
-export async function PUT(request: ApiRequest): Promise<Response> {
-  const url = new URL(request.url);
-  const pathParts = url.pathname.split('/');
-  const id = pathParts[pathParts.length - 1];
+export async function PUT(
+  request: ApiRequest,
+  { params }: RouteContext<{ id: string }>
+): Promise<Response> {
+  const { id } = params;
   
   const body = await request.json();
   
@@ -55,10 +57,11 @@ export async function PUT(request: ApiRequest): Promise<Response> {
   });
 }
 
-export async function DELETE(request: ApiRequest): Promise<Response> {
-  const url = new URL(request.url);
-  const pathParts = url.pathname.split('/');
-  const id = pathParts[pathParts.length - 1];
+export async function DELETE(
+  request: ApiRequest,
+  { params }: RouteContext<{ id: string }>
+): Promise<Response> {
+  const { id } = params;
   
   const response: ApiSuccessResponse<{ message: string }> = {
     success: true,
@@ -1,12 +1,13 @@
 // TypeScript example: Dynamic API route with type safety
-import type { ApiRequest, User, ApiSuccessResponse, ApiErrorResponse } from '../../../src/types/api';
+import type { ApiRequest, User, ApiSuccessResponse, ApiErrorResponse, RouteContext } from '../../../src/types/api';
 
 interface UserResponse extends ApiSuccessResponse<User> {}
 
-export async function GET(request: ApiRequest): Promise<Response> {
-  const url = new URL(request.url);
-  const pathParts = url.pathname.split('/');
-  const id = pathParts[pathParts.length - 1]; // Extract [id] from URL
+export async function GET(
+  request: ApiRequest,
+  { params }: RouteContext<{ id: string }>
+): Promise<Response> {
+  const { id } = params; // [id] from the file name
   
   // Validate ID
   if (!id || isNaN(Number(id))) {
@@ -45,9 +46,11 @@ interface UpdateUserRequest {
   role?: string;
 }
 
-export async function PUT(request: ApiRequest): Promise<Response> {
-  const url = new URL(request.url);
-  const id = url.pathname.split('/').pop();
+export async function PUT(
+  request: ApiRequest,
+  { params }: RouteContext<{ id: string }>
+): Promise<Response> {
+  const { id } = params;
   
   if (!id || isNaN(Number(id))) {
     const errorResponse: ApiErrorResponse = {
@@ -106,9 +109,11 @@ export async function PUT(request: ApiRequest): Promise<Response> {
   }
 }
 
-export async function DELETE(request: ApiRequest): Promise<Response> {
-  const url = new URL(request.url);
-  const id = url.pathname.split('/').pop();
+export async function DELETE(
+  request: ApiRequest,
+  { params }: RouteContext<{ id: string }>
+): Promise<Response> {
+  const { id } = params;
   
   if (!id || isNaN(Number(id))) {
     const errorResponse: ApiErrorResponse = {
@@ -1,5 +1,6 @@
-// Modern input validation and sanitization example
-import type { ApiRequest, ApiErrorResponse, ApiSuccessResponse } from '../../src/types/api';
+// Modern input validation example: the plugin checks requests against `schema`
+// and answers with 400 { error: 'Validation failed', errors: ValidationError[] }
+import type { ApiRequest, ApiSuccessResponse, RouteSchemaExport } from '../../src/types/api';
 
 interface ValidationData {
   email: string;
@@ -7,6 +8,24 @@ interface ValidationData {
   username: string;
 }
 
+export const schema: RouteSchemaExport = {
+  POST: {
+    body: {
+      type: 'object',
+      required: ['email', 'age', 'username'],
+      properties: {
+        email: { type: 'string', format: 'email' },
+        age: { type: 'integer', minimum: 0, maximum: 150 },
+        username: { type: 'string', pattern: '^[a-zA-Z0-9_]{3,20}$' },
+      },
+    },
+    response: {
+      type: 'object',
+      required: ['success', 'data'],
+    },
+  },
+};
+
 interface ValidationRules {
   email: string;
   age: string;
@@ -14,57 +33,14 @@ interface ValidationRules {
 }
 
 export async function POST(request: ApiRequest): Promise<Response> {
-  const body = await request.json();
-  const { email, age, username } = body;
-
-  // Validate email
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!email || !emailRegex.test(email)) {
-    const response: ApiErrorResponse = {
-      success: false,
-      error: 'Invalid email format',
-      field: 'email',
-    };
-    return new Response(JSON.stringify(response), {
-      status: 400,
-      headers: { 'Content-Type': 'application/json' },
-    });
-  }
-
-  // Validate age
-  const ageNum = parseInt(age, 10);
-  if (isNaN(ageNum) || ageNum < 0 || ageNum > 150) {
-    const response: ApiErrorResponse = {
-      success: false,
-      error: 'Age must be between 0 and 150',
-      field: 'age',
-    };
-    return new Response(JSON.stringify(response), {
-      status: 400,
-      headers: { 'Content-Type': 'application/json' },
-    });
-  }
-
-  // Validate username
-  const usernameRegex = /^[a-zA-Z0-9_]{3,20}$/;
-  if (!username || !usernameRegex.test(username)) {
-    const response: ApiErrorResponse = {
-      success: false,
-      error: 'Username must be 3-20 characters (letters, numbers, underscore only)',
-      field: 'username',
-    };
-    return new Response(JSON.stringify(response), {
-      status: 400,
-      headers: { 'Content-Type': 'application/json' },
-    });
-  }
+  // Body already matches schema.POST.body; invalid requests never reach here
+  const { email, age, username }: ValidationData = await request.json();
 
-  // All validations passed
   const response: ApiSuccessResponse<ValidationData> = {
     success: true,
     data: {
       email,
-      age: ageNum,
+      age,
       username,
     },
   };
@@ -133,7 +133,26 @@ export interface ViteApiRoutesOptions {
   rateLimit?: {
     windowMs?: number;
     max?: number;
+    algorithm?: 'sliding-window' | 'token-bucket';
+    burst?: number;
+    key?: 'ip' | 'user' | 'apiKey' | ((req: any, context: { ip: string }) => string | null);
+    type?: 'memory' | 'redis';
+    redis?: any;
+    keyPrefix?: string;
+    store?: { consume(key: string, rule: any): Promise<any> };
+    rules?: Array<{
+      name?: string;
+      path: string | RegExp;
+      methods?: string[];
+      windowMs?: number;
+      max?: number;
+      algorithm?: 'sliding-window' | 'token-bucket';
+      burst?: number;
+      key?: 'ip' | 'user' | 'apiKey' | ((req: any, context: { ip: string }) => string | null);
+      plans?: Record<string, { windowMs?: number; max?: number; burst?: number }>;
+    }>;
   };
+  trustProxy?: boolean | number | string | string[];
   security?: {
     enableCsrf?: boolean;
     enableHelmet?: boolean;
@@ -154,6 +173,33 @@ export interface ViteApiRoutesOptions {
   };
   auth?: Function;
   encryption?: any;
+  serverBuild?: {
+    enabled?: boolean;
+    outDir?: string;
+  };
+  validation?: {
+    responses?: boolean;
+  };
+  uploads?: {
+    maxFileSize?: number;
+    maxFiles?: number;
+    maxFieldSize?: number;
+    maxFields?: number;
+    maxTotalSize?: number;
+    tmpDir?: string;
+  };
+  websocket?: {
+    maxPayload?: number;
+    heartbeat?: number;
+  };
+  sanitize?: false | {
+    sanitizer?: 'reject' | 'escape' | 'strip' | 'none' | ((value: string, field: string) => string);
+    allow?: string[];
+    maxKeyLength?: number;
+    maxStringLength?: number | null;
+  };
+  parsers?: Record<string, ((body: Buffer, info: { type: string; charset: string }) => any) | false>;
+  serializers?: Record<string, ((data: any) => string | Buffer) | false>;
 }
 
 export interface ViteApiRoutesPlugin {
@@ -164,6 +210,11 @@ export interface ViteApiRoutesPlugin {
 declare const viteApiRoutes: ViteApiRoutesPlugin;
 export default viteApiRoutes;
 
+// Server-sent events helper
+export declare function createEventStream(
+  options?: import('./types/api').EventStreamOptions
+): import('./types/api').EventStream;
+
 // Re-export utilities for convenience
 export * from './utils/api-helpers';
 export * from './utils/encryption';
@@ -201,6 +252,15 @@ if (fs.existsSync('src/hmr')) {
   fs.cpSync('src/hmr', path.join(distDir, 'hmr'), { recursive: true });
 }
 
+// Copy server runtime (production build + standalone server)
+if (fs.existsSync('src/server')) {
+  console.log('🚀 Copying server runtime...');
+  fs.cpSync('src/server', path.join(distDir, 'server'), {
+    recursive: true,
+    filter: (src) => !src.includes('__tests__'),
+  });
+}
+
 // Copy essential files and documentation
 console.log('📄 Copying documentation...');
 const filesToCopy = [
@@ -215,6 +275,7 @@ const filesToCopy = [
   'COMPRESSION-GUIDE.md',
   'COOKIES-GUIDE.md',
   'DEPENDENCIES-GUIDE.md',
+  'DEPLOYMENT-GUIDE.md',
   'ENCRYPTION-GUIDE.md',
   'ENV-GUIDE.md',
   'HMR-GUIDE.md',
@@ -282,6 +343,10 @@ packageJson.exports = {
   "./package.json": "./package.json"
 };
 
+// `moduleResolution: node` ignores exports; this resolves the migrated
+// `vite-api-routes-plugin/types` imports there too
+packageJson.typesVersions = { '*': { types: ['./types/api.d.ts'] } };
+
 // Add keywords for better discoverability
 packageJson.keywords = [
   ...(packageJson.keywords || []),
@@ -358,6 +423,11 @@ console.log('│   ├── client-hmr.js');
 console.log('│   ├── dependency-tracker.js');
 console.log('│   ├── hot-reload-manager.js');
 console.log('│   └── state-manager.js');
+console.log('├── server/               # Production runtime');
+console.log('│   ├── api-middleware.js');
+console.log('│   ├── build.js');
+console.log('│   ├── production-server.js');
+console.log('│   └── routes.js');
 console.log('├── utils/                # Utilities');
 console.log('│   ├── api-helpers.js');
 console.log('│   └── encryption.js');
@@ -2,11 +2,15 @@ import { Command } from 'commander';
 import { readdirSync, statSync, readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join, extname, relative } from 'path';
 import chalk from 'chalk';
+import { filePathToRoute, getRouteParams, MIDDLEWARE_FILE_PATTERN } from '../../server/routes.js';
+import { generateOpenApiDocument } from '../../server/openapi.js';
 
 export const docsCommand = new Command('docs')
   .description('Generate API documentation')
   .option('-o, --output <directory>', 'Output directory', 'docs')
-  .option('-f, --format <format>', 'Output format (markdown, html, json)', 'markdown')
+  .option('-f, --format <format>', 'Output format (markdown, html, json, openapi)', 'markdown')
+  .option('--auth <type>', 'Auth type for OpenAPI security schemes (jwt, apikey, session)')
+  .option('--public-routes <routes>', 'Comma-separated routes that skip auth', value => value.split(','))
   .option('--include-examples', 'Include code examples', true)
   .option('--include-tests', 'Include test examples', false)
   .action(async (options) => {
@@ -31,8 +35,10 @@ class DocsGenerator {
   }
 
   async generate() {
-    // Scan for API routes
-    await this.scanRoutes('pages/api');
+    // Scan for API routes (the OpenAPI format reads them itself)
+    if (this.options.format !== 'openapi') {
+      await this.scanRoutes('pages/api');
+    }
     
     // Create output directory
     if (!existsSync(this.options.output)) {
@@ -50,6 +56,9 @@ class DocsGenerator {
       case 'json':
         await this.generateJSON();
         break;
+      case 'openapi':
+        await this.generateOpenAPI();
+        break;
       default:
         throw new Error(`Unsupported format: ${this.options.format}`);
     }
@@ -69,7 +78,7 @@ class DocsGenerator {
       
       if (stat.isDirectory()) {
         await this.scanRoutes(fullPath);
-      } else if (['.js', '.ts', '.jsx', '.tsx'].includes(extname(item))) {
+      } else if (['.js', '.ts', '.jsx', '.tsx'].includes(extname(item)) && !MIDDLEWARE_FILE_PATTERN.test(item)) {
         const route = await this.analyzeRoute(fullPath);
         if (route) {
           this.routes.push(route);
@@ -90,7 +99,7 @@ class DocsGenerator {
         file: filePath,
         methods: [],
         description: this.extractDescription(content),
-        parameters: this.extractParameters(content, routePath),
+        parameters: this.extractParameters(content, filePathToRoute(relativePath)),
         examples: this.options.includeExamples ? this.extractExamples(content) : [],
       };
 
@@ -106,15 +115,9 @@ class DocsGenerator {
   }
 
   filePathToRoute(filePath) {
-    let route = filePath
-      .replace(/\\/g, '/')
-      .replace(/\.(js|ts|jsx|tsx)$/, '')
-      .replace(/\/index$/, '');
-
-    // Handle dynamic routes: [id].js -> {id}
-    route = route.replace(/\[([^\]]+)\]/g, '{$1}');
-
-    return '/api' + (route ? '/' + route : '');
+    // Same rules as the plugin, rendered with {param} placeholders:
+    // [id].js -> {id}, [...slug].js and [[...slug]].js -> {slug}
+    return filePathToRoute(filePath).replace(/:([^/]+?)[+*]?(?=\/|$)/g, '{$1}');
   }
 
   extractMethods(content) {
@@ -184,22 +187,20 @@ class DocsGenerator {
     return '';
   }
 
-  extractParameters(content, routePath) {
+  extractParameters(content, routePattern) {
     const parameters = [];
     
-    // Extract path parameters
-    const pathParams = routePath.match(/\{([^}]+)\}/g);
-    if (pathParams) {
-      for (const param of pathParams) {
-        const name = param.slice(1, -1);
-        parameters.push({
-          name,
-          in: 'path',
-          required: true,
-          type: 'string',
-          description: `Path parameter: ${name}`,
-        });
-      }
+    // Extract path parameters (catch-all params are arrays of segments)
+    for (const param of getRouteParams(routePattern)) {
+      parameters.push({
+        name: param.name,
+        in: 'path',
+        required: !param.optional,
+        type: param.catchAll ? 'array' : 'string',
+        description: param.catchAll
+          ? `${param.optional ? 'Optional catch-all' : 'Catch-all'} path parameter: ${param.name}`
+          : `Path parameter: ${param.name}`,
+      });
     }
 
     // Extract query parameters from code
@@ -524,4 +525,16 @@ class DocsGenerator {
     writeFileSync(join(this.options.output, 'openapi.json'), JSON.stringify(apiDoc, null, 2));
     console.log(chalk.green('Generated openapi.json'));
   }
-}
\ No newline at end of file
+
+  async generateOpenAPI() {
+    const document = await generateOpenApiDocument({
+      root: process.cwd(),
+      auth: this.options.auth
+        ? { type: this.options.auth, publicRoutes: this.options.publicRoutes }
+        : null,
+    });
+
+    writeFileSync(join(this.options.output, 'openapi.json'), JSON.stringify(document, null, 2));
+    console.log(chalk.green(`Generated openapi.json (${Object.keys(document.paths).length} paths)`));
+  }
+}
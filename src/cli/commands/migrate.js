@@ -10,6 +10,7 @@ export const migrateCommand = new Command('migrate')
   .option('--src <directory>', 'Source directory', 'pages/api')
   .option('--dest <directory>', 'Destination directory', 'pages/api')
   .option('--typescript', 'Convert to TypeScript', false)
+  .option('--app-router', 'Rewrite Next.js handlers as App Router style method exports', false)
   .option('--dry-run', 'Show what would be migrated without making changes', false)
   .action(async (options) => {
     console.log(chalk.blue('🔄 Starting migration...\n'));
@@ -32,7 +33,7 @@ export const migrateCommand = new Command('migrate')
     }
 
     try {
-      const migrator = createMigrator(options.from);
+      const migrator = createMigrator(options.from, options);
       await migrator.migrate(options);
       
       console.log(chalk.green('\n✅ Migration completed successfully!'));
@@ -47,10 +48,10 @@ export const migrateCommand = new Command('migrate')
     }
   });
 
-function createMigrator(framework) {
+function createMigrator(framework, options = {}) {
   switch (framework) {
     case 'nextjs':
-      return new NextJSMigrator();
+      return new NextJSMigrator(options);
     case 'express':
       return new ExpressMigrator();
     case 'fastify':
@@ -139,12 +140,20 @@ class BaseMigrator {
 }
 
 class NextJSMigrator extends BaseMigrator {
+  constructor(options = {}) {
+    super();
+    this.appRouter = Boolean(options.appRouter);
+  }
+
   async migrateFile(file, src, dest, typescript) {
     const content = readFileSync(file, 'utf8');
     const relativePath = file.replace(src, '').replace(/^\//, '');
     
-    // Convert to modern App Router style
-    const migratedContent = this.convertToModernStyle(content, typescript);
+    // pages/api handlers run as-is on the Next.js compatible req/res;
+    // --app-router converts them to method exports instead
+    const migratedContent = this.appRouter
+      ? this.convertToModernStyle(content, typescript)
+      : this.convertImports(content);
     
     // Determine output file extension
     const ext = typescript ? '.ts' : '.js';
@@ -157,6 +166,14 @@ class NextJSMigrator extends BaseMigrator {
     };
   }
 
+  // NextApiRequest/NextApiResponse come from the plugin's types instead of 'next'
+  convertImports(content) {
+    return content.replace(
+      /(import\s+(?:type\s+)?{[^}]*}\s+from\s+)(['"])next\2/g,
+      '$1$2vite-api-routes-plugin/types$2'
+    );
+  }
+
   convertToModernStyle(content, typescript) {
     // Parse the existing Next.js handler
     const handlerMatch = content.match(/export\s+default\s+(?:async\s+)?function\s+\w*\s*\([^)]*\)\s*{([\s\S]*)}/);
@@ -90,6 +90,9 @@ export class ApiHMRClient {
       case 'dependency-updated':
         this.handleDependencyUpdated(data);
         break;
+      case 'middleware-updated':
+        this.handleMiddlewareUpdated(data);
+        break;
       case 'config-updated':
         this.handleConfigUpdated(data);
         break;
@@ -134,6 +137,21 @@ export class ApiHMRClient {
     affectedRoutes.forEach(route => this.invalidateRouteCache(route));
   }
 
+  /**
+   * Handle _middleware update affecting every route below it
+   */
+  handleMiddlewareUpdated(data) {
+    const { middleware, affectedRoutes } = data;
+    
+    this.showNotification(`🔄 Middleware Updated`, {
+      body: `${affectedRoutes.length} API routes behind ${middleware}`,
+      icon: '🛡️',
+    });
+
+    // Invalidate cache for all affected routes
+    affectedRoutes.forEach(route => this.invalidateRouteCache(route));
+  }
+
   /**
    * Handle configuration update
    */
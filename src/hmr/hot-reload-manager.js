@@ -11,6 +11,7 @@ import fs from 'fs';
 import path from 'path';
 import { createHash } from 'crypto';
 import { performance } from 'perf_hooks';
+import { filePathToRoute, listRouteFiles, MIDDLEWARE_FILE_PATTERN } from '../server/routes.js';
 
 export class HotReloadManager {
   constructor(options = {}) {
@@ -189,6 +190,17 @@ export class HotReloadManager {
    * Determine the best reload strategy for a file change
    */
   determineReloadStrategy(filePath, event) {
+    // Directory middleware: every route below it
+    if (filePath.includes(this.apiDir) && MIDDLEWARE_FILE_PATTERN.test(path.basename(filePath))) {
+      return {
+        type: 'middleware',
+        scope: 'multiple',
+        filePath,
+        affectedFiles: this.getMiddlewareRouteFiles(filePath),
+        preserveState: this.options.preserveState,
+      };
+    }
+
     // Direct API route file
     if (filePath.includes(this.apiDir)) {
       return {
@@ -244,6 +256,14 @@ export class HotReloadManager {
     return affected;
   }
 
+  /**
+   * Get the route files guarded by a _middleware file
+   */
+  getMiddlewareRouteFiles(middlewarePath) {
+    const dir = path.dirname(middlewarePath);
+    return fs.existsSync(dir) ? listRouteFiles(dir) : [];
+  }
+
   /**
    * Execute the reload strategy
    */
@@ -256,6 +276,10 @@ export class HotReloadManager {
       case 'dependency':
         await this.reloadMultipleRoutes(strategy);
         break;
+
+      case 'middleware':
+        await this.reloadMiddlewareRoutes(strategy);
+        break;
         
       case 'config':
         await this.reloadConfiguration(strategy);
@@ -340,6 +364,45 @@ export class HotReloadManager {
     });
   }
 
+  /**
+   * Reload the routes below a changed _middleware file
+   */
+  async reloadMiddlewareRoutes(strategy) {
+    const { filePath, affectedFiles, preserveState } = strategy;
+    const affectedRoutes = affectedFiles.map(file => this.filePathToRoute(file));
+
+    this.log(`🔄 Reloading ${affectedRoutes.length} routes behind ${filePath}`);
+
+    // Preserve state for all affected routes
+    const preservedStates = new Map();
+    if (preserveState) {
+      for (const routePath of affectedRoutes) {
+        const state = await this.preserveRouteState(routePath);
+        if (state) {
+          preservedStates.set(routePath, state);
+        }
+      }
+    }
+
+    // Invalidate the middleware and every route it wraps
+    await this.invalidateModule(filePath);
+
+    for (let i = 0; i < affectedFiles.length; i++) {
+      await this.invalidateModule(affectedFiles[i]);
+      await this.updateRouteMapping(affectedRoutes[i], affectedFiles[i]);
+    }
+
+    // Restore states
+    for (const [routePath, state] of preservedStates.entries()) {
+      await this.restoreRouteState(routePath, state);
+    }
+
+    this.notifyClients('middleware-updated', {
+      middleware: filePath,
+      affectedRoutes,
+    });
+  }
+
   /**
    * Reload configuration
    */
@@ -510,13 +573,7 @@ export class HotReloadManager {
    */
   filePathToRoute(filePath) {
     const relativePath = path.relative(this.apiDir, filePath);
-    let route = relativePath
-      .replace(/\\/g, '/')
-      .replace(/\.(js|ts|tsx|jsx|mjs|cjs)$/, '')
-      .replace(/\/index$/, '');
-
-    route = route.replace(/\[([^\]]+)\]/g, ':$1');
-    return this.apiPrefix + (route ? '/' + route : '');
+    return filePathToRoute(relativePath, this.apiPrefix);
   }
 
   /**
@@ -349,6 +349,9 @@ export class StateManager {
     this.cleanupInterval = setInterval(() => {
       this.cleanup();
     }, 5 * 60 * 1000);
+
+    // Don't keep the process alive just for cleanup
+    this.cleanupInterval.unref?.();
   }
 
   /**
@@ -4,97 +4,16 @@
  */
 
 import crypto from 'crypto';
+import { CookieManager, CookiePresets, parseCookies, serializeCookie } from './cookies.js';
+import { createSessionStore } from './session.js';
+import { JWT } from './jwt.js';
 
 // ============================================================================
 // JWT Authentication
 // ============================================================================
 
-/**
- * Simple JWT implementation (for production, use jsonwebtoken package)
- */
-export class JWT {
-  constructor(secret) {
-    this.secret = secret || process.env.JWT_SECRET;
-    if (!this.secret) {
-      throw new Error('JWT_SECRET is required');
-    }
-  }
-
-  /**
-   * Create a JWT token
-   */
-  sign(payload, expiresIn = '24h') {
-    const header = { alg: 'HS256', typ: 'JWT' };
-    const now = Math.floor(Date.now() / 1000);
-    
-    // Parse expiresIn (e.g., '24h', '7d', '60s')
-    const expiry = this._parseExpiry(expiresIn);
-    
-    const claims = {
-      ...payload,
-      iat: now,
-      exp: now + expiry,
-    };
-
-    const encodedHeader = this._base64UrlEncode(JSON.stringify(header));
-    const encodedPayload = this._base64UrlEncode(JSON.stringify(claims));
-    const signature = this._sign(`${encodedHeader}.${encodedPayload}`);
-
-    return `${encodedHeader}.${encodedPayload}.${signature}`;
-  }
-
-  /**
-   * Verify and decode a JWT token
-   */
-  verify(token) {
-    try {
-      const [encodedHeader, encodedPayload, signature] = token.split('.');
-      
-      // Verify signature
-      const expectedSignature = this._sign(`${encodedHeader}.${encodedPayload}`);
-      if (signature !== expectedSignature) {
-        throw new Error('Invalid signature');
-      }
-
-      // Decode payload
-      const payload = JSON.parse(this._base64UrlDecode(encodedPayload));
-
-      // Check expiration
-      const now = Math.floor(Date.now() / 1000);
-      if (payload.exp && payload.exp < now) {
-        throw new Error('Token expired');
-      }
-
-      return payload;
-    } catch (error) {
-      throw new Error(`Invalid token: ${error.message}`);
-    }
-  }
-
-  _sign(data) {
-    return crypto
-      .createHmac('sha256', this.secret)
-      .update(data)
-      .digest('base64url');
-  }
-
-  _base64UrlEncode(str) {
-    return Buffer.from(str).toString('base64url');
-  }
-
-  _base64UrlDecode(str) {
-    return Buffer.from(str, 'base64url').toString('utf-8');
-  }
-
-  _parseExpiry(expiresIn) {
-    const match = expiresIn.match(/^(\d+)([smhd])$/);
-    if (!match) return 86400; // Default 24 hours
-
-    const [, value, unit] = match;
-    const multipliers = { s: 1, m: 60, h: 3600, d: 86400 };
-    return parseInt(value) * multipliers[unit];
-  }
-}
+// Signing, verification and key handling live in jwt.js
+export { JWT };
 
 // ============================================================================
 // API Key Authentication
@@ -112,13 +31,14 @@ export class APIKeyAuth {
 
   _loadKeysFromEnv() {
     // Load API keys from environment
-    // Format: API_KEY_1=key:name:permissions
+    // Format: API_KEY_1=key:name:permissions[:plan]
     Object.keys(process.env).forEach(key => {
       if (key.startsWith('API_KEY_')) {
-        const [apiKey, name, permissions] = process.env[key].split(':');
+        const [apiKey, name, permissions, plan] = process.env[key].split(':');
         this.keys.set(apiKey, {
           name: name || 'Unknown',
           permissions: permissions ? permissions.split(',') : ['read'],
+          ...(plan ? { plan } : {}),
           createdAt: new Date(),
         });
       }
@@ -127,10 +47,13 @@ export class APIKeyAuth {
 
   /**
    * Generate a new API key
+   * `metadata` is stored with the key and ends up on `req.user`, e.g.
+   * `{ plan: 'pro' }` for `rateLimit.rules[].plans`.
    */
-  generate(name, permissions = ['read']) {
+  generate(name, permissions = ['read'], metadata = {}) {
     const key = 'sk_' + crypto.randomBytes(32).toString('hex');
     this.keys.set(key, {
+      ...metadata,
       name,
       permissions,
       createdAt: new Date(),
@@ -171,78 +94,196 @@ export class APIKeyAuth {
 // ============================================================================
 
 /**
- * Simple session manager (in-memory)
- * For production, use Redis or a database
+ * Session manager on a pluggable store (memory, file or Redis)
+ *
+ * Sessions end after `idleTimeout` seconds without a request or
+ * `absoluteTimeout` seconds after login, whichever comes first. With
+ * `rolling` (default) each request restarts the idle timer. `login()`
+ * always issues a new ID, so an ID planted before login (session fixation)
+ * is worthless afterwards.
  */
 export class SessionAuth {
-  constructor() {
-    this.sessions = new Map();
-    this._startCleanup();
+  constructor(options = {}) {
+    const {
+      idleTimeout = 3600, // 1 hour
+      absoluteTimeout = 24 * 3600, // 1 day
+      rolling = true,
+      cookieName = 'sessionId',
+      cookie = {},
+      cleanupInterval = 60000,
+    } = options;
+
+    this.store = createSessionStore(options);
+    this.idleTimeout = idleTimeout * 1000;
+    this.absoluteTimeout = absoluteTimeout * 1000;
+    this.rolling = rolling;
+    this.cookieName = cookieName;
+    this.cookieOptions = cookie;
+    // Refreshing on every request would cost a store write per request
+    this.touchAfter = Math.min(60000, this.idleTimeout / 10);
+    this._startCleanup(cleanupInterval);
   }
 
   /**
-   * Create a new session
+   * Create a new session; `maxAge` (seconds) shortens its absolute timeout
    */
-  create(userId, data = {}, maxAge = 3600) {
+  async create(userId, data = {}, maxAge = null) {
     const sessionId = crypto.randomBytes(32).toString('hex');
-    const expiresAt = Date.now() + (maxAge * 1000);
-
-    this.sessions.set(sessionId, {
+    const now = Date.now();
+    const session = {
       userId,
       data,
-      expiresAt,
-      createdAt: Date.now(),
-    });
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt: now + (maxAge ? Math.min(maxAge * 1000, this.absoluteTimeout) : this.absoluteTimeout),
+    };
 
+    await this.store.set(sessionId, session, this._ttl(session, now));
     return sessionId;
   }
 
   /**
-   * Get session data
+   * Get session data; throws when it is missing or expired
    */
-  get(sessionId) {
-    const session = this.sessions.get(sessionId);
-    
+  async get(sessionId) {
+    const session = sessionId ? await this.store.get(sessionId) : null;
+
     if (!session) {
       throw new Error('Session not found');
     }
 
-    if (Date.now() > session.expiresAt) {
-      this.sessions.delete(sessionId);
+    const now = Date.now();
+    if (now >= session.expiresAt || now - session.lastSeenAt >= this.idleTimeout) {
+      await this.store.destroy(sessionId);
       throw new Error('Session expired');
     }
 
+    if (this.rolling && now - session.lastSeenAt >= this.touchAfter) {
+      session.lastSeenAt = now;
+      await this.store.set(sessionId, session, this._ttl(session, now));
+    }
+
     return session;
   }
 
   /**
    * Update session data
    */
-  update(sessionId, data) {
-    const session = this.get(sessionId);
+  async update(sessionId, data) {
+    const session = await this.get(sessionId);
     session.data = { ...session.data, ...data };
-    this.sessions.set(sessionId, session);
+    await this.store.set(sessionId, session, this._ttl(session, Date.now()));
+  }
+
+  /**
+   * Move a session to a new ID (e.g. after a privilege change)
+   */
+  async regenerate(sessionId) {
+    const session = await this.get(sessionId);
+    const newId = crypto.randomBytes(32).toString('hex');
+
+    await this.store.set(newId, session, this._ttl(session, Date.now()));
+    await this.store.destroy(sessionId);
+    return newId;
   }
 
   /**
    * Destroy a session
    */
-  destroy(sessionId) {
-    return this.sessions.delete(sessionId);
+  async destroy(sessionId) {
+    await this.store.destroy(sessionId);
   }
 
   /**
-   * Cleanup expired sessions
+   * Start a session for a logged-in user and issue the session cookie
+   * (CookieManager.setSession) on `res` when given. Any session the request
+   * already had is destroyed. For Web Responses, set `cookie(sessionId)`
+   * as the Set-Cookie header instead.
    */
-  _startCleanup() {
-    setInterval(() => {
-      const now = Date.now();
-      for (const [sessionId, session] of this.sessions.entries()) {
-        if (now > session.expiresAt) {
-          this.sessions.delete(sessionId);
-        }
-      }
-    }, 60000); // Cleanup every minute
+  async login(req, res, userId, data = {}) {
+    const previous = readCookie(req, this.cookieName);
+    if (previous) {
+      await this.store.destroy(previous).catch(() => {});
+    }
+
+    const sessionId = await this.create(userId, data);
+    if (res) {
+      new CookieManager(req, res).setSession(this.cookieName, sessionId, this.cookieOptions);
+    }
+    return sessionId;
+  }
+
+  /**
+   * End the request's session and clear the cookie
+   */
+  async logout(req, res) {
+    const sessionId = readCookie(req, this.cookieName);
+    if (sessionId) {
+      await this.store.destroy(sessionId);
+    }
+    if (res) {
+      new CookieManager(req, res).clear(this.cookieName, { ...CookiePresets.session, ...this.cookieOptions });
+    }
+  }
+
+  /**
+   * The Set-Cookie value for a session ID
+   */
+  cookie(sessionId) {
+    return serializeCookie(this.cookieName, sessionId, {
+      ...CookiePresets.session,
+      ...this.cookieOptions,
+      maxAge: undefined, // Session cookie; the store enforces the timeouts
+    });
+  }
+
+  /**
+   * The request's session, or null
+   */
+  async load(req) {
+    try {
+      return await this.get(readCookie(req, this.cookieName));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Stop the cleanup timer and close the store
+   */
+  async close() {
+    clearInterval(this.cleanupTimer);
+    await this.store.close?.();
+  }
+
+  // Time left before the session expires in the store
+  _ttl(session, now) {
+    return Math.max(1, Math.min(session.expiresAt - now, session.lastSeenAt + this.idleTimeout - now));
+  }
+
+  /**
+   * Cleanup expired sessions (stores that don't expire keys themselves)
+   */
+  _startCleanup(interval) {
+    if (!this.store.cleanup || !interval) return;
+
+    this.cleanupTimer = setInterval(() => {
+      this.store.cleanup().catch(error => console.error('Session cleanup error:', error));
+    }, interval);
+    this.cleanupTimer.unref?.();
+  }
+}
+
+// Cookie value from a Node/Next.js request or a Web Request
+function readCookie(req, name) {
+  if (req.cookies && typeof req.cookies === 'object') {
+    return req.cookies[name];
+  }
+  const header = typeof req.headers?.get === 'function' ? req.headers.get('cookie') : req.headers?.cookie;
+  try {
+    return parseCookies(header)[name];
+  } catch {
+    return undefined;
   }
 }
 
@@ -318,21 +359,74 @@ export class Password {
 // Auth Middleware Factory
 // ============================================================================
 
+/**
+ * Read a header from a Node request or a Web Request
+ */
+function getHeader(req, name) {
+  if (typeof req.headers?.get === 'function') {
+    return req.headers.get(name);
+  }
+  return req.headers?.[name.toLowerCase()];
+}
+
+/**
+ * Read a query parameter from a Next.js style req or a Web Request
+ */
+function getQueryParam(req, name) {
+  if (req.query) {
+    return req.query[name];
+  }
+  return new URL(req.url, 'http://localhost').searchParams.get(name);
+}
+
+/**
+ * Routes createAuthMiddleware() lets through without credentials by default
+ */
+export const DEFAULT_PUBLIC_ROUTES = ['/api/public', '/api/auth/login', '/api/auth/register'];
+
+/**
+ * Reject a request through `res` when given, otherwise as a Web Response
+ */
+function reject(res, status, body) {
+  if (res) {
+    res.status(status).json(body);
+    return false;
+  }
+
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
 /**
  * Create authentication middleware
+ *
+ * Works with Next.js style `(req, res)` and with a Web Request, e.g. inside
+ * a `_middleware.js` file. Without `res`, a rejected request resolves to a
+ * 401 Response instead of `false`.
  */
 export function createAuthMiddleware(options = {}) {
   const {
     type = 'jwt', // 'jwt', 'apikey', 'session', 'custom'
     secret = process.env.JWT_SECRET,
-    publicRoutes = ['/api/public', '/api/auth/login', '/api/auth/register'],
+    publicRoutes = DEFAULT_PUBLIC_ROUTES,
     onUnauthorized = null,
     customVerify = null,
+    // A SessionAuth, shared with the login route that creates the sessions
+    sessions = null,
   } = options;
 
-  const jwt = type === 'jwt' ? new JWT(secret) : null;
+  // `jwt` takes a JWT instance or its options (keys, JWKS, issuer, audience, ...);
+  // JWT_SECRET then only applies when they configure no keys
+  let jwt = null;
+  if (type === 'jwt') {
+    jwt = options.jwt instanceof JWT
+      ? options.jwt
+      : new JWT(options.jwt ? { secret: options.secret, ...options.jwt } : secret);
+  }
   const apiKeyAuth = type === 'apikey' ? new APIKeyAuth() : null;
-  const sessionAuth = type === 'session' ? new SessionAuth() : null;
+  const sessionAuth = type === 'session' ? (sessions || new SessionAuth(options.session)) : null;
 
   return async (req, res) => {
     // Check if route is public
@@ -351,17 +445,17 @@ export function createAuthMiddleware(options = {}) {
 
       // JWT Authentication
       if (type === 'jwt') {
-        const token = req.headers.authorization?.replace('Bearer ', '');
+        const token = getHeader(req, 'authorization')?.replace('Bearer ', '');
         if (!token) throw new Error('No token provided');
         
-        const payload = jwt.verify(token);
+        const payload = await jwt.verifyAsync(token);
         req.user = payload;
         return true;
       }
 
       // API Key Authentication
       if (type === 'apikey') {
-        const apiKey = req.headers['x-api-key'] || req.query.apiKey;
+        const apiKey = getHeader(req, 'x-api-key') || getQueryParam(req, 'apiKey');
         if (!apiKey) throw new Error('No API key provided');
         
         const keyData = apiKeyAuth.verify(apiKey);
@@ -372,10 +466,10 @@ export function createAuthMiddleware(options = {}) {
 
       // Session Authentication
       if (type === 'session') {
-        const sessionId = req.cookies.sessionId;
+        const sessionId = readCookie(req, sessionAuth.cookieName);
         if (!sessionId) throw new Error('No session');
         
-        const session = sessionAuth.get(sessionId);
+        const session = await sessionAuth.get(sessionId);
         req.user = { userId: session.userId, ...session.data };
         req.sessionId = sessionId;
         return true;
@@ -388,11 +482,10 @@ export function createAuthMiddleware(options = {}) {
         return onUnauthorized(req, res, error);
       }
 
-      res.status(401).json({ 
+      return reject(res, 401, {
         error: 'Unauthorized',
         message: error.message,
       });
-      return false;
     }
   };
 }
@@ -407,17 +500,15 @@ export function createAuthMiddleware(options = {}) {
 export function requireRole(...roles) {
   return (req, res) => {
     if (!req.user) {
-      res.status(401).json({ error: 'Unauthorized' });
-      return false;
+      return reject(res, 401, { error: 'Unauthorized' });
     }
 
     const userRole = req.user.role;
     if (!roles.includes(userRole)) {
-      res.status(403).json({ 
+      return reject(res, 403, {
         error: 'Forbidden',
         message: `Required role: ${roles.join(' or ')}`,
       });
-      return false;
     }
 
     return true;
@@ -430,19 +521,17 @@ export function requireRole(...roles) {
 export function requirePermission(...permissions) {
   return (req, res) => {
     if (!req.user) {
-      res.status(401).json({ error: 'Unauthorized' });
-      return false;
+      return reject(res, 401, { error: 'Unauthorized' });
     }
 
     const userPermissions = req.user.permissions || [];
     const hasPermission = permissions.some(p => userPermissions.includes(p));
 
     if (!hasPermission) {
-      res.status(403).json({ 
+      return reject(res, 403, {
         error: 'Forbidden',
         message: `Required permission: ${permissions.join(' or ')}`,
       });
-      return false;
     }
 
     return true;
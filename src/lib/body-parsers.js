@@ -0,0 +1,151 @@
+/**
+ * Request body parsers and response serializers, keyed by media type
+ *
+ * A parser is `(buffer, { type, charset }) => value` and throws on
+ * malformed input, which answers 400. A serializer is
+ * `(data) => string | Buffer`. Both registries are extended through the
+ * `parsers` and `serializers` plugin options; `false` removes a built-in.
+ */
+
+import { decodeCbor, encodeCbor } from './cbor.js';
+import { decodeMsgpack, encodeMsgpack } from './msgpack.js';
+import { parseXml } from './xml.js';
+
+const json = (buffer, { charset }) => {
+  const text = buffer.toString(charset);
+  return text.trim() ? JSON.parse(text) : {};
+};
+
+const text = (buffer, { charset }) => buffer.toString(charset);
+
+const xml = (buffer, { charset }) => parseXml(buffer.toString(charset));
+
+// Repeated keys become arrays, like the query string
+const urlencoded = (buffer, { charset }) => {
+  const result = {};
+  for (const [key, value] of new URLSearchParams(buffer.toString(charset))) {
+    const current = Object.prototype.hasOwnProperty.call(result, key) ? result[key] : undefined;
+    Object.defineProperty(result, key, {
+      value: current === undefined ? value : [].concat(current, value),
+      enumerable: true,
+      writable: true,
+      configurable: true,
+    });
+  }
+  return result;
+};
+
+export const DEFAULT_PARSERS = {
+  'application/json': json,
+  'application/x-www-form-urlencoded': urlencoded,
+  'text/plain': text,
+  'application/xml': xml,
+  'text/xml': xml,
+  'application/msgpack': buffer => decodeMsgpack(buffer),
+  'application/x-msgpack': buffer => decodeMsgpack(buffer),
+  'application/cbor': buffer => decodeCbor(buffer),
+};
+
+// The first entry is the default when Accept allows anything
+export const DEFAULT_SERIALIZERS = {
+  'application/json': data => JSON.stringify(data),
+  'application/msgpack': data => encodeMsgpack(data),
+  'application/x-msgpack': data => encodeMsgpack(data),
+  'application/cbor': data => encodeCbor(data),
+};
+
+/**
+ * Merge user entries into a registry; `false` removes an entry
+ */
+export function createRegistry(defaults, overrides = {}) {
+  const registry = new Map(Object.entries(defaults));
+
+  for (const [type, handler] of Object.entries(overrides)) {
+    const key = type.toLowerCase();
+    if (handler === false) {
+      registry.delete(key);
+    } else if (typeof handler === 'function') {
+      registry.set(key, handler);
+    } else {
+      throw new Error(`Body parser/serializer for "${type}" must be a function or false`);
+    }
+  }
+
+  return registry;
+}
+
+/**
+ * Split a Content-Type header into its media type and charset
+ */
+export function parseContentType(header = '') {
+  const [type, ...params] = String(header).split(';');
+  const charsetParam = params
+    .map(param => param.trim().split('='))
+    .find(([name]) => name?.toLowerCase() === 'charset');
+  const charset = charsetParam?.[1]?.replace(/"/g, '').toLowerCase();
+
+  return {
+    type: type.trim().toLowerCase(),
+    charset: charset && Buffer.isEncoding(charset) ? charset : 'utf8',
+  };
+}
+
+/**
+ * Find the parser for a media type
+ * Exact match first, then structured syntax suffixes (`application/vnd.api+json`
+ * uses the JSON parser) and finally `type/*` wildcards.
+ */
+export function findParser(parsers, type) {
+  if (parsers.has(type)) {
+    return parsers.get(type);
+  }
+
+  const suffix = type.match(/\+(json|xml)$/);
+  if (suffix && parsers.has(`application/${suffix[1]}`)) {
+    return parsers.get(`application/${suffix[1]}`);
+  }
+
+  return parsers.get(`${type.split('/')[0]}/*`) || null;
+}
+
+/**
+ * Pick the best of `available` media types for an Accept header
+ * Returns the first available type when Accept is missing, and null when
+ * nothing acceptable is available.
+ */
+export function negotiate(accept, available) {
+  if (!accept) {
+    return available[0] ?? null;
+  }
+
+  const ranges = String(accept)
+    .split(',')
+    .map((part, index) => {
+      const [range, ...params] = part.trim().toLowerCase().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { range: range.trim(), q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(({ range, q }) => range && !Number.isNaN(q));
+
+  let best = null;
+
+  for (const type of available) {
+    // The most specific matching range decides the quality for this type
+    const match = ranges
+      .filter(({ range }) => range === type || range === '*/*' || range === `${type.split('/')[0]}/*`)
+      .sort((a, b) => specificity(b.range) - specificity(a.range) || a.index - b.index)[0];
+
+    // Ties go to the more specific range, then to registry order
+    const rank = match && { type, q: match.q, specificity: specificity(match.range) };
+    if (rank && rank.q > 0 && (!best || rank.q > best.q || (rank.q === best.q && rank.specificity > best.specificity))) {
+      best = rank;
+    }
+  }
+
+  return best?.type ?? null;
+}
+
+function specificity(range) {
+  if (range === '*/*') return 0;
+  return range.endsWith('/*') ? 1 : 2;
+}
@@ -0,0 +1,332 @@
+/**
+ * CBOR (RFC 8949) encoding and decoding
+ * Covers the JSON data model plus byte strings, 64-bit integers and bignums
+ * (BigInt) and date tags 0/1 (Date).
+ */
+
+const MAX_DEPTH = 256;
+const INDEFINITE = 31;
+const BREAK = Symbol('break');
+
+// Major types
+const UNSIGNED = 0;
+const NEGATIVE = 1;
+const BYTES = 2;
+const TEXT = 3;
+const ARRAY = 4;
+const MAP = 5;
+const TAG = 6;
+const SIMPLE = 7;
+
+// ============================================================================
+// Encoding
+// ============================================================================
+
+/**
+ * Encode a value; objects are converted like JSON.stringify does
+ * (`toJSON()` is honoured, undefined and function properties are skipped).
+ */
+export function encodeCbor(value) {
+  const chunks = [];
+  encodeValue(value, chunks, 0);
+  return Buffer.concat(chunks);
+}
+
+function encodeValue(value, chunks, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new Error('CBOR: value is nested too deeply');
+  }
+
+  if (value && typeof value.toJSON === 'function' && !(value instanceof Date) && !(value instanceof Uint8Array)) {
+    value = value.toJSON();
+  }
+
+  if (value === null || typeof value === 'function') {
+    chunks.push(Buffer.from([0xf6]));
+  } else if (value === undefined) {
+    chunks.push(Buffer.from([0xf7]));
+  } else if (typeof value === 'boolean') {
+    chunks.push(Buffer.from([value ? 0xf5 : 0xf4]));
+  } else if (typeof value === 'number') {
+    chunks.push(encodeNumber(value));
+  } else if (typeof value === 'bigint') {
+    chunks.push(encodeBigInt(value));
+  } else if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    chunks.push(head(TEXT, bytes.length), bytes);
+  } else if (value instanceof Date) {
+    // Tag 1: epoch-based date/time
+    chunks.push(head(TAG, 1), encodeNumber(value.getTime() / 1000));
+  } else if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+    const bytes = Buffer.from(value instanceof ArrayBuffer ? new Uint8Array(value) : value);
+    chunks.push(head(BYTES, bytes.length), bytes);
+  } else if (Array.isArray(value)) {
+    chunks.push(head(ARRAY, value.length));
+    for (const item of value) {
+      encodeValue(item, chunks, depth + 1);
+    }
+  } else {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined && typeof item !== 'function');
+    chunks.push(head(MAP, entries.length));
+    for (const [key, item] of entries) {
+      encodeValue(key, chunks, depth + 1);
+      encodeValue(item, chunks, depth + 1);
+    }
+  }
+}
+
+// Initial byte plus the shortest argument encoding
+function head(major, argument) {
+  const type = major << 5;
+  if (typeof argument === 'bigint' && argument <= BigInt(Number.MAX_SAFE_INTEGER)) {
+    argument = Number(argument);
+  }
+  if (argument < 24) return Buffer.from([type | argument]);
+  if (argument < 0x100) return Buffer.from([type | 24, argument]);
+
+  if (argument < 0x10000) {
+    const buffer = Buffer.alloc(3);
+    buffer[0] = type | 25;
+    buffer.writeUInt16BE(argument, 1);
+    return buffer;
+  }
+  if (argument < 0x100000000) {
+    const buffer = Buffer.alloc(5);
+    buffer[0] = type | 26;
+    buffer.writeUInt32BE(argument, 1);
+    return buffer;
+  }
+
+  const buffer = Buffer.alloc(9);
+  buffer[0] = type | 27;
+  buffer.writeBigUInt64BE(BigInt(argument), 1);
+  return buffer;
+}
+
+function encodeNumber(value) {
+  if (Number.isSafeInteger(value)) {
+    return value >= 0 ? head(UNSIGNED, value) : head(NEGATIVE, -1 - value);
+  }
+
+  const buffer = Buffer.alloc(9);
+  buffer[0] = 0xfb;
+  buffer.writeDoubleBE(value, 1);
+  return buffer;
+}
+
+function encodeBigInt(value) {
+  const negative = value < 0n;
+  const magnitude = negative ? -1n - value : value;
+
+  if (magnitude <= 0xffffffffffffffffn) {
+    return head(negative ? NEGATIVE : UNSIGNED, magnitude);
+  }
+
+  // Tags 2/3: bignum as a big-endian byte string
+  let hex = magnitude.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  const bytes = Buffer.from(hex, 'hex');
+  return Buffer.concat([head(TAG, negative ? 3 : 2), head(BYTES, bytes.length), bytes]);
+}
+
+// ============================================================================
+// Decoding
+// ============================================================================
+
+/**
+ * Decode a single CBOR data item; trailing bytes are an error
+ * Unknown tags decode to their content.
+ */
+export function decodeCbor(buffer) {
+  const reader = { buffer: Buffer.from(buffer), offset: 0 };
+  const value = decodeValue(reader, 0);
+
+  if (value === BREAK) {
+    throw new Error('CBOR: unexpected break');
+  }
+  if (reader.offset !== reader.buffer.length) {
+    throw new Error('CBOR: unexpected data after value');
+  }
+  return value;
+}
+
+function take(reader, length) {
+  if (reader.offset + length > reader.buffer.length) {
+    throw new Error('CBOR: unexpected end of data');
+  }
+  const start = reader.offset;
+  reader.offset += length;
+  return start;
+}
+
+function readArgument(reader, info) {
+  const { buffer } = reader;
+  if (info < 24) return info;
+  if (info === 24) return buffer.readUInt8(take(reader, 1));
+  if (info === 25) return buffer.readUInt16BE(take(reader, 2));
+  if (info === 26) return buffer.readUInt32BE(take(reader, 4));
+  if (info === 27) {
+    const value = buffer.readBigUInt64BE(take(reader, 8));
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  }
+  throw new Error(`CBOR: invalid additional information ${info}`);
+}
+
+function decodeValue(reader, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new Error('CBOR: value is nested too deeply');
+  }
+
+  const initial = reader.buffer[take(reader, 1)];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (info === INDEFINITE) {
+    return decodeIndefinite(reader, major, depth);
+  }
+
+  switch (major) {
+    case UNSIGNED:
+      return readArgument(reader, info);
+
+    case NEGATIVE: {
+      const argument = readArgument(reader, info);
+      return typeof argument === 'bigint' ? -1n - argument : -1 - argument;
+    }
+
+    case BYTES:
+    case TEXT: {
+      const length = toLength(readArgument(reader, info));
+      const start = take(reader, length);
+      return major === TEXT
+        ? reader.buffer.toString('utf8', start, start + length)
+        : Buffer.from(reader.buffer.subarray(start, start + length));
+    }
+
+    case ARRAY: {
+      const length = toLength(readArgument(reader, info));
+      const result = [];
+      for (let i = 0; i < length; i++) {
+        result.push(decodeItem(reader, depth));
+      }
+      return result;
+    }
+
+    case MAP: {
+      const length = toLength(readArgument(reader, info));
+      const result = {};
+      for (let i = 0; i < length; i++) {
+        setEntry(result, decodeItem(reader, depth), decodeItem(reader, depth));
+      }
+      return result;
+    }
+
+    case TAG:
+      return decodeTag(readArgument(reader, info), decodeItem(reader, depth));
+
+    default:
+      return decodeSimple(reader, info);
+  }
+}
+
+// A nested item, where a break code is not allowed
+function decodeItem(reader, depth) {
+  const value = decodeValue(reader, depth + 1);
+  if (value === BREAK) {
+    throw new Error('CBOR: unexpected break');
+  }
+  return value;
+}
+
+function decodeIndefinite(reader, major, depth) {
+  if (major === SIMPLE) {
+    return BREAK;
+  }
+  if (major !== BYTES && major !== TEXT && major !== ARRAY && major !== MAP) {
+    throw new Error('CBOR: invalid indefinite length item');
+  }
+
+  const items = [];
+  for (;;) {
+    const item = decodeValue(reader, depth + 1);
+    if (item === BREAK) break;
+    items.push(item);
+  }
+
+  switch (major) {
+    case BYTES:
+      return Buffer.concat(items.map(item => {
+        if (!Buffer.isBuffer(item)) throw new Error('CBOR: invalid byte string chunk');
+        return item;
+      }));
+    case TEXT:
+      return items.map(item => {
+        if (typeof item !== 'string') throw new Error('CBOR: invalid text string chunk');
+        return item;
+      }).join('');
+    case MAP: {
+      if (items.length % 2) throw new Error('CBOR: map is missing a value');
+      const result = {};
+      for (let i = 0; i < items.length; i += 2) {
+        setEntry(result, items[i], items[i + 1]);
+      }
+      return result;
+    }
+    default:
+      return items;
+  }
+}
+
+function decodeSimple(reader, info) {
+  const { buffer } = reader;
+  switch (info) {
+    case 20: return false;
+    case 21: return true;
+    case 22: return null;
+    case 23: return undefined;
+    case 25: return readHalf(buffer.readUInt16BE(take(reader, 2)));
+    case 26: return buffer.readFloatBE(take(reader, 4));
+    case 27: return buffer.readDoubleBE(take(reader, 8));
+    default:
+      throw new Error(`CBOR: unsupported simple value ${info}`);
+  }
+}
+
+function decodeTag(tag, value) {
+  switch (tag) {
+    case 0:
+      return new Date(value);
+    case 1:
+      return new Date(Number(value) * 1000);
+    case 2:
+    case 3: {
+      if (!Buffer.isBuffer(value)) throw new Error('CBOR: invalid bignum');
+      const magnitude = value.length ? BigInt(`0x${value.toString('hex')}`) : 0n;
+      return tag === 2 ? magnitude : -1n - magnitude;
+    }
+    default:
+      return value;
+  }
+}
+
+function readHalf(bits) {
+  const exponent = (bits >> 10) & 0x1f;
+  const fraction = bits & 0x3ff;
+  const sign = bits & 0x8000 ? -1 : 1;
+
+  if (exponent === 0) return sign * fraction * 2 ** -24;
+  if (exponent === 31) return fraction ? NaN : sign * Infinity;
+  return sign * (1 + fraction / 1024) * 2 ** (exponent - 15);
+}
+
+function toLength(argument) {
+  if (typeof argument === 'bigint') {
+    throw new Error('CBOR: unexpected end of data');
+  }
+  return argument;
+}
+
+// Own property, like JSON.parse, so "__proto__" cannot swap the prototype
+function setEntry(result, key, value) {
+  Object.defineProperty(result, String(key), { value, enumerable: true, writable: true, configurable: true });
+}
@@ -3,6 +3,8 @@
  * Implements best practices for cookie security
  */
 
+import crypto from 'crypto';
+
 /**
  * Cookie configuration presets
  */
@@ -194,9 +196,11 @@ export class CookieManager {
    * Set secure cookie
    */
   set(name, value, options = {}) {
-    const cookie = serializeCookie(name, value, options);
-    
-    // Handle multiple Set-Cookie headers
+    return this.append(serializeCookie(name, value, options));
+  }
+
+  // Handle multiple Set-Cookie headers
+  append(cookie) {
     const existing = this.res.getHeader('Set-Cookie') || [];
     const cookies = Array.isArray(existing) ? existing : [existing];
     cookies.push(cookie);
@@ -230,9 +234,7 @@ export class CookieManager {
    * Clear cookie
    */
   clear(name, options = {}) {
-    const cookie = clearCookie(name, options);
-    this.res.setHeader('Set-Cookie', cookie);
-    return this;
+    return this.append(clearCookie(name, options));
   }
 
   /**
@@ -319,7 +321,6 @@ export class SignedCookie {
    * Sign a cookie value
    */
   sign(value) {
-    const crypto = require('crypto');
     const signature = crypto
       .createHmac('sha256', this.secret)
       .update(value)
@@ -332,19 +333,19 @@ export class SignedCookie {
    * Verify and unsign a cookie value
    */
   unsign(signedValue) {
-    const [value, signature] = signedValue.split('.');
-    
-    if (!value || !signature) {
+    // The signature never contains a dot, the value may
+    const dot = signedValue.lastIndexOf('.');
+    const value = signedValue.slice(0, Math.max(dot, 0));
+    const signature = signedValue.slice(dot + 1);
+
+    if (dot === -1 || !value || !signature) {
       throw new Error('Invalid signed cookie format');
     }
 
-    const crypto = require('crypto');
-    const expectedSignature = crypto
-      .createHmac('sha256', this.secret)
-      .update(value)
-      .digest('base64url');
+    const expected = Buffer.from(this.sign(value).slice(value.length + 1));
+    const actual = Buffer.from(signature);
 
-    if (signature !== expectedSignature) {
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
       throw new Error('Cookie signature verification failed');
     }
 
@@ -20,7 +20,10 @@ export function createCorsConfig(options = {}) {
     allowedHeaders = ['Content-Type', 'Authorization', 'X-CSRF-Token', 'X-API-Key'],
     
     // Exposed headers
-    exposedHeaders = ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset'],
+    exposedHeaders = [
+      'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+      'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After',
+    ],
     
     // Preflight cache duration (seconds)
     maxAge = 86400,
@@ -71,6 +74,40 @@ export function createCorsConfig(options = {}) {
   };
 }
 
+/**
+ * Compile the plugin's `cors` option (or a route's `config.cors`)
+ *
+ * `origin` is '*', an origin, a list of origins and patterns like
+ * 'https://*.example.com', or a function `(origin) => boolean | string`
+ * (e.g. the `origin` of a createCorsConfig() result). With '*' the literal
+ * `*` is sent and credentials are never allowed: browsers reject that pair,
+ * and reflecting any origin with credentials would let every site read
+ * authenticated responses. `allowedHeaders: null` reflects the headers a
+ * preflight asks for.
+ */
+export function createCorsPolicy(options = {}) {
+  const { origin = '*', credentials = true, allowedHeaders = null, ...rest } = options;
+  const wildcard = origin === '*' || (Array.isArray(origin) && origin.includes('*'));
+
+  const config = createCorsConfig({
+    ...rest,
+    origins: typeof origin === 'function' ? [] : [].concat(origin),
+    originValidator: typeof origin === 'function' ? origin : null,
+    credentials: wildcard ? false : credentials,
+    allowedHeaders,
+  });
+
+  return {
+    ...config,
+    wildcard,
+    // The value for Access-Control-Allow-Origin, or null to send none
+    allowOrigin(requestOrigin) {
+      if (wildcard) return '*';
+      return requestOrigin && config.origin(requestOrigin) ? requestOrigin : null;
+    },
+  };
+}
+
 /**
  * Environment-based CORS configuration
  */
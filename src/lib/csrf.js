@@ -0,0 +1,169 @@
+/**
+ * Stateless CSRF protection
+ *
+ * Tokens are signed double-submit tokens: the server sets one in a cookie
+ * and the client sends it back in the `X-CSRF-Token` header. A token signs
+ * (SignedCookie) a random nonce, its issue time and the session it was
+ * issued for, so every process sharing the secret accepts it and nothing is
+ * stored server-side.
+ *
+ * Unsafe requests are checked in this order:
+ * 1. `Origin` must be the server's own origin (as resolved through trusted
+ *    proxies) or a trusted one
+ * 2. `Sec-Fetch-Site: cross-site` is refused unless the Origin is trusted
+ * 3. Requests that carry cookies need a valid token in the header matching
+ *    the cookie. Without cookies there is no session to ride on, so API
+ *    clients using Authorization headers don't need tokens
+ *    (`requireToken: true` asks every unsafe request for one).
+ */
+
+import crypto from 'crypto';
+import { CookiePresets, SignedCookie, parseCookies, serializeCookie } from './cookies.js';
+
+export const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'TRACE'];
+
+/**
+ * Create the token issuer and request verifier for `security.csrf`
+ *
+ * `identify(req)` returns what tokens are bound to; by default the value of
+ * the `sessionCookie` cookie, so a new session (e.g. after login) needs a
+ * new token. Without a `secret` (or CSRF_SECRET / COOKIE_SECRET) a random
+ * one is generated and tokens only work in this process.
+ */
+export function createCsrfProtection(options = {}) {
+  const {
+    secret = process.env.CSRF_SECRET || process.env.COOKIE_SECRET,
+    cookieName = 'csrf',
+    headerName = 'x-csrf-token',
+    sessionCookie = 'sessionId',
+    identify = (req) => readCookies(req)[sessionCookie] || '',
+    maxAge = 3600 * 1000, // 1 hour
+    trustedOrigins = [],
+    requireToken = 'cookies',
+  } = options;
+
+  if (!secret && process.env.NODE_ENV === 'production') {
+    console.warn('⚠ security.csrf.secret (or CSRF_SECRET) is not set: CSRF tokens are only valid in this process');
+  }
+
+  const signer = new SignedCookie(secret || crypto.randomBytes(32).toString('hex'));
+  const header = headerName.toLowerCase();
+  // Tokens issued while handling a request, so repeated calls agree
+  const issued = new WeakMap();
+
+  // `__Host-` cookies can't be set by subdomains or over plain HTTP
+  const cookieFor = (secure) => (secure ? `__Host-${cookieName}` : cookieName);
+
+  // The token signs `<binding>~<nonce>-<issued at>`; the binding stays out of it
+  function bindingOf(req) {
+    const value = req ? identify(req) : '';
+    return crypto.createHash('sha256').update(String(value ?? '')).digest('base64url');
+  }
+
+  function sign(req, issuedAt = Date.now()) {
+    const prefix = `${bindingOf(req)}~`;
+    const payload = `${crypto.randomBytes(16).toString('hex')}-${issuedAt.toString(36)}`;
+    return signer.sign(prefix + payload).slice(prefix.length);
+  }
+
+  /**
+   * Whether a token was issued for this request's session and hasn't expired
+   */
+  function validate(token, req, now = Date.now()) {
+    if (typeof token !== 'string' || !/^[0-9a-f]{32}-[0-9a-z]+\.[\w-]+$/.test(token)) {
+      return false;
+    }
+
+    try {
+      signer.unsign(`${bindingOf(req)}~${token}`);
+    } catch {
+      return false;
+    }
+
+    const issuedAt = parseInt(token.slice(33, token.indexOf('.')), 36);
+    return issuedAt <= now && now - issuedAt < maxAge;
+  }
+
+  return {
+    cookieName,
+    headerName,
+
+    /**
+     * The request's token: the cookie's while it is still valid, otherwise a
+     * new one, set as a cookie on `res` when given
+     */
+    issue(req, res = null, { protocol = 'http' } = {}) {
+      if (req && issued.has(req)) {
+        return issued.get(req);
+      }
+
+      const secure = protocol === 'https';
+      const current = req && readCookies(req)[cookieFor(secure)];
+      // Renew once half the lifetime has passed
+      if (current && validate(current, req, Date.now() + maxAge / 2)) {
+        issued.set(req, current);
+        return current;
+      }
+
+      const token = sign(req);
+      if (req) issued.set(req, token);
+
+      if (res && !res.headersSent) {
+        const cookie = serializeCookie(cookieFor(secure), token, {
+          ...CookiePresets.csrf,
+          secure,
+          maxAge: Math.floor(maxAge / 1000),
+        });
+        res.appendHeader('Set-Cookie', cookie);
+      }
+
+      return token;
+    },
+
+    validate,
+
+    /**
+     * Check an unsafe request; returns null when it may proceed, otherwise
+     * the reason to refuse it. `isTrusted(origin)` adds origins allowed on
+     * top of `trustedOrigins` (e.g. the route's CORS origins).
+     */
+    verify(req, { protocol = 'http', host = req.headers.host } = {}, isTrusted = () => false) {
+      const origin = req.headers.origin;
+      const trusted = Boolean(origin) && (trustedOrigins.includes(origin) || isTrusted(origin));
+
+      if (origin && origin !== `${protocol}://${host}` && !trusted) {
+        return 'Cross-origin request blocked';
+      }
+      if (req.headers['sec-fetch-site'] === 'cross-site' && !trusted) {
+        return 'Cross-site request blocked';
+      }
+
+      const cookies = readCookies(req);
+      if (requireToken !== true && Object.keys(cookies).length === 0) {
+        return null;
+      }
+
+      const token = req.headers[header];
+      const cookie = cookies[cookieFor(protocol === 'https')];
+      if (!token || !cookie || !safeEqual(token, cookie) || !validate(token, req)) {
+        return 'Invalid CSRF token';
+      }
+
+      return null;
+    },
+  };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function readCookies(req) {
+  try {
+    return parseCookies(req.headers.cookie);
+  } catch {
+    return {}; // Malformed percent-encoding
+  }
+}
@@ -0,0 +1,509 @@
+/**
+ * JSON Web Tokens
+ *
+ * Signs and verifies compact JWS tokens with node:crypto:
+ *
+ *   HS256/384/512  shared secret (HMAC)
+ *   RS256/384/512  RSA PKCS#1 v1.5
+ *   PS256/384/512  RSA-PSS
+ *   ES256/384/512  ECDSA on P-256, P-384, P-521
+ *   EdDSA          Ed25519 / Ed448
+ *
+ * Every key is tied to one algorithm, and a token's `alg` header must be
+ * both allowed and the algorithm of the key that verifies it. That rules out
+ * `alg: none` and the classic confusion attack where an RSA public key is
+ * used as an HMAC secret.
+ *
+ * Keys come from a secret, PEM/KeyObject/JWK keys, a local JWKS file or a
+ * remote JWKS URI; tokens pick theirs with the `kid` header.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+export const ALGORITHMS = {
+  HS256: { kind: 'hmac', hash: 'sha256' },
+  HS384: { kind: 'hmac', hash: 'sha384' },
+  HS512: { kind: 'hmac', hash: 'sha512' },
+  RS256: { kind: 'rsa', hash: 'sha256' },
+  RS384: { kind: 'rsa', hash: 'sha384' },
+  RS512: { kind: 'rsa', hash: 'sha512' },
+  PS256: { kind: 'rsa-pss', hash: 'sha256' },
+  PS384: { kind: 'rsa-pss', hash: 'sha384' },
+  PS512: { kind: 'rsa-pss', hash: 'sha512' },
+  ES256: { kind: 'ec', hash: 'sha256', curve: 'prime256v1' },
+  ES384: { kind: 'ec', hash: 'sha384', curve: 'secp384r1' },
+  ES512: { kind: 'ec', hash: 'sha512', curve: 'secp521r1' },
+  EdDSA: { kind: 'eddsa', hash: null },
+};
+
+const CURVES = { prime256v1: 'ES256', secp384r1: 'ES384', secp521r1: 'ES512' };
+
+/**
+ * JWT signer and verifier
+ *
+ *   new JWT(secret)                         HS256, like before
+ *   new JWT({ privateKey, keyId })          RS256/ES256/EdDSA from the key type
+ *   new JWT({ jwksUri, issuer, audience })  verifyAsync only, keys fetched by kid
+ *
+ * Options:
+ *   secret, algorithm     HMAC secret (default JWT_SECRET) and its algorithm
+ *   privateKey, publicKey PEM, KeyObject or JWK; `algorithm` when the key
+ *                         type allows several (e.g. PS256 for an RSA key)
+ *   keyId                 `kid` of that key, and of the key to sign with
+ *   keys                  more keys: [{ kid, alg, secret | privateKey | publicKey | jwk }]
+ *   jwksFile              local JWKS (private JWKs can sign too)
+ *   jwksUri               remote JWKS (verifyAsync), cached for `jwksCacheTtl`
+ *                         ms and refetched (at most every 30s) for an unknown kid
+ *   algorithms            accepted `alg` values (default: those of the keys)
+ *   issuer, audience      required `iss` / `aud` (string or list); also
+ *                         added to signed tokens
+ *   clockTolerance        seconds of skew allowed for exp/nbf/iat (default 30)
+ *   maxAge                reject tokens issued longer ago (seconds)
+ *   requireJti, isRevoked require a `jti`; `isRevoked(jti, payload)` returns
+ *                         true to reject it (a promise only with verifyAsync)
+ */
+export class JWT {
+  constructor(options = {}) {
+    if (typeof options === 'string' || Buffer.isBuffer(options) || options instanceof crypto.KeyObject) {
+      options = { secret: options };
+    }
+
+    const {
+      algorithm,
+      keyId,
+      algorithms = null,
+      issuer = null,
+      audience = null,
+      clockTolerance = 30,
+      maxAge = null,
+      requireJti = false,
+      isRevoked = null,
+      jwksUri = null,
+      jwksCacheTtl = 10 * 60 * 1000,
+    } = options;
+
+    this.keys = [];
+    if (options.privateKey || options.publicKey) {
+      this.keys.push(importKey({ kid: keyId, alg: algorithm, privateKey: options.privateKey, publicKey: options.publicKey }));
+    }
+    for (const key of options.keys || []) {
+      this.keys.push(importKey(key));
+    }
+    if (options.jwksFile) {
+      this.keys.push(...importJwks(JSON.parse(fs.readFileSync(options.jwksFile, 'utf8'))));
+    }
+
+    // JWT_SECRET only applies when nothing else is configured
+    const secret = options.secret ?? (this.keys.length === 0 && !jwksUri ? process.env.JWT_SECRET : null);
+    if (secret) {
+      this.keys.push(importKey({ kid: options.privateKey ? undefined : keyId, alg: algorithm || 'HS256', secret }));
+    }
+
+    if (this.keys.length === 0 && !jwksUri) {
+      throw new Error('JWT_SECRET is required');
+    }
+
+    this.signingKey = this.keys.find(key => key.signer && (!keyId || key.kid === keyId)) || null;
+    this.algorithms = algorithms || null;
+    for (const alg of this.algorithms || []) {
+      if (!ALGORITHMS[alg]) throw new Error(`Unsupported JWT algorithm "${alg}"`);
+    }
+
+    this.issuer = issuer;
+    this.audience = audience;
+    this.clockTolerance = clockTolerance;
+    this.maxAge = maxAge;
+    this.requireJti = requireJti;
+    this.isRevoked = isRevoked;
+
+    this.jwksUri = jwksUri;
+    this.jwksCacheTtl = jwksCacheTtl;
+    this.remoteKeys = [];
+    this.remoteFetchedAt = 0;
+    this.remotePending = null;
+  }
+
+  /**
+   * Create a JWT token
+   * `expiresIn` is '60s', '15m', '24h', '7d' or seconds; null for no `exp`.
+   */
+  sign(payload, expiresIn = '24h') {
+    const key = this.signingKey;
+    if (!key) {
+      throw new Error('No JWT signing key configured');
+    }
+
+    const header = { alg: key.alg, typ: 'JWT', ...(key.kid && { kid: key.kid }) };
+    const now = Math.floor(Date.now() / 1000);
+
+    const claims = {
+      ...(typeof this.issuer === 'string' && { iss: this.issuer }),
+      ...(this.audience && { aud: this.audience }),
+      ...payload,
+      iat: now,
+    };
+    if (expiresIn !== null) {
+      claims.exp = now + this._parseExpiry(expiresIn);
+    }
+    claims.jti ??= crypto.randomUUID();
+
+    const encodedHeader = this._base64UrlEncode(JSON.stringify(header));
+    const encodedPayload = this._base64UrlEncode(JSON.stringify(claims));
+    const signature = signData(key, `${encodedHeader}.${encodedPayload}`);
+
+    return `${encodedHeader}.${encodedPayload}.${signature}`;
+  }
+
+  /**
+   * Verify and decode a JWT token; throws when it is invalid
+   * Synchronous, so only local keys: with `jwksUri` or an async
+   * `isRevoked`, use verifyAsync(). `options` overrides the claim checks
+   * (issuer, audience, maxAge, ...) for this call.
+   */
+  verify(token, options = {}) {
+    try {
+      if (this.jwksUri) {
+        throw new Error('keys come from jwksUri, use verifyAsync()');
+      }
+
+      const parsed = this._parse(token);
+      this._checkSignature(parsed, this._matchKeys(this.keys, parsed.header.kid));
+
+      const claims = { ...this._claimOptions(), ...options };
+      this._checkClaims(parsed.payload, claims);
+
+      if (claims.isRevoked) {
+        const revoked = claims.isRevoked(parsed.payload.jti, parsed.payload);
+        if (typeof revoked?.then === 'function') {
+          throw new Error('isRevoked is async, use verifyAsync()');
+        }
+        if (revoked) throw new Error('Token revoked');
+      }
+      return parsed.payload;
+    } catch (error) {
+      throw new Error(`Invalid token: ${error.message}`);
+    }
+  }
+
+  /**
+   * verify(), resolving keys from `jwksUri` and awaiting `isRevoked`
+   */
+  async verifyAsync(token, options = {}) {
+    try {
+      const parsed = this._parse(token);
+      this._checkSignature(parsed, await this._findKeys(parsed.header.kid));
+
+      const claims = { ...this._claimOptions(), ...options };
+      this._checkClaims(parsed.payload, claims);
+
+      if (claims.isRevoked && await claims.isRevoked(parsed.payload.jti, parsed.payload)) {
+        throw new Error('Token revoked');
+      }
+      return parsed.payload;
+    } catch (error) {
+      throw new Error(`Invalid token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decode without verifying (e.g. to read `kid` or `iss` for logging)
+   */
+  decode(token) {
+    const [encodedHeader, encodedPayload] = String(token).split('.');
+    return { header: this._decodeJson(encodedHeader), payload: this._decodeJson(encodedPayload) };
+  }
+
+  /**
+   * Public keys as a JWKS document, to serve for other verifiers
+   * Secret (HMAC) keys are never included.
+   */
+  jwks() {
+    return {
+      keys: this.keys
+        .filter(key => key.key.type !== 'secret')
+        .map(key => ({
+          ...key.key.export({ format: 'jwk' }),
+          ...(key.kid && { kid: key.kid }),
+          alg: key.alg,
+          use: 'sig',
+        })),
+    };
+  }
+
+  _claimOptions() {
+    const { issuer, audience, clockTolerance, maxAge, requireJti, isRevoked } = this;
+    return { issuer, audience, clockTolerance, maxAge, requireJti, isRevoked };
+  }
+
+  _parse(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      throw new Error('Malformed token');
+    }
+    const [encodedHeader, encodedPayload, signature] = parts;
+
+    const header = this._decodeJson(encodedHeader);
+    const payload = this._decodeJson(encodedPayload);
+
+    if (!ALGORITHMS[header.alg] || (this.algorithms && !this.algorithms.includes(header.alg))) {
+      throw new Error(`Algorithm "${header.alg}" not allowed`);
+    }
+    if (header.crit !== undefined) {
+      throw new Error('Unsupported critical header');
+    }
+
+    return { header, payload, data: `${encodedHeader}.${encodedPayload}`, signature };
+  }
+
+  _checkSignature({ header, data, signature }, keys) {
+    const candidates = keys.filter(key => key.alg === header.alg);
+    if (candidates.length === 0) {
+      throw new Error(header.kid ? `Unknown key "${header.kid}"` : 'No key for algorithm');
+    }
+    if (!candidates.some(key => verifyData(key, data, signature))) {
+      throw new Error('Invalid signature');
+    }
+  }
+
+  // Everything but revocation, which may be async
+  _checkClaims(payload, { issuer, audience, clockTolerance, maxAge, requireJti, isRevoked }) {
+    const now = Math.floor(Date.now() / 1000);
+
+    for (const claim of ['exp', 'nbf', 'iat']) {
+      if (payload[claim] !== undefined && typeof payload[claim] !== 'number') {
+        throw new Error(`Invalid "${claim}" claim`);
+      }
+    }
+
+    // Check expiration
+    if (payload.exp !== undefined && now - clockTolerance >= payload.exp) {
+      throw new Error('Token expired');
+    }
+    if (payload.nbf !== undefined && now + clockTolerance < payload.nbf) {
+      throw new Error('Token not active yet');
+    }
+    if (payload.iat !== undefined && now + clockTolerance < payload.iat) {
+      throw new Error('Token issued in the future');
+    }
+    if (maxAge) {
+      if (payload.iat === undefined) throw new Error('Missing "iat" claim');
+      if (now - clockTolerance - payload.iat > maxAge) throw new Error('Token too old');
+    }
+
+    if (issuer && ![].concat(issuer).includes(payload.iss)) {
+      throw new Error('Unexpected issuer');
+    }
+    if (audience) {
+      const accepted = [].concat(audience);
+      if (![].concat(payload.aud ?? []).some(aud => accepted.includes(aud))) {
+        throw new Error('Unexpected audience');
+      }
+    }
+
+    if ((requireJti || isRevoked) && typeof payload.jti !== 'string') {
+      throw new Error('Missing "jti" claim');
+    }
+  }
+
+  _matchKeys(keys, kid) {
+    return keys.filter(key => !kid || key.kid === kid);
+  }
+
+  // Local keys first; the remote set is refreshed when it is stale or lacks `kid`
+  async _findKeys(kid) {
+    const local = this._matchKeys(this.keys, kid);
+    if (local.length > 0 || !this.jwksUri) return local;
+
+    const age = Date.now() - this.remoteFetchedAt;
+    let remote = this._matchKeys(this.remoteKeys, kid);
+    if (age > this.jwksCacheTtl || (remote.length === 0 && age > 30000)) {
+      await this._fetchJwks();
+      remote = this._matchKeys(this.remoteKeys, kid);
+    }
+    return remote;
+  }
+
+  _fetchJwks() {
+    this.remotePending ??= fetch(this.jwksUri, { signal: AbortSignal.timeout(5000) })
+      .then(async response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        this.remoteKeys = importJwks(await response.json());
+        this.remoteFetchedAt = Date.now();
+      })
+      .catch(error => {
+        // Keep serving the keys we had; retry after the cooldown
+        this.remoteFetchedAt = Date.now() - this.jwksCacheTtl + 30000;
+        if (this.remoteKeys.length === 0) throw new Error(`Unable to load JWKS: ${error.message}`);
+      })
+      .finally(() => {
+        this.remotePending = null;
+      });
+
+    return this.remotePending;
+  }
+
+  _decodeJson(part) {
+    let value;
+    try {
+      value = JSON.parse(this._base64UrlDecode(part));
+    } catch {
+      throw new Error('Malformed token');
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('Malformed token');
+    }
+    return value;
+  }
+
+  _base64UrlEncode(str) {
+    return Buffer.from(str).toString('base64url');
+  }
+
+  _base64UrlDecode(str) {
+    return Buffer.from(str, 'base64url').toString('utf-8');
+  }
+
+  _parseExpiry(expiresIn) {
+    if (typeof expiresIn === 'number') return expiresIn;
+
+    const match = String(expiresIn).match(/^(\d+)([smhd])$/);
+    if (!match) return 86400; // Default 24 hours
+
+    const [, value, unit] = match;
+    const multipliers = { s: 1, m: 60, h: 3600, d: 86400 };
+    return parseInt(value) * multipliers[unit];
+  }
+}
+
+/**
+ * Turn a key definition into `{ kid, alg, key, signer }`
+ * `key` verifies (secret or public key), `signer` signs (secret or private
+ * key, null for verify-only keys).
+ */
+function importKey({ kid, alg, secret, privateKey, publicKey, jwk }) {
+  let key;
+  let signer = null;
+
+  if (secret) {
+    key = secret instanceof crypto.KeyObject ? secret : crypto.createSecretKey(Buffer.from(secret));
+    signer = key;
+  } else if (jwk) {
+    if (jwk.kty === 'oct') {
+      key = signer = crypto.createSecretKey(Buffer.from(jwk.k, 'base64url'));
+    } else {
+      signer = jwk.d ? crypto.createPrivateKey({ key: jwk, format: 'jwk' }) : null;
+      key = signer ? crypto.createPublicKey(signer) : crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+    kid ??= jwk.kid;
+    alg ??= jwk.alg;
+  } else if (privateKey) {
+    signer = toKeyObject(privateKey, crypto.createPrivateKey);
+    key = publicKey ? toKeyObject(publicKey, crypto.createPublicKey) : crypto.createPublicKey(signer);
+  } else if (publicKey) {
+    key = toKeyObject(publicKey, crypto.createPublicKey);
+  } else {
+    throw new Error('JWT key needs a secret, privateKey, publicKey or jwk');
+  }
+
+  alg ??= defaultAlgorithm(key);
+  checkKey(key, alg);
+
+  return { kid, alg, key, signer };
+}
+
+function toKeyObject(value, create) {
+  if (value instanceof crypto.KeyObject) return value;
+  if (typeof value === 'object' && !Buffer.isBuffer(value) && value.kty) {
+    return create({ key: value, format: 'jwk' });
+  }
+  return create(value);
+}
+
+// Keys of a JWKS document; encryption keys and keys we can't use are skipped
+function importJwks(jwks) {
+  if (!jwks || !Array.isArray(jwks.keys)) {
+    throw new Error('Invalid JWKS: expected { keys: [...] }');
+  }
+
+  return jwks.keys
+    .filter(jwk => jwk && jwk.use !== 'enc')
+    .flatMap(jwk => {
+      try {
+        return [importKey({ jwk })];
+      } catch {
+        return [];
+      }
+    });
+}
+
+function defaultAlgorithm(key) {
+  switch (key.type === 'secret' ? 'secret' : key.asymmetricKeyType) {
+    case 'secret': return 'HS256';
+    case 'rsa': return 'RS256';
+    case 'rsa-pss': return 'PS256';
+    case 'ec': return CURVES[key.asymmetricKeyDetails.namedCurve];
+    case 'ed25519':
+    case 'ed448': return 'EdDSA';
+    default: throw new Error(`Unsupported JWT key type "${key.asymmetricKeyType}"`);
+  }
+}
+
+// A key only ever serves its own algorithm
+function checkKey(key, alg) {
+  const spec = ALGORITHMS[alg];
+  if (!spec) {
+    throw new Error(`Unsupported JWT algorithm "${alg}"`);
+  }
+
+  const type = key.type === 'secret' ? 'secret' : key.asymmetricKeyType;
+  const fits = {
+    hmac: type === 'secret',
+    rsa: type === 'rsa',
+    'rsa-pss': type === 'rsa' || type === 'rsa-pss',
+    ec: type === 'ec' && key.asymmetricKeyDetails.namedCurve === spec.curve,
+    eddsa: type === 'ed25519' || type === 'ed448',
+  }[spec.kind];
+
+  if (!fits) {
+    throw new Error(`JWT key of type "${type}" cannot be used for ${alg}`);
+  }
+  if (type.startsWith('rsa') && key.asymmetricKeyDetails.modulusLength < 2048) {
+    throw new Error('RSA keys must be at least 2048 bits');
+  }
+}
+
+function signOptions(key, spec) {
+  if (spec.kind === 'rsa-pss') {
+    return { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST };
+  }
+  if (spec.kind === 'ec') {
+    // JWS wants raw r||s, not DER
+    return { key, dsaEncoding: 'ieee-p1363' };
+  }
+  return key;
+}
+
+function signData({ alg, signer }, data) {
+  const spec = ALGORITHMS[alg];
+
+  if (spec.kind === 'hmac') {
+    return crypto.createHmac(spec.hash, signer).update(data).digest('base64url');
+  }
+  return crypto.sign(spec.hash, Buffer.from(data), signOptions(signer, spec)).toString('base64url');
+}
+
+function verifyData({ alg, key }, data, signature) {
+  const spec = ALGORITHMS[alg];
+  const actual = Buffer.from(signature, 'base64url');
+
+  if (spec.kind === 'hmac') {
+    const expected = crypto.createHmac(spec.hash, key).update(data).digest();
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+  try {
+    return crypto.verify(spec.hash, Buffer.from(data), signOptions(key, spec), actual);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * MessagePack encoding and decoding
+ * Covers the JSON data model plus binary data, 64-bit integers (BigInt)
+ * and the timestamp extension (Date).
+ */
+
+const MAX_DEPTH = 256;
+const TIMESTAMP_TYPE = -1;
+
+// ============================================================================
+// Encoding
+// ============================================================================
+
+/**
+ * Encode a value; objects are converted like JSON.stringify does
+ * (`toJSON()` is honoured, undefined and function properties are skipped).
+ */
+export function encodeMsgpack(value) {
+  const chunks = [];
+  encodeValue(value, chunks, 0);
+  return Buffer.concat(chunks);
+}
+
+function encodeValue(value, chunks, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new Error('MessagePack: value is nested too deeply');
+  }
+
+  if (value && typeof value.toJSON === 'function' && !(value instanceof Date) && !(value instanceof Uint8Array)) {
+    value = value.toJSON();
+  }
+
+  if (value === null || value === undefined || typeof value === 'function') {
+    chunks.push(Buffer.from([0xc0]));
+  } else if (typeof value === 'boolean') {
+    chunks.push(Buffer.from([value ? 0xc3 : 0xc2]));
+  } else if (typeof value === 'number') {
+    chunks.push(encodeNumber(value));
+  } else if (typeof value === 'bigint') {
+    chunks.push(encodeBigInt(value));
+  } else if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    chunks.push(lengthHeader(bytes.length, 0xa0, 31, [0xd9, 0xda, 0xdb]), bytes);
+  } else if (value instanceof Date) {
+    chunks.push(encodeTimestamp(value));
+  } else if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+    const bytes = Buffer.from(value instanceof ArrayBuffer ? new Uint8Array(value) : value);
+    chunks.push(lengthHeader(bytes.length, null, -1, [0xc4, 0xc5, 0xc6]), bytes);
+  } else if (Array.isArray(value)) {
+    chunks.push(lengthHeader(value.length, 0x90, 15, [null, 0xdc, 0xdd]));
+    for (const item of value) {
+      encodeValue(item, chunks, depth + 1);
+    }
+  } else {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined && typeof item !== 'function');
+    chunks.push(lengthHeader(entries.length, 0x80, 15, [null, 0xde, 0xdf]));
+    for (const [key, item] of entries) {
+      encodeValue(key, chunks, depth + 1);
+      encodeValue(item, chunks, depth + 1);
+    }
+  }
+}
+
+// fixed prefix for short lengths, then 8/16/32-bit length markers
+function lengthHeader(length, fixPrefix, fixMax, [marker8, marker16, marker32]) {
+  if (fixPrefix !== null && length <= fixMax) {
+    return Buffer.from([fixPrefix | length]);
+  }
+  if (marker8 !== null && length < 0x100) {
+    return Buffer.from([marker8, length]);
+  }
+  if (length < 0x10000) {
+    const header = Buffer.alloc(3);
+    header[0] = marker16;
+    header.writeUInt16BE(length, 1);
+    return header;
+  }
+  const header = Buffer.alloc(5);
+  header[0] = marker32;
+  header.writeUInt32BE(length, 1);
+  return header;
+}
+
+function encodeNumber(value) {
+  if (!Number.isInteger(value)) {
+    const buffer = Buffer.alloc(9);
+    buffer[0] = 0xcb;
+    buffer.writeDoubleBE(value, 1);
+    return buffer;
+  }
+
+  if (value >= 0) {
+    if (value < 0x80) return Buffer.from([value]);
+    if (value < 0x100) return Buffer.from([0xcc, value]);
+    if (value < 0x10000) return withMarker(0xcd, 2, b => b.writeUInt16BE(value, 1));
+    if (value < 0x100000000) return withMarker(0xce, 4, b => b.writeUInt32BE(value, 1));
+    return encodeBigInt(BigInt(value));
+  }
+
+  if (value >= -32) return Buffer.from([value & 0xff]);
+  if (value >= -0x80) return withMarker(0xd0, 1, b => b.writeInt8(value, 1));
+  if (value >= -0x8000) return withMarker(0xd1, 2, b => b.writeInt16BE(value, 1));
+  if (value >= -0x80000000) return withMarker(0xd2, 4, b => b.writeInt32BE(value, 1));
+  return encodeBigInt(BigInt(value));
+}
+
+function encodeBigInt(value) {
+  if (value >= 0n) {
+    if (value > 0xffffffffffffffffn) throw new Error('MessagePack: integer out of range');
+    return withMarker(0xcf, 8, b => b.writeBigUInt64BE(value, 1));
+  }
+  if (value < -0x8000000000000000n) throw new Error('MessagePack: integer out of range');
+  return withMarker(0xd3, 8, b => b.writeBigInt64BE(value, 1));
+}
+
+// timestamp 96: nanoseconds (uint32) + seconds (int64)
+function encodeTimestamp(date) {
+  const millis = date.getTime();
+  const seconds = Math.floor(millis / 1000);
+  const buffer = Buffer.alloc(15);
+  buffer[0] = 0xc7;
+  buffer[1] = 12;
+  buffer.writeInt8(TIMESTAMP_TYPE, 2);
+  buffer.writeUInt32BE((millis - seconds * 1000) * 1e6, 3);
+  buffer.writeBigInt64BE(BigInt(seconds), 7);
+  return buffer;
+}
+
+function withMarker(marker, size, write) {
+  const buffer = Buffer.alloc(size + 1);
+  buffer[0] = marker;
+  write(buffer);
+  return buffer;
+}
+
+// ============================================================================
+// Decoding
+// ============================================================================
+
+/**
+ * Decode a single MessagePack value; trailing bytes are an error
+ */
+export function decodeMsgpack(buffer) {
+  const reader = { buffer: Buffer.from(buffer), offset: 0 };
+  const value = decodeValue(reader, 0);
+
+  if (reader.offset !== reader.buffer.length) {
+    throw new Error('MessagePack: unexpected data after value');
+  }
+  return value;
+}
+
+function take(reader, length) {
+  if (reader.offset + length > reader.buffer.length) {
+    throw new Error('MessagePack: unexpected end of data');
+  }
+  const start = reader.offset;
+  reader.offset += length;
+  return start;
+}
+
+function decodeValue(reader, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new Error('MessagePack: value is nested too deeply');
+  }
+
+  const { buffer } = reader;
+  const byte = buffer[take(reader, 1)];
+
+  if (byte < 0x80) return byte;
+  if (byte >= 0xe0) return byte - 0x100;
+  if (byte >= 0xa0 && byte <= 0xbf) return readString(reader, byte & 0x1f);
+  if (byte >= 0x90 && byte <= 0x9f) return readArray(reader, byte & 0x0f, depth);
+  if (byte >= 0x80 && byte <= 0x8f) return readMap(reader, byte & 0x0f, depth);
+
+  switch (byte) {
+    case 0xc0: return null;
+    case 0xc2: return false;
+    case 0xc3: return true;
+    case 0xc4: return readBinary(reader, buffer.readUInt8(take(reader, 1)));
+    case 0xc5: return readBinary(reader, buffer.readUInt16BE(take(reader, 2)));
+    case 0xc6: return readBinary(reader, buffer.readUInt32BE(take(reader, 4)));
+    case 0xc7: return readExtension(reader, buffer.readUInt8(take(reader, 1)));
+    case 0xc8: return readExtension(reader, buffer.readUInt16BE(take(reader, 2)));
+    case 0xc9: return readExtension(reader, buffer.readUInt32BE(take(reader, 4)));
+    case 0xca: return buffer.readFloatBE(take(reader, 4));
+    case 0xcb: return buffer.readDoubleBE(take(reader, 8));
+    case 0xcc: return buffer.readUInt8(take(reader, 1));
+    case 0xcd: return buffer.readUInt16BE(take(reader, 2));
+    case 0xce: return buffer.readUInt32BE(take(reader, 4));
+    case 0xcf: return toSafeNumber(buffer.readBigUInt64BE(take(reader, 8)));
+    case 0xd0: return buffer.readInt8(take(reader, 1));
+    case 0xd1: return buffer.readInt16BE(take(reader, 2));
+    case 0xd2: return buffer.readInt32BE(take(reader, 4));
+    case 0xd3: return toSafeNumber(buffer.readBigInt64BE(take(reader, 8)));
+    case 0xd4: return readExtension(reader, 1);
+    case 0xd5: return readExtension(reader, 2);
+    case 0xd6: return readExtension(reader, 4);
+    case 0xd7: return readExtension(reader, 8);
+    case 0xd8: return readExtension(reader, 16);
+    case 0xd9: return readString(reader, buffer.readUInt8(take(reader, 1)));
+    case 0xda: return readString(reader, buffer.readUInt16BE(take(reader, 2)));
+    case 0xdb: return readString(reader, buffer.readUInt32BE(take(reader, 4)));
+    case 0xdc: return readArray(reader, buffer.readUInt16BE(take(reader, 2)), depth);
+    case 0xdd: return readArray(reader, buffer.readUInt32BE(take(reader, 4)), depth);
+    case 0xde: return readMap(reader, buffer.readUInt16BE(take(reader, 2)), depth);
+    case 0xdf: return readMap(reader, buffer.readUInt32BE(take(reader, 4)), depth);
+    default:
+      throw new Error(`MessagePack: invalid type byte 0x${byte.toString(16)}`);
+  }
+}
+
+function readString(reader, length) {
+  const start = take(reader, length);
+  return reader.buffer.toString('utf8', start, start + length);
+}
+
+function readBinary(reader, length) {
+  const start = take(reader, length);
+  return Buffer.from(reader.buffer.subarray(start, start + length));
+}
+
+function readArray(reader, length, depth) {
+  const result = [];
+  for (let i = 0; i < length; i++) {
+    result.push(decodeValue(reader, depth + 1));
+  }
+  return result;
+}
+
+function readMap(reader, length, depth) {
+  const result = {};
+  for (let i = 0; i < length; i++) {
+    const key = decodeValue(reader, depth + 1);
+    // Own property, like JSON.parse, so "__proto__" cannot swap the prototype
+    Object.defineProperty(result, String(key), {
+      value: decodeValue(reader, depth + 1),
+      enumerable: true,
+      writable: true,
+      configurable: true,
+    });
+  }
+  return result;
+}
+
+function readExtension(reader, length) {
+  const type = reader.buffer.readInt8(take(reader, 1));
+  const start = take(reader, length);
+  const data = reader.buffer.subarray(start, start + length);
+
+  if (type !== TIMESTAMP_TYPE) {
+    throw new Error(`MessagePack: unsupported extension type ${type}`);
+  }
+
+  if (length === 4) {
+    return new Date(data.readUInt32BE(0) * 1000);
+  }
+  if (length === 8) {
+    const nanoseconds = data.readUInt32BE(0) >>> 2;
+    const seconds = (data.readUInt32BE(0) & 0x3) * 0x100000000 + data.readUInt32BE(4);
+    return new Date(seconds * 1000 + nanoseconds / 1e6);
+  }
+  if (length === 12) {
+    return new Date(Number(data.readBigInt64BE(4)) * 1000 + data.readUInt32BE(0) / 1e6);
+  }
+  throw new Error('MessagePack: invalid timestamp');
+}
+
+function toSafeNumber(value) {
+  return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+    ? Number(value)
+    : value;
+}
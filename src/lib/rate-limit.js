@@ -0,0 +1,311 @@
+/**
+ * Rate limiting algorithms and stores
+ *
+ * A store implements `consume(key, rule)` and resolves
+ * `{ allowed, limit, remaining, resetTime }`. The algorithms are pure state
+ * transitions, so the memory and Redis stores count exactly alike:
+ *
+ * - 'sliding-window': the previous window's count is weighted by how much of
+ *   it still overlaps, which avoids the burst at fixed window edges
+ * - 'token-bucket': `burst` tokens (default `max`), refilled at `max` per
+ *   `windowMs`
+ */
+
+import crypto from 'crypto';
+
+// ============================================================================
+// Algorithms
+// ============================================================================
+
+function slidingWindow(state, now, { windowMs, max }) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  let { prev = 0, curr = 0 } = state || {};
+
+  if (!state || state.start !== start) {
+    prev = state?.start === start - windowMs ? curr : 0;
+    curr = 0;
+  }
+
+  const weight = 1 - (now - start) / windowMs;
+  const allowed = prev * weight + curr + 1 <= max;
+  if (allowed) curr++;
+
+  return {
+    state: { start, prev, curr },
+    ttl: windowMs * 2,
+    allowed,
+    limit: max,
+    remaining: Math.max(0, Math.floor(max - prev * weight - curr)),
+    resetTime: allowed ? start + windowMs : nextSlot(start, now, windowMs, max, prev, curr),
+  };
+}
+
+// When the weighted count drops far enough for one more request
+function nextSlot(start, now, windowMs, max, prev, curr) {
+  if (curr < max && prev > 0) {
+    return Math.max(now, Math.ceil(start + windowMs * (1 - (max - curr - 1) / prev)));
+  }
+
+  // This window is full: wait for it to become the (decaying) previous one
+  const next = start + windowMs;
+  return curr > 0 ? Math.ceil(next + windowMs * (1 - (max - 1) / curr)) : next;
+}
+
+function tokenBucket(state, now, { windowMs, max, burst = max }) {
+  const rate = max / windowMs; // tokens per ms
+  const elapsed = state ? Math.max(0, now - state.updated) : 0;
+  let tokens = state ? Math.min(burst, state.tokens + elapsed * rate) : burst;
+
+  const allowed = tokens >= 1;
+  if (allowed) tokens -= 1;
+
+  return {
+    state: { tokens, updated: now },
+    ttl: Math.ceil(burst / rate),
+    allowed,
+    limit: burst,
+    remaining: Math.floor(tokens),
+    resetTime: Math.ceil(now + (allowed ? burst - tokens : 1 - tokens) / rate),
+  };
+}
+
+export const ALGORITHMS = {
+  'sliding-window': slidingWindow,
+  'token-bucket': tokenBucket,
+};
+
+/**
+ * Check a rule's options; returns the rule
+ */
+export function validateRateLimitRule(rule) {
+  if (rule.algorithm && !ALGORITHMS[rule.algorithm]) {
+    throw new Error(`Unknown rate limit algorithm "${rule.algorithm}" (expected ${Object.keys(ALGORITHMS).join(' or ')})`);
+  }
+  if (rule.key && typeof rule.key !== 'function' && !KEY_FUNCTIONS[rule.key]) {
+    throw new Error(`Unknown rate limit key "${rule.key}" (expected ${Object.keys(KEY_FUNCTIONS).join(', ')} or a function)`);
+  }
+  if (!(rule.max > 0 && rule.windowMs > 0)) {
+    throw new Error('rateLimit.max and rateLimit.windowMs must be positive numbers');
+  }
+  return rule;
+}
+
+/**
+ * Apply `rule.algorithm` (default 'sliding-window') to a key's stored state
+ * Returns the next state with its TTL in ms and the result.
+ */
+export function applyRateLimit(state, now, rule) {
+  return ALGORITHMS[rule.algorithm || 'sliding-window'](state, now, rule);
+}
+
+// ============================================================================
+// Keys
+// ============================================================================
+
+/**
+ * Built-in key functions; each returns null when the request lacks the
+ * value, and the client IP is used instead. A custom `key(req, { ip })` may
+ * return any string. 'user' and 'apiKey' limits are checked after the auth
+ * hook.
+ */
+export const KEY_FUNCTIONS = {
+  ip: (req, { ip }) => ip,
+  user: (req, { user }) => (user?.id ?? user?.sub ?? null),
+  // Only the key the auth hook verified (`req.apiKey`): a raw header would
+  // let clients rotate made-up keys for fresh quotas. Hashed so keys never
+  // end up in the store.
+  apiKey: (req, { apiKey }) => (
+    apiKey ? crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 32) : null
+  ),
+};
+
+/**
+ * Resolve the counter key for a request
+ */
+export function getRateLimitKey(rule, req, context) {
+  const name = typeof rule.key === 'function' ? 'custom' : (rule.key || 'ip');
+  const keyFn = typeof rule.key === 'function' ? rule.key : KEY_FUNCTIONS[name];
+  const value = keyFn(req, context);
+  const kind = value === null || value === undefined ? 'ip' : name;
+  return `${rule.scope || 'global'}:${kind}:${kind === 'ip' ? context.ip : value}`;
+}
+
+// ============================================================================
+// Rules
+// ============================================================================
+
+/**
+ * Compile `rateLimit.rules`, applied on top of the global limit
+ *
+ * A rule has a `path` (`*` matches any characters, or a RegExp), optional
+ * `methods` and any rate limit option; unset options come from the global
+ * `rateLimit`. `plans` maps the authenticated user's `plan` (e.g. from
+ * APIKeyAuth key metadata) to overrides such as `{ pro: { max: 10000 } }`.
+ */
+export function compileRateLimitRules(rules = [], defaults = {}) {
+  const { windowMs, max, algorithm, key } = defaults;
+
+  return rules.map((rule, index) => {
+    if (!rule.path) {
+      throw new Error(`rateLimit.rules[${index}] needs a path`);
+    }
+
+    const methods = rule.methods ? [].concat(rule.methods).map(method => method.toUpperCase()) : null;
+    const name = rule.name || `${methods ? methods.join(',') : '*'} ${rule.path}`;
+    const compiled = validateRateLimitRule({
+      windowMs, max, algorithm, key,
+      ...rule,
+      name,
+      methods,
+      scope: `rule:${name}`,
+      pattern: rule.path instanceof RegExp ? rule.path : globToRegExp(rule.path),
+    });
+
+    for (const overrides of Object.values(rule.plans || {})) {
+      validateRateLimitRule({ ...compiled, ...overrides });
+    }
+    return compiled;
+  });
+}
+
+function globToRegExp(glob) {
+  const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+export function matchRateLimitRules(rules, method, pathname) {
+  return rules.filter(rule => (!rule.methods || rule.methods.includes(method)) && rule.pattern.test(pathname));
+}
+
+// Rules keyed by user or API key, or with plans, wait for the auth hook
+export function needsUser(rule) {
+  return rule.key === 'user' || rule.key === 'apiKey' || Boolean(rule.plans);
+}
+
+/**
+ * The rule with the user's plan overrides applied
+ */
+export function forPlan(rule, user) {
+  const overrides = rule.plans && user?.plan !== undefined ? rule.plans[user.plan] : null;
+  return overrides ? { ...rule, ...overrides } : rule;
+}
+
+// ============================================================================
+// Stores
+// ============================================================================
+
+/**
+ * In-process store; counts are per server instance
+ */
+export class MemoryRateLimitStore {
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.maxKeys = options.maxKeys || 10000;
+  }
+
+  async consume(key, rule, now = Date.now()) {
+    const entry = this.entries.get(key);
+    const current = entry && entry.expiresAt > now ? entry.state : null;
+    const { state, ttl, ...result } = applyRateLimit(current, now, rule);
+
+    // Re-insert so Map order tracks recent use for eviction
+    this.entries.delete(key);
+    this.entries.set(key, { state, expiresAt: now + ttl });
+
+    if (this.entries.size > this.maxKeys) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return result;
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  // Drop expired counters; returns how many were removed
+  cleanup(now = Date.now()) {
+    let cleaned = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        cleaned++;
+      }
+    }
+    return cleaned;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  async close() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Redis store shared by every instance (node-redis v4 client)
+ *
+ * Each update is an optimistic WATCH/MULTI transaction on the key and is
+ * retried when another instance changed it in between.
+ */
+export class RedisRateLimitStore {
+  constructor(options = {}) {
+    this.client = options.client;
+    this.prefix = options.prefix || 'ratelimit:';
+    this.maxRetries = options.maxRetries ?? 10;
+
+    if (!this.client) {
+      throw new Error('Redis client is required for RedisRateLimitStore');
+    }
+  }
+
+  async consume(key, rule) {
+    const redisKey = this.prefix + key;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      try {
+        return await this.client.executeIsolated(async (isolated) => {
+          await isolated.watch(redisKey);
+          const raw = await isolated.get(redisKey);
+          const { state, ttl, ...result } = applyRateLimit(raw ? JSON.parse(raw) : null, Date.now(), rule);
+
+          await isolated.multi().set(redisKey, JSON.stringify(state), { PX: ttl }).exec();
+          return result;
+        });
+      } catch (error) {
+        if (error.name !== 'WatchError') throw error;
+      }
+    }
+
+    throw new Error(`Rate limit update for "${key}" kept conflicting`);
+  }
+
+  async reset(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  // The client belongs to the caller and counters are shared: nothing to clear
+  async close() {}
+}
+
+/**
+ * Create the store for the `rateLimit` options
+ * `store` takes any object implementing `consume(key, rule)`;
+ * `type: 'redis'` with a `redis` client shares counters between instances.
+ */
+export function createRateLimitStore({ store = null, type = 'memory', redis = null, keyPrefix = 'ratelimit:' } = {}) {
+  if (store) {
+    if (typeof store.consume !== 'function') {
+      throw new Error('rateLimit.store must implement consume(key, rule)');
+    }
+    return store;
+  }
+
+  if (type === 'redis') {
+    return new RedisRateLimitStore({ client: redis, prefix: keyPrefix });
+  }
+
+  return new MemoryRateLimitStore();
+}
@@ -0,0 +1,181 @@
+/**
+ * Input sanitization policy
+ * Decides what happens to strings in the body, query and params before a
+ * handler sees them. The default rejects suspicious input with a 400 instead
+ * of rewriting it; stripping and HTML escaping are opt-in, per-route opt-outs
+ * and field allowlists cover payloads like markdown or code.
+ */
+
+// Element names that count as markup even without attributes; any other
+// `<Name>` is left alone, so generics like `List<String>` get through
+const HTML_TAGS = [
+  'a', 'abbr', 'applet', 'area', 'audio', 'b', 'base', 'blockquote', 'body', 'br', 'button', 'canvas', 'center',
+  'code', 'details', 'dialog', 'div', 'em', 'embed', 'font', 'form', 'frame', 'frameset', 'h[1-6]', 'head', 'hr',
+  'html', 'i', 'iframe', 'image', 'img', 'input', 'label', 'li', 'link', 'map', 'marquee', 'math', 'meta',
+  'noscript', 'object', 'ol', 'option', 'p', 'picture', 'plaintext', 'pre', 'q', 's', 'script', 'select', 'source',
+  'span', 'strong', 'style', 'svg', 'table', 'td', 'template', 'textarea', 'th', 'title', 'tr', 'u', 'ul', 'video',
+  'xmp',
+];
+
+// Only actual markup: `x<y`, `a <b` or `Map<K, V>` are ordinary text
+const MARKUP_PATTERNS = [
+  // <b>, <img>, <input autofocus>; not `a<b && c>d`
+  new RegExp(`<(?:${HTML_TAGS.join('|')})(?:[\\s/]+[\\w:-]+(?:\\s*=\\s*(?:"[^"]*"|'[^']*'|[^\\s"'<>=]+))?)*[\\s/]*>`, 'i'),
+  /<[a-z][\w:-]*(?:\s+|\/)[\w:-]+\s*=/i, // any tag with an attribute: <x onclick=...>, <img/src=...>
+  /<[a-z][\w:-]*\s*\/>/i, // self-closing: <br/>, <foo />
+  /<\/[a-z]/i, // closing tags
+  /<!--|<!\[CDATA\[|<!doctype/i,
+];
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+export const DEFAULT_SANITIZE_OPTIONS = {
+  sanitizer: 'reject', // 'reject' | 'escape' | 'strip' | 'none' | (value, field) => value
+  allow: [], // Field paths left untouched, e.g. 'body.content' or 'body.posts.*.markdown'
+  maxKeyLength: 100,
+  maxStringLength: null, // No limit beyond security.maxBodySize
+};
+
+// ============================================================================
+// Sanitizers
+// ============================================================================
+
+/**
+ * Built-in sanitizers: `(value, field) => value`
+ * A sanitizer throws to reject the field; the message ends up in the 400.
+ */
+export const sanitizers = {
+  // Leave the value alone, refuse anything that looks like HTML tags
+  reject(value) {
+    if (MARKUP_PATTERNS.some(pattern => pattern.test(value))) {
+      throw new Error('must not contain HTML markup');
+    }
+    return value;
+  },
+
+  // Encode for safe HTML output
+  escape(value) {
+    return value.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+  },
+
+  // Legacy behaviour: drop angle brackets and trim
+  strip(value) {
+    return value.replace(/[<>]/g, '').trim();
+  },
+
+  none(value) {
+    return value;
+  },
+};
+
+// ============================================================================
+// Policy
+// ============================================================================
+
+/**
+ * Merge the global options with a route's `export const sanitize`
+ * Returns null when sanitization is turned off for the route.
+ */
+export function resolveSanitizePolicy(options = {}, routeOptions = undefined) {
+  if (options === false || routeOptions === false) {
+    return null;
+  }
+
+  const global = { ...DEFAULT_SANITIZE_OPTIONS, ...options };
+  const route = routeOptions && typeof routeOptions === 'object' ? routeOptions : {};
+  const policy = {
+    ...global,
+    ...route,
+    allow: [...(global.allow || []), ...(route.allow || [])],
+  };
+
+  const sanitizer = typeof policy.sanitizer === 'function'
+    ? policy.sanitizer
+    : sanitizers[policy.sanitizer];
+
+  if (!sanitizer) {
+    throw new Error(`Unknown sanitizer "${policy.sanitizer}" (expected ${Object.keys(sanitizers).join(', ')} or a function)`);
+  }
+
+  return { ...policy, sanitizer, allow: policy.allow.map(pattern => pattern.split('.')) };
+}
+
+/**
+ * Apply a policy to request input
+ * `location` prefixes field paths ('body', 'query', 'params'). Returns
+ * `{ value, errors, changed }`; errors use the ValidationError shape.
+ * Buffers and non-string primitives pass through untouched.
+ */
+export function sanitizeInput(data, location, policy) {
+  const errors = [];
+  let changed = false;
+
+  if (!policy) {
+    return { value: data, errors, changed };
+  }
+
+  const visit = (value, path) => {
+    const field = path.join('.');
+
+    if (isAllowed(policy.allow, path)) {
+      return value;
+    }
+
+    if (typeof value === 'string') {
+      if (policy.maxStringLength && value.length > policy.maxStringLength) {
+        errors.push({ field, message: `must be at most ${policy.maxStringLength} characters` });
+        return value;
+      }
+
+      try {
+        const result = policy.sanitizer(value, field);
+        if (result !== value) changed = true;
+        return result;
+      } catch (error) {
+        errors.push({ field, message: error.message });
+        return value;
+      }
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => visit(item, [...path, String(index)]));
+    }
+
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+      const result = {};
+
+      for (const [key, item] of Object.entries(value)) {
+        if (UNSAFE_KEYS.has(key) || key.length > policy.maxKeyLength) {
+          errors.push({
+            field: `${field}.${key.slice(0, 32)}`,
+            message: UNSAFE_KEYS.has(key) ? 'is not an allowed key' : `key must be at most ${policy.maxKeyLength} characters`,
+          });
+          continue;
+        }
+        result[key] = visit(item, [...path, key]);
+      }
+
+      return result;
+    }
+
+    return value;
+  };
+
+  const value = visit(data, [location]);
+  return { value, errors, changed };
+}
+
+// 'body.posts.*.markdown' matches that field and everything below it
+function isAllowed(patterns, path) {
+  return patterns.some(pattern =>
+    pattern.length <= path.length &&
+    pattern.every((segment, index) => segment === '*' || segment === path[index])
+  );
+}
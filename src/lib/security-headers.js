@@ -0,0 +1,181 @@
+/**
+ * Security response headers (`security.headers`)
+ *
+ * Each option sets one header; `false` leaves it out:
+ *
+ *   contentSecurityPolicy    Content-Security-Policy (or -Report-Only)
+ *   crossOriginOpenerPolicy  Cross-Origin-Opener-Policy
+ *   crossOriginEmbedderPolicy Cross-Origin-Embedder-Policy (off by default)
+ *   crossOriginResourcePolicy Cross-Origin-Resource-Policy
+ *   strictTransportSecurity  Strict-Transport-Security, secure requests only
+ *   frameOptions             X-Frame-Options
+ *   noSniff                  X-Content-Type-Options: nosniff
+ *   referrerPolicy           Referrer-Policy
+ *   permissionsPolicy        Permissions-Policy (string or { feature: [origins] })
+ *   xssProtection            X-XSS-Protection; '0' turns off the legacy
+ *                            auditor, which caused more leaks than it stopped
+ *
+ * CSP directives are written as `{ 'script-src': ["'self'", "'nonce'"] }`
+ * (camelCase keys work too). "'nonce'" is replaced with a fresh
+ * `'nonce-...'` per request; handlers read it as `request.cspNonce`.
+ */
+
+import crypto from 'crypto';
+
+export const NONCE = "'nonce'";
+
+export const DEFAULT_SECURITY_HEADERS = {
+  contentSecurityPolicy: {
+    directives: {
+      'default-src': ["'self'"],
+      'base-uri': ["'self'"],
+      'object-src': ["'none'"],
+      'frame-ancestors': ["'none'"],
+    },
+    reportOnly: false,
+    // Collection route below apiPrefix, e.g. '/csp-report'
+    reportPath: null,
+    onReport: null,
+  },
+  crossOriginOpenerPolicy: 'same-origin',
+  crossOriginEmbedderPolicy: false,
+  crossOriginResourcePolicy: 'same-origin',
+  strictTransportSecurity: { maxAge: 31536000, includeSubDomains: true, preload: false },
+  frameOptions: 'DENY',
+  noSniff: true,
+  referrerPolicy: 'strict-origin-when-cross-origin',
+  permissionsPolicy: { geolocation: [], microphone: [], camera: [] },
+  xssProtection: '0',
+};
+
+/**
+ * Merge header options; CSP directives are merged one by one, so a route can
+ * change `img-src` without restating the rest of the policy
+ */
+export function mergeSecurityHeaders(base, overrides) {
+  if (!overrides) return base;
+
+  const merged = { ...base, ...overrides };
+  const csp = overrides.contentSecurityPolicy;
+
+  if (csp && base?.contentSecurityPolicy) {
+    merged.contentSecurityPolicy = {
+      ...base.contentSecurityPolicy,
+      ...csp,
+      directives: {
+        ...normalizeDirectives(base.contentSecurityPolicy.directives),
+        ...normalizeDirectives(csp.directives),
+      },
+    };
+  }
+  return merged;
+}
+
+/**
+ * Build a CSP header value; `nonce` replaces "'nonce'" sources
+ * A directive set to `true` is written without sources
+ * (e.g. `upgrade-insecure-requests`), `false` or null leaves it out.
+ */
+export function buildCsp(directives, nonce = null) {
+  return Object.entries(normalizeDirectives(directives))
+    .filter(([, value]) => value !== false && value !== null && value !== undefined)
+    .map(([name, value]) => {
+      if (value === true) return name;
+
+      const sources = [].concat(value).map(source => (source === NONCE ? `'nonce-${nonce}'` : source));
+      return `${name} ${sources.join(' ')}`;
+    })
+    .join('; ');
+}
+
+function normalizeDirectives(directives = {}) {
+  return Object.fromEntries(
+    Object.entries(directives).map(([name, value]) => [name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`), value])
+  );
+}
+
+/**
+ * Compile header options into `apply(res, { secure, reportUri })`
+ * `apply` sets the headers and returns the request's CSP nonce (null when
+ * the policy has no "'nonce'" source).
+ */
+export function createSecurityHeaders(options = DEFAULT_SECURITY_HEADERS) {
+  const csp = options.contentSecurityPolicy;
+  const directives = csp ? normalizeDirectives(csp.directives) : {};
+  const usesNonce = Object.values(directives).some(value => [].concat(value).includes(NONCE));
+
+  // Everything except CSP and HSTS is the same for every request
+  const fixed = [
+    ['Cross-Origin-Opener-Policy', options.crossOriginOpenerPolicy],
+    ['Cross-Origin-Embedder-Policy', options.crossOriginEmbedderPolicy],
+    ['Cross-Origin-Resource-Policy', options.crossOriginResourcePolicy],
+    ['X-Frame-Options', options.frameOptions],
+    ['X-Content-Type-Options', options.noSniff && 'nosniff'],
+    ['Referrer-Policy', options.referrerPolicy],
+    ['Permissions-Policy', formatPermissionsPolicy(options.permissionsPolicy)],
+    ['X-XSS-Protection', options.xssProtection],
+  ].filter(([, value]) => value !== false && value !== null && value !== undefined);
+
+  const hsts = formatHsts(options.strictTransportSecurity);
+
+  return {
+    apply(res, { secure = false, reportUri = null } = {}) {
+      for (const [name, value] of fixed) {
+        res.setHeader(name, String(value));
+      }
+
+      // Browsers ignore HSTS over plain HTTP, and a dev server on
+      // localhost shouldn't pin HTTPS for the whole host anyway
+      if (hsts && secure) {
+        res.setHeader('Strict-Transport-Security', hsts);
+      }
+
+      if (!csp) return null;
+
+      const nonce = usesNonce ? crypto.randomBytes(16).toString('base64') : null;
+      const policy = { ...directives };
+      if (reportUri) {
+        policy['report-uri'] = [reportUri];
+        policy['report-to'] = ['csp-endpoint'];
+        res.setHeader('Reporting-Endpoints', `csp-endpoint="${reportUri}"`);
+      }
+
+      const name = csp.reportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy';
+      res.setHeader(name, buildCsp(policy, nonce));
+      return nonce;
+    },
+  };
+}
+
+/**
+ * Normalize a violation report body into a list of reports
+ * Accepts the legacy `application/csp-report` shape (`report-uri`) and the
+ * Reporting API's `application/reports+json` list (`report-to`).
+ */
+export function parseCspReports(raw) {
+  const data = JSON.parse(raw);
+
+  if (Array.isArray(data)) {
+    return data.filter(report => report && typeof report === 'object');
+  }
+  if (data && typeof data['csp-report'] === 'object') {
+    return [{ type: 'csp-violation', body: data['csp-report'] }];
+  }
+  throw new Error('Not a CSP report');
+}
+
+function formatHsts(options) {
+  if (!options) return null;
+  if (typeof options === 'string') return options;
+
+  const { maxAge = 31536000, includeSubDomains = true, preload = false } = options;
+  return [`max-age=${maxAge}`, includeSubDomains && 'includeSubDomains', preload && 'preload'].filter(Boolean).join('; ');
+}
+
+function formatPermissionsPolicy(policy) {
+  if (!policy || typeof policy === 'string') return policy;
+
+  return Object.entries(policy)
+    .map(([feature, allowlist]) => `${feature}=(${[].concat(allowlist).join(' ')})`)
+    .join(', ');
+}
@@ -0,0 +1,195 @@
+/**
+ * Session stores
+ *
+ * A store keeps session records by ID and implements `get(id)`,
+ * `set(id, session, ttlMs)` and `destroy(id)`, all async; records expire
+ * after `ttlMs`. SessionAuth (src/lib/auth.js) decides the TTL from its idle
+ * and absolute timeouts, so every store only needs plain expiry:
+ *
+ * - MemorySessionStore: per process, lost on restart
+ * - FileSessionStore: one JSON file per session, survives restarts
+ * - RedisSessionStore: shared by every instance (node-redis v4 client)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * In-process store
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const entry = this.sessions.get(id);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    // Copies, so changes only count once they are set()
+    return structuredClone(entry.session);
+  }
+
+  async set(id, session, ttl) {
+    this.sessions.set(id, { session: structuredClone(session), expiresAt: Date.now() + ttl });
+  }
+
+  async destroy(id) {
+    this.sessions.delete(id);
+  }
+
+  // Drop expired sessions; returns how many were removed
+  async cleanup(now = Date.now()) {
+    let cleaned = 0;
+    for (const [id, entry] of this.sessions) {
+      if (entry.expiresAt <= now) {
+        this.sessions.delete(id);
+        cleaned++;
+      }
+    }
+    return cleaned;
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  async close() {
+    this.sessions.clear();
+  }
+}
+
+/**
+ * One JSON file per session in `dir`
+ * Files are replaced atomically (write, then rename), so a crash never
+ * leaves a half-written session behind.
+ */
+export class FileSessionStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(os.tmpdir(), 'api-sessions');
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+  }
+
+  // IDs come from cookies: never let one name a path outside `dir`
+  file(id) {
+    if (!/^[\w-]{16,128}$/.test(id)) {
+      throw new Error('Invalid session ID');
+    }
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async get(id) {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(this.file(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+      throw error;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.destroy(id);
+      return null;
+    }
+    return entry.session;
+  }
+
+  async set(id, session, ttl) {
+    const file = this.file(id);
+    const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+
+    await fs.promises.writeFile(temp, JSON.stringify({ session, expiresAt: Date.now() + ttl }), { mode: 0o600 });
+    await fs.promises.rename(temp, file);
+  }
+
+  async destroy(id) {
+    await fs.promises.rm(this.file(id), { force: true });
+  }
+
+  async cleanup(now = Date.now()) {
+    let cleaned = 0;
+
+    for (const name of await fs.promises.readdir(this.dir)) {
+      if (!name.endsWith('.json')) continue;
+
+      const file = path.join(this.dir, name);
+      try {
+        const { expiresAt } = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        if (expiresAt > now) continue;
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+      }
+
+      await fs.promises.rm(file, { force: true });
+      cleaned++;
+    }
+    return cleaned;
+  }
+
+  // Sessions stay on disk for the next start
+  async close() {}
+}
+
+/**
+ * Redis store shared by every instance (node-redis v4 client)
+ * Redis expires the keys itself (`PX`).
+ */
+export class RedisSessionStore {
+  constructor(options = {}) {
+    this.client = options.client;
+    this.prefix = options.prefix || 'session:';
+
+    if (!this.client) {
+      throw new Error('Redis client is required for RedisSessionStore');
+    }
+  }
+
+  async get(id) {
+    const raw = await this.client.get(this.prefix + id);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(id, session, ttl) {
+    await this.client.set(this.prefix + id, JSON.stringify(session), { PX: Math.max(1, Math.ceil(ttl)) });
+  }
+
+  async destroy(id) {
+    await this.client.del(this.prefix + id);
+  }
+
+  // The client belongs to the caller
+  async close() {}
+}
+
+/**
+ * Create the store for SessionAuth's options
+ * `store` takes any object implementing get/set/destroy; `type` is
+ * 'memory' (default), 'file' (with `dir`) or 'redis' (with a `redis` client).
+ */
+export function createSessionStore({ store = null, type = 'memory', dir, redis = null, keyPrefix = 'session:' } = {}) {
+  if (store) {
+    for (const method of ['get', 'set', 'destroy']) {
+      if (typeof store[method] !== 'function') {
+        throw new Error(`Session store must implement ${method}()`);
+      }
+    }
+    return store;
+  }
+
+  if (type === 'file') {
+    return new FileSessionStore({ dir });
+  }
+  if (type === 'redis') {
+    return new RedisSessionStore({ client: redis, prefix: keyPrefix });
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown session store type "${type}" (expected memory, file or redis)`);
+  }
+
+  return new MemorySessionStore();
+}
@@ -0,0 +1,137 @@
+/**
+ * Server-Sent Events helper
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Create a server-sent event stream
+ *
+ * Return `stream.response` from an App Router handler, or call `res.sse()`
+ * in a Next.js style handler. `stream.signal` aborts once the client
+ * disconnects, `close()` is called or the `signal` option aborts (pass
+ * `request.signal`), so timers and subscriptions can be cleaned up there.
+ *
+ * Options:
+ * - `retry` - reconnection delay sent to the client (ms)
+ * - `heartbeat` - interval for keep-alive comments (ms, 0 to disable)
+ * - `signal` - AbortSignal that closes the stream
+ * - `headers` - extra response headers
+ */
+export function createEventStream(options = {}) {
+  const {
+    retry = null,
+    heartbeat = 15000,
+    signal = null,
+    headers = {},
+  } = options;
+
+  const abortController = new AbortController();
+  let streamController = null;
+  let heartbeatTimer = null;
+  let closed = false;
+
+  function cleanup() {
+    closed = true;
+    if (heartbeatTimer) clearInterval(heartbeatTimer);
+    signal?.removeEventListener('abort', close);
+    abortController.abort();
+  }
+
+  function close() {
+    if (closed) return;
+    cleanup();
+    streamController.close();
+  }
+
+  function write(text) {
+    if (closed) return false;
+    streamController.enqueue(encoder.encode(text));
+    return true;
+  }
+
+  const body = new ReadableStream({
+    start(controller) {
+      streamController = controller;
+      // Sent straight away so the client sees the stream open
+      controller.enqueue(encoder.encode(retry ? `retry: ${retry}\n\n` : ':\n\n'));
+    },
+    // The consumer went away (client disconnected)
+    cancel() {
+      if (!closed) cleanup();
+    },
+  });
+
+  if (heartbeat > 0) {
+    heartbeatTimer = setInterval(() => write(': ping\n\n'), heartbeat);
+    heartbeatTimer.unref?.();
+  }
+
+  if (signal?.aborted) {
+    close();
+  } else {
+    signal?.addEventListener('abort', close, { once: true });
+  }
+
+  return {
+    response: new Response(body, {
+      headers: {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+        ...headers,
+      },
+    }),
+
+    signal: abortController.signal,
+
+    get closed() {
+      return closed;
+    },
+
+    /**
+     * Send an event; objects are JSON encoded, `undefined` sends an empty
+     * data line (e.g. for an event name alone)
+     * Returns false once the stream is closed.
+     */
+    send(data, { event, id, retry: retryMs } = {}) {
+      const text = toEventData(data);
+
+      let message = '';
+      if (event) message += `event: ${singleLine(event)}\n`;
+      if (id !== undefined && id !== null) message += `id: ${singleLine(id)}\n`;
+      if (retryMs) message += `retry: ${Number(retryMs)}\n`;
+
+      for (const line of text.split(/\r\n|\r|\n/)) {
+        message += `data: ${line}\n`;
+      }
+
+      return write(`${message}\n`);
+    },
+
+    /**
+     * Send a comment line (ignored by EventSource)
+     */
+    comment(text = '') {
+      return write(`${String(text).split(/\r\n|\r|\n/).map(line => `: ${line}`).join('\n')}\n\n`);
+    },
+
+    close,
+  };
+}
+
+function toEventData(data) {
+  if (data === undefined) return '';
+  if (typeof data === 'string') return data;
+
+  const text = JSON.stringify(data);
+  if (text === undefined) {
+    throw new TypeError(`Cannot send ${typeof data} as event data`);
+  }
+  return text;
+}
+
+// Newlines would end the field early
+function singleLine(value) {
+  return String(value).replace(/[\r\n]/g, '');
+}
@@ -0,0 +1,256 @@
+/**
+ * Route schema validation
+ * Validates request body, query, params and responses against the `schema`
+ * exported by a route file. Accepts Zod-style schemas (anything with
+ * `safeParse`) and a practical subset of JSON Schema.
+ */
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ============================================================================
+// Route Schemas
+// ============================================================================
+
+/**
+ * Pick the schema for a request method
+ * Supports `{ body, query, params, response }` or per-method
+ * `{ POST: { body }, GET: { query } }` exports.
+ */
+export function getRouteSchema(schema, method) {
+  if (!schema || typeof schema !== 'object') return null;
+
+  const isPerMethod = Object.keys(schema).some(key => HTTP_METHODS.includes(key));
+  if (isPerMethod) {
+    return schema[method.toUpperCase()] || null;
+  }
+
+  return schema;
+}
+
+/**
+ * Validate the incoming parts of a request
+ * Query and params arrive as strings, so JSON Schema types are coerced there.
+ * The parsed values (coerced, or a Zod-style schema's defaults and
+ * transforms) are returned for the handler.
+ * Returns `{ errors, body, params, query }`; `errors` is empty when valid
+ */
+export function validateRequest(routeSchema, { body, query, params }) {
+  if (!routeSchema) return { errors: [], body, params, query };
+
+  const checkedParams = checkSchema(routeSchema.params, params, 'params', { coerce: true });
+  const checkedQuery = checkSchema(routeSchema.query, query, 'query', { coerce: true });
+  // parseBody() yields '' when nothing was sent
+  const checkedBody = checkSchema(routeSchema.body, body === '' ? undefined : body, 'body');
+
+  return {
+    errors: [...checkedParams.errors, ...checkedQuery.errors, ...checkedBody.errors],
+    body: routeSchema.body ? checkedBody.value : body,
+    params: checkedParams.value,
+    query: checkedQuery.value,
+  };
+}
+
+/**
+ * Validate a response payload
+ * `response` may be one schema or a map of status code -> schema
+ */
+export function validateResponse(routeSchema, status, data) {
+  if (!routeSchema?.response) return [];
+
+  const { response } = routeSchema;
+  const keys = Object.keys(response);
+  const byStatus = keys.length > 0 && keys.every(key => /^\d{3}$/.test(key));
+
+  if (byStatus) {
+    return validateSchema(response[status], data, 'response');
+  }
+
+  // A single schema describes successful responses only
+  return status >= 200 && status < 300 ? validateSchema(response, data, 'response') : [];
+}
+
+/**
+ * Validate a value against a Zod-style or JSON Schema
+ * Field names are prefixed with the request part, e.g. `body.email`.
+ * Body errors leave out the submitted value, which may be a password.
+ */
+export function validateSchema(schema, value, location, options = {}) {
+  return checkSchema(schema, value, location, options).errors;
+}
+
+// Returns `{ errors, value }` with the parsed (or coerced) value
+function checkSchema(schema, value, location, options = {}) {
+  if (!schema) return { errors: [], value };
+
+  // Zod, Valibot adapters, or anything else exposing safeParse()
+  if (typeof schema.safeParse === 'function') {
+    const result = schema.safeParse(value);
+    if (result.success) return { errors: [], value: result.data };
+
+    const errors = (result.error?.issues || []).map(issue =>
+      toValidationError(location, issue.path || [], issue.message, getPath(value, issue.path || []))
+    );
+    return { errors, value };
+  }
+
+  if (value === undefined) {
+    return { errors: [toValidationError(location, [], `${location} is required`, value)], value };
+  }
+
+  const errors = [];
+  const checked = checkJsonSchema(schema, value, [], errors, { ...options, location });
+
+  return {
+    errors: errors.map(({ path, message, value }) => toValidationError(location, path, message, value)),
+    value: checked,
+  };
+}
+
+// ============================================================================
+// JSON Schema (subset)
+// ============================================================================
+
+// Returns the value, coerced when `options.coerce` is set
+function checkJsonSchema(schema, value, path, errors, options) {
+  const name = path.length > 0 ? path.join('.') : options.location;
+
+  if (value === undefined) {
+    return value;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const coerced = options.coerce ? coerce(value, types) : value;
+
+    if (!types.some(type => matchesType(type, coerced))) {
+      errors.push({ path, message: `${name} must be of type ${types.join(' or ')}`, value });
+      return value;
+    }
+
+    value = coerced;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `${name} must be one of: ${schema.enum.join(', ')}`, value });
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `${name} must be at least ${schema.minLength} characters`, value });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `${name} must be no more than ${schema.maxLength} characters`, value });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `${name} has an invalid format`, value });
+    }
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+      errors.push({ path, message: `${name} must be a valid email address`, value });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `${name} must be at least ${schema.minimum}`, value });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `${name} must be no more than ${schema.maximum}`, value });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `${name} must have at least ${schema.minItems} items`, value });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `${name} must have no more than ${schema.maxItems} items`, value });
+    }
+    if (schema.items) {
+      const items = value.map((item, index) => checkJsonSchema(schema.items, item, [...path, index], errors, options));
+      return items.every((item, index) => item === value[index]) ? value : items;
+    }
+    return value;
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    const properties = schema.properties || {};
+
+    const missing = (schema.required || []).filter(field =>
+      value[field] === undefined || value[field] === null || value[field] === ''
+    );
+
+    for (const field of missing) {
+      errors.push({ path: [...path, field], message: `${[...path, field].join('.')} is required`, value: value[field] });
+    }
+
+    // Copied only once a field was coerced, so unchanged values keep their identity
+    let checked = value;
+    for (const [field, fieldSchema] of Object.entries(properties)) {
+      if (!missing.includes(field) && Object.prototype.hasOwnProperty.call(value, field)) {
+        const fieldValue = checkJsonSchema(fieldSchema, value[field], [...path, field], errors, options);
+        if (fieldValue !== value[field]) {
+          if (checked === value) checked = { ...value };
+          checked[field] = fieldValue;
+        }
+      }
+    }
+
+    if (schema.additionalProperties === false) {
+      for (const field of Object.keys(value)) {
+        if (!(field in properties)) {
+          errors.push({ path: [...path, field], message: `${[...path, field].join('.')} is not allowed`, value: value[field] });
+        }
+      }
+    }
+    return checked;
+  }
+
+  return value;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return true;
+  }
+}
+
+// Query strings and route params are always strings
+function coerce(value, types) {
+  if (typeof value !== 'string') return value;
+
+  if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+
+  return value;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function formatField(location, path) {
+  return [location, ...path].join('.');
+}
+
+function toValidationError(location, path, message, value) {
+  const error = { field: formatField(location, path), message };
+  if (location !== 'body') error.value = value;
+  return error;
+}
+
+function getPath(value, path) {
+  return path.reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
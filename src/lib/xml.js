@@ -0,0 +1,220 @@
+/**
+ * Minimal XML parser for request bodies
+ *
+ * Produces plain objects: `<user id="1"><name>Ada</name></user>` becomes
+ * `{ user: { '@id': '1', name: 'Ada' } }`. Repeated elements become arrays
+ * and text next to child elements or attributes is kept under `#text`.
+ * DOCTYPE declarations are refused, so there is no entity expansion (XXE,
+ * "billion laughs"); only the predefined and numeric entities are decoded.
+ */
+
+const MAX_DEPTH = 256;
+const NAME = /^[A-Za-z_:][\w.:-]*/;
+
+const ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Parse an XML document into `{ [rootName]: value }`
+ */
+export function parseXml(text) {
+  const reader = { text: text.replace(/^\uFEFF/, ''), offset: 0 };
+
+  skipMisc(reader);
+  if (reader.text[reader.offset] !== '<') {
+    fail(reader, 'expected a root element');
+  }
+
+  const [name, value] = parseElement(reader, 0);
+  skipMisc(reader);
+
+  if (reader.offset < reader.text.length) {
+    fail(reader, 'unexpected content after the root element');
+  }
+  return { [name]: value };
+}
+
+// Whitespace, comments, processing instructions and the XML declaration
+function skipMisc(reader) {
+  for (;;) {
+    skipWhitespace(reader);
+    const { text, offset } = reader;
+
+    if (text.startsWith('<?', offset)) {
+      skipPast(reader, '?>');
+    } else if (text.startsWith('<!--', offset)) {
+      skipPast(reader, '-->');
+    } else if (text.slice(offset, offset + 9).toUpperCase() === '<!DOCTYPE') {
+      fail(reader, 'DOCTYPE declarations are not allowed');
+    } else {
+      return;
+    }
+  }
+}
+
+function parseElement(reader, depth) {
+  if (depth > MAX_DEPTH) {
+    fail(reader, 'elements are nested too deeply');
+  }
+
+  reader.offset++; // <
+  const name = readName(reader);
+  const element = {};
+  let hasAttributes = false;
+
+  // Attributes
+  for (;;) {
+    skipWhitespace(reader);
+    const char = reader.text[reader.offset];
+
+    if (char === '/' && reader.text[reader.offset + 1] === '>') {
+      reader.offset += 2;
+      return [name, hasAttributes ? element : ''];
+    }
+    if (char === '>') {
+      reader.offset++;
+      break;
+    }
+
+    const attribute = readName(reader);
+    skipWhitespace(reader);
+    expect(reader, '=');
+    skipWhitespace(reader);
+
+    const quote = reader.text[reader.offset];
+    if (quote !== '"' && quote !== "'") {
+      fail(reader, `expected a quoted value for attribute "${attribute}"`);
+    }
+    const end = reader.text.indexOf(quote, reader.offset + 1);
+    if (end === -1) {
+      fail(reader, 'unterminated attribute value');
+    }
+
+    addChild(element, `@${attribute}`, decodeEntities(reader, reader.text.slice(reader.offset + 1, end)));
+    reader.offset = end + 1;
+    hasAttributes = true;
+  }
+
+  // Content
+  let text = '';
+  let hasChildren = false;
+
+  for (;;) {
+    if (reader.offset >= reader.text.length) {
+      fail(reader, `unclosed element <${name}>`);
+    }
+
+    const rest = reader.text.slice(reader.offset, reader.offset + 9);
+
+    if (rest.startsWith('</')) {
+      reader.offset += 2;
+      const closing = readName(reader);
+      if (closing !== name) {
+        fail(reader, `expected </${name}> but found </${closing}>`);
+      }
+      skipWhitespace(reader);
+      expect(reader, '>');
+      break;
+    } else if (rest.startsWith('<![CDATA[')) {
+      const end = reader.text.indexOf(']]>', reader.offset);
+      if (end === -1) fail(reader, 'unterminated CDATA section');
+      text += reader.text.slice(reader.offset + 9, end);
+      reader.offset = end + 3;
+    } else if (rest.startsWith('<!--')) {
+      skipPast(reader, '-->');
+    } else if (rest.startsWith('<?')) {
+      skipPast(reader, '?>');
+    } else if (rest.startsWith('<!')) {
+      fail(reader, 'declarations are not allowed inside elements');
+    } else if (rest.startsWith('<')) {
+      const [childName, childValue] = parseElement(reader, depth + 1);
+      addChild(element, childName, childValue);
+      hasChildren = true;
+    } else {
+      const end = reader.text.indexOf('<', reader.offset);
+      const chunk = reader.text.slice(reader.offset, end === -1 ? undefined : end);
+      text += decodeEntities(reader, chunk);
+      reader.offset += chunk.length;
+    }
+  }
+
+  if (!hasChildren && !hasAttributes) {
+    return [name, text];
+  }
+  if (text.trim()) {
+    element['#text'] = text;
+  }
+  return [name, element];
+}
+
+function addChild(element, name, value) {
+  const current = Object.prototype.hasOwnProperty.call(element, name) ? element[name] : undefined;
+
+  // Repeated siblings grow the array in place; copying it each time is quadratic
+  if (Array.isArray(current)) {
+    current.push(value);
+    return;
+  }
+
+  // Own property, like JSON.parse, so "__proto__" cannot swap the prototype
+  const next = current === undefined ? value : [current, value];
+  Object.defineProperty(element, name, { value: next, enumerable: true, writable: true, configurable: true });
+}
+
+function decodeEntities(reader, text) {
+  return text.replace(/&([^;\s]*);?/g, (match, entity) => {
+    if (!match.endsWith(';')) {
+      fail(reader, 'unterminated entity reference');
+    }
+    if (entity.startsWith('#')) {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      if (!Number.isInteger(code) || code < 0 || code > 0x10ffff) {
+        fail(reader, `invalid character reference "&${entity};"`);
+      }
+      return String.fromCodePoint(code);
+    }
+    if (!Object.prototype.hasOwnProperty.call(ENTITIES, entity)) {
+      fail(reader, `unknown entity "&${entity};"`);
+    }
+    return ENTITIES[entity];
+  });
+}
+
+function readName(reader) {
+  const match = reader.text.slice(reader.offset, reader.offset + 256).match(NAME);
+  if (!match) {
+    fail(reader, 'expected a name');
+  }
+  reader.offset += match[0].length;
+  return match[0];
+}
+
+function skipWhitespace(reader) {
+  while (/\s/.test(reader.text[reader.offset] || '')) {
+    reader.offset++;
+  }
+}
+
+function skipPast(reader, marker) {
+  const end = reader.text.indexOf(marker, reader.offset);
+  if (end === -1) {
+    fail(reader, `missing "${marker}"`);
+  }
+  reader.offset = end + marker.length;
+}
+
+function expect(reader, char) {
+  if (reader.text[reader.offset] !== char) {
+    fail(reader, `expected "${char}"`);
+  }
+  reader.offset++;
+}
+
+function fail(reader, message) {
+  throw new Error(`XML: ${message} at position ${reader.offset}`);
+}
@@ -0,0 +1,113 @@
+/**
+ * Tests for the /__api explorer endpoints
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createServer } from 'http';
+import { pathToFileURL } from 'url';
+import { createApiMiddleware } from '../api-middleware.js';
+import { createApiExplorer } from '../api-explorer.js';
+import { scanRoutes } from '../routes.js';
+
+describe('API explorer', () => {
+  let root;
+  let server;
+  let baseUrl;
+  let api;
+  let explorer;
+
+  beforeAll(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'api-explorer-'));
+    fs.mkdirSync(path.join(root, 'pages/api/users'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'pages/api/users/[id].mjs'), `
+      // Update a user
+      export async function PUT(request, { params }) {
+        return Response.json({ id: params.id });
+      }
+    `);
+
+    const loadModule = filePath => import(pathToFileURL(filePath).href);
+    api = createApiMiddleware({ compression: { enabled: false }, security: { enableCsrf: true } });
+    api.setRoutes(scanRoutes(root, 'pages/api', '/api'));
+    api.setModuleLoader(loadModule);
+
+    explorer = createApiExplorer({ api, root, loadModule });
+
+    // Mounted the way Vite's connect stack does it
+    server = createServer((req, res) => {
+      const notFound = () => {
+        res.statusCode = 404;
+        res.end();
+      };
+      if (req.url.startsWith('/__api')) {
+        req.url = req.url.slice('/__api'.length) || '/';
+        return explorer.middleware(req, res, notFound);
+      }
+      api.middleware(req, res, notFound);
+    });
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should serve the explorer page', async () => {
+    const response = await fetch(`${baseUrl}/__api`);
+    expect(response.headers.get('content-type')).toContain('text/html');
+    expect(await response.text()).toContain('@vite/client');
+  });
+
+  it('should list routes with methods, params and docs', async () => {
+    const { routes } = await (await fetch(`${baseUrl}/__api/routes`)).json();
+
+    expect(routes).toHaveLength(1);
+    expect(routes[0]).toMatchObject({
+      route: '/api/users/:id',
+      file: path.join('pages', 'api', 'users', '[id].mjs'),
+      operations: {
+        put: {
+          summary: 'Update a user',
+          parameters: [expect.objectContaining({ name: 'id', in: 'path' })],
+        },
+      },
+    });
+  });
+
+  it('should pick up route changes after invalidate()', async () => {
+    fs.writeFileSync(path.join(root, 'pages/api/posts.mjs'), `
+      export async function GET() {
+        return Response.json([]);
+      }
+    `);
+    api.setRoutes(scanRoutes(root, 'pages/api', '/api'));
+
+    const cached = await (await fetch(`${baseUrl}/__api/routes`)).json();
+    expect(cached.routes.map(route => route.route)).toEqual(['/api/posts', '/api/users/:id']);
+    expect(cached.routes[0].operations).toEqual({});
+
+    explorer.invalidate();
+    const { routes } = await (await fetch(`${baseUrl}/__api/routes`)).json();
+    expect(Object.keys(routes[0].operations)).toEqual(['get']);
+  });
+
+  it('should issue CSRF tokens the API accepts', async () => {
+    const session = 'sessionId=abc';
+    const put = headers => fetch(`${baseUrl}/api/users/7`, { method: 'PUT', headers: { Cookie: session, ...headers } });
+
+    expect((await put({})).status).toBe(403);
+
+    const issued = await fetch(`${baseUrl}/__api/csrf-token`, { headers: { Cookie: session } });
+    const { token } = await issued.json();
+    const cookie = issued.headers.getSetCookie()[0].split(';')[0];
+    const response = await put({ 'X-CSRF-Token': token, Cookie: `${session}; ${cookie}` });
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ id: '7' });
+  });
+});
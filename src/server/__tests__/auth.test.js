@@ -0,0 +1,116 @@
+/**
+ * Tests for the auth hook across handler styles
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createServer } from 'http';
+import { pathToFileURL } from 'url';
+import { createApiMiddleware } from '../api-middleware.js';
+import { JWT, createAuthMiddleware, requireRole } from '../../lib/auth.js';
+
+const SECRET = 'test-secret';
+
+describe('Auth hook', () => {
+  let root;
+  let server;
+  let baseUrl;
+  const jwt = new JWT(SECRET);
+  const userToken = jwt.sign({ userId: 1, role: 'user' });
+  const adminToken = jwt.sign({ userId: 2, role: 'admin' });
+
+  beforeAll(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'api-auth-'));
+
+    fs.writeFileSync(path.join(root, 'modern.mjs'), `
+      export async function GET(request) {
+        return Response.json({ user: request.user });
+      }
+    `);
+    fs.writeFileSync(path.join(root, 'legacy.mjs'), `
+      export default function handler(req, res) {
+        res.status(200).json({ user: req.user });
+      }
+    `);
+
+    const authenticate = createAuthMiddleware({ secret: SECRET, publicRoutes: ['/api/public'] });
+    const requireAdmin = requireRole('admin');
+
+    const api = createApiMiddleware({
+      compression: { enabled: false },
+      auth: async (req, res) => {
+        if (!(await authenticate(req, res))) return false;
+        if (req.url.includes('admin=1')) return requireAdmin(req, res);
+        if (req.url.includes('deny=1')) return false;
+        return true;
+      },
+    });
+
+    api.setRoutes(new Map([
+      ['/api/modern', path.join(root, 'modern.mjs')],
+      ['/api/legacy', path.join(root, 'legacy.mjs')],
+    ]));
+    api.setModuleLoader(filePath => import(pathToFileURL(filePath).href));
+
+    server = createServer((req, res) => api.middleware(req, res, () => {
+      res.statusCode = 404;
+      res.end();
+    }));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const get = (url, token) => fetch(`${baseUrl}${url}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+
+  for (const style of ['modern', 'legacy']) {
+    it(`should reject unauthenticated ${style} requests with 401`, async () => {
+      const response = await get(`/api/${style}`);
+      expect(response.status).toBe(401);
+      expect((await response.json()).error).toBe('Unauthorized');
+    });
+
+    it(`should reject ${style} requests without the role with 403`, async () => {
+      const response = await get(`/api/${style}?admin=1`, userToken);
+      expect(response.status).toBe(403);
+      expect((await response.json()).error).toBe('Forbidden');
+    });
+
+    it(`should default to 403 when the hook denies an authenticated ${style} request`, async () => {
+      const response = await get(`/api/${style}?deny=1`, userToken);
+      expect(response.status).toBe(403);
+    });
+
+    it(`should populate the user for ${style} handlers`, async () => {
+      const response = await get(`/api/${style}?admin=1`, adminToken);
+      expect(response.status).toBe(200);
+      expect((await response.json()).user).toMatchObject({ userId: 2, role: 'admin' });
+    });
+  }
+
+  it('should return Responses when used with a Web Request', async () => {
+    const authenticate = createAuthMiddleware({ secret: SECRET });
+
+    const denied = await authenticate(new Request('http://localhost/api/modern'));
+    expect(denied).toBeInstanceOf(Response);
+    expect(denied.status).toBe(401);
+
+    const request = new Request('http://localhost/api/modern', {
+      headers: { Authorization: `Bearer ${userToken}` },
+    });
+    expect(await authenticate(request)).toBe(true);
+    expect(request.user).toMatchObject({ userId: 1 });
+
+    const forbidden = requireRole('admin')(request);
+    expect(forbidden.status).toBe(403);
+  });
+});
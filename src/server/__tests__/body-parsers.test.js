@@ -0,0 +1,141 @@
+/**
+ * Tests for body parsers, codecs and content negotiation
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { createApiMiddleware } from '../api-middleware.js';
+import { negotiate } from '../../lib/body-parsers.js';
+import { decodeCbor, encodeCbor } from '../../lib/cbor.js';
+import { decodeMsgpack, encodeMsgpack } from '../../lib/msgpack.js';
+import { parseXml } from '../../lib/xml.js';
+
+const sample = {
+  id: 42,
+  negative: -70000,
+  ratio: 0.5,
+  big: 2n ** 60n,
+  name: 'Zoë',
+  tags: ['a', 'b'],
+  nested: { ok: true, none: null },
+  bytes: Buffer.from([0, 255]),
+  long: 'x'.repeat(300),
+};
+
+describe('Codecs', () => {
+  it('should round-trip MessagePack and CBOR', () => {
+    expect(decodeMsgpack(encodeMsgpack(sample))).toEqual(sample);
+    expect(decodeCbor(encodeCbor(sample))).toEqual(sample);
+
+    // Indefinite length array: [_ 1, [2, 3], [_ ]]
+    expect(decodeCbor(Buffer.from('9f018202039fffff', 'hex'))).toEqual([1, [2, 3], []]);
+    expect(encodeMsgpack({ a: 1 }).toString('hex')).toBe('81a16101');
+  });
+
+  it('should reject truncated and trailing data', () => {
+    expect(() => decodeMsgpack(Buffer.from('92a161', 'hex'))).toThrow(/unexpected end/);
+    expect(() => decodeCbor(Buffer.from('0101', 'hex'))).toThrow(/after value/);
+  });
+
+  it('should parse XML without expanding entities', () => {
+    const xml = '<?xml version="1.0"?><order id="7"><item>a &amp; b</item><item><![CDATA[<raw>]]></item><note/></order>';
+    expect(parseXml(xml)).toEqual({ order: { '@id': '7', item: ['a & b', '<raw>'], note: '' } });
+
+    expect(() => parseXml('<!DOCTYPE x [<!ENTITY e "boom">]><x>&e;</x>')).toThrow(/DOCTYPE/);
+    expect(() => parseXml('<a><b></a>')).toThrow(/expected <\/b>/);
+  });
+
+  it('should parse many repeated XML siblings in linear time', () => {
+    // About 320KB, well under the default maxBodySize
+    const xml = `<list>${'<a/>'.repeat(80_000)}</list>`;
+    const start = performance.now();
+
+    expect(parseXml(xml).list.a).toHaveLength(80_000);
+    expect(performance.now() - start).toBeLessThan(1000);
+  });
+});
+
+describe('negotiate', () => {
+  const types = ['application/json', 'application/msgpack', 'application/cbor'];
+
+  it('should honour quality values and specificity', () => {
+    expect(negotiate(undefined, types)).toBe('application/json');
+    expect(negotiate('application/msgpack, */*', types)).toBe('application/msgpack');
+    expect(negotiate('application/json;q=0.5, application/cbor', types)).toBe('application/cbor');
+    expect(negotiate('application/*;q=0.2, application/json;q=0', types)).toBe('application/msgpack');
+    expect(negotiate('text/html', types)).toBeNull();
+  });
+});
+
+describe('Body parsing in the middleware', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const echo = {
+      default(req, res) {
+        res.status(200).json({ body: req.body });
+      },
+    };
+    const modules = {
+      '/api/echo': echo,
+      '/api/json': {
+        async POST(request) {
+          return Response.json(await request.json());
+        },
+      },
+    };
+
+    const api = createApiMiddleware({
+      compression: { enabled: false },
+      parsers: {
+        'text/csv': buffer => buffer.toString().trim().split('\n').map(line => line.split(',')),
+      },
+    });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => res.end()));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const post = (path, type, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': type, ...headers },
+    body,
+  });
+
+  it('should parse built-in and registered content types', async () => {
+    const form = await post('/api/echo', 'application/x-www-form-urlencoded', 'a=1&b=x+y&a=2');
+    expect(await form.json()).toEqual({ body: { a: ['1', '2'], b: 'x y' } });
+
+    const packed = await post('/api/echo', 'application/msgpack', encodeMsgpack({ n: 1 }));
+    expect(await packed.json()).toEqual({ body: { n: 1 } });
+
+    const csv = await post('/api/echo', 'text/csv', 'a,b\n1,2\n');
+    expect(await csv.json()).toEqual({ body: [['a', 'b'], ['1', '2']] });
+  });
+
+  it('should answer 400 for malformed JSON', async () => {
+    for (const path of ['/api/echo', '/api/json']) {
+      const response = await post(path, 'application/json', '{"a":');
+      expect(response.status).toBe(400);
+      expect((await response.json()).error).toMatch(/^Malformed application\/json body/);
+    }
+  });
+
+  it('should serialize res.json() by Accept', async () => {
+    const response = await post('/api/echo', 'application/json', '{"n":1}', { Accept: 'application/cbor' });
+
+    expect(response.headers.get('content-type')).toBe('application/cbor');
+    expect(response.headers.get('vary')).toContain('Accept');
+    expect(decodeCbor(Buffer.from(await response.arrayBuffer()))).toEqual({ body: { n: 1 } });
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Tests for the production route build
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildApiRoutes } from '../build.js';
+
+describe('API route build', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'api-entries-'));
+    fs.mkdirSync(path.join(root, 'pages/api/users'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'pages/api/users/[id].js'), 'export const GET = () => Response.json({ dynamic: true });\n');
+    fs.writeFileSync(path.join(root, 'pages/api/users/_id_.js'), 'export const GET = () => Response.json({ literal: true });\n');
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should refuse route files that map to the same bundle entry', async () => {
+    await expect(buildApiRoutes({ root, outDir: 'build/api' })).rejects.toThrow(
+      /pages\/api\/users\/(\[id\]|_id_)\.js and pages\/api\/users\/(\[id\]|_id_)\.js both build to "users\/_id_"/
+    );
+    expect(fs.existsSync(path.join(root, 'build'))).toBe(false);
+  });
+});
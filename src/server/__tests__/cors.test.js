@@ -0,0 +1,100 @@
+/**
+ * Tests for CORS policies (global, per route and per origin)
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { createApiMiddleware } from '../api-middleware.js';
+import { createCorsConfig, createCorsPolicy } from '../../lib/cors.js';
+
+describe('createCorsPolicy', () => {
+  it('should match exact origins, patterns and validators', () => {
+    const policy = createCorsPolicy({ origin: ['https://app.example', 'https://*.partner.example'] });
+
+    expect(policy.allowOrigin('https://app.example')).toBe('https://app.example');
+    expect(policy.allowOrigin('https://eu.partner.example')).toBe('https://eu.partner.example');
+    expect(policy.allowOrigin('https://partner.example.evil')).toBeNull();
+    expect(policy.allowOrigin(undefined)).toBeNull();
+
+    const fromConfig = createCorsPolicy({ origin: createCorsConfig({ origins: ['https://app.example'] }).origin });
+    expect(fromConfig.allowOrigin('https://app.example')).toBe('https://app.example');
+    expect(fromConfig.allowOrigin('https://other.example')).toBeNull();
+  });
+
+  it('should never allow credentials with a wildcard origin', () => {
+    const policy = createCorsPolicy({ origin: '*', credentials: true });
+
+    expect(policy.allowOrigin('https://any.example')).toBe('*');
+    expect(policy.credentials).toBe(false);
+  });
+});
+
+describe('CORS in the middleware', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const ok = () => Response.json({ ok: true });
+    const modules = {
+      '/api/private': { GET: ok },
+      '/api/public': { GET: ok, config: { cors: { origin: '*', allowedHeaders: ['Content-Type'] } } },
+    };
+
+    const api = createApiMiddleware({
+      compression: { enabled: false },
+      cors: { origin: ['https://app.example'], credentials: true },
+    });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => res.end()));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should reflect allowed origins with credentials and Vary: Origin', async () => {
+    const allowed = await fetch(`${baseUrl}/api/private`, { headers: { Origin: 'https://app.example' } });
+    expect(allowed.headers.get('access-control-allow-origin')).toBe('https://app.example');
+    expect(allowed.headers.get('access-control-allow-credentials')).toBe('true');
+    expect(allowed.headers.get('access-control-expose-headers')).toContain('RateLimit-Remaining');
+    expect(allowed.headers.get('vary')).toBe('Origin');
+
+    const other = await fetch(`${baseUrl}/api/private`, { headers: { Origin: 'https://evil.example' } });
+    expect(other.headers.get('access-control-allow-origin')).toBeNull();
+    expect(other.headers.get('vary')).toBe('Origin');
+  });
+
+  it('should answer preflights with the requested headers', async () => {
+    const preflight = await fetch(`${baseUrl}/api/private`, {
+      method: 'OPTIONS',
+      headers: {
+        Origin: 'https://app.example',
+        'Access-Control-Request-Method': 'PUT',
+        'Access-Control-Request-Headers': 'content-type, x-trace-id',
+      },
+    });
+
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers.get('access-control-allow-headers')).toBe('content-type, x-trace-id');
+    expect(preflight.headers.get('access-control-allow-methods')).toContain('PUT');
+    expect(preflight.headers.get('vary')).toBe('Origin, Access-Control-Request-Headers');
+  });
+
+  it('should apply a route override without credentials for *', async () => {
+    const response = await fetch(`${baseUrl}/api/public`, {
+      method: 'OPTIONS',
+      headers: { Origin: 'https://any.example', 'Access-Control-Request-Method': 'GET' },
+    });
+
+    expect(response.headers.get('access-control-allow-origin')).toBe('*');
+    expect(response.headers.get('access-control-allow-credentials')).toBeNull();
+    expect(response.headers.get('access-control-allow-headers')).toBe('Content-Type');
+    expect(response.headers.get('vary')).toBeNull();
+  });
+});
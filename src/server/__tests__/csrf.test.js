@@ -0,0 +1,109 @@
+/**
+ * Tests for stateless CSRF protection (signed double-submit tokens)
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { createApiMiddleware } from '../api-middleware.js';
+import { createCsrfProtection } from '../../lib/csrf.js';
+
+const req = (headers = {}, method = 'POST') => ({ method, headers: { host: 'app.test', ...headers } });
+
+describe('createCsrfProtection', () => {
+  const secret = 'test-secret';
+
+  it('should accept tokens from any instance sharing the secret, for the same session only', () => {
+    const token = createCsrfProtection({ secret }).issue(req({ cookie: 'sessionId=a' }));
+    const other = createCsrfProtection({ secret });
+
+    expect(other.validate(token, req({ cookie: 'sessionId=a' }))).toBe(true);
+    expect(other.validate(token, req({ cookie: 'sessionId=b' }))).toBe(false);
+    expect(other.validate(token.replace(/.$/, c => (c === 'A' ? 'B' : 'A')), req({ cookie: 'sessionId=a' }))).toBe(false);
+    expect(createCsrfProtection({ secret: 'other' }).validate(token, req({ cookie: 'sessionId=a' }))).toBe(false);
+    expect(other.validate(token, req({ cookie: 'sessionId=a' }), Date.now() + 3600 * 1000)).toBe(false);
+  });
+
+  it('should set the cookie once per request and reuse a valid one', () => {
+    const csrf = createCsrfProtection({ secret });
+    const cookies = [];
+    const res = { appendHeader: (name, value) => cookies.push(value) };
+
+    const request = req();
+    const token = csrf.issue(request, res, { protocol: 'https' });
+    expect(csrf.issue(request, res, { protocol: 'https' })).toBe(token);
+    expect(cookies).toEqual([`__Host-csrf=${token}; Max-Age=3600; Path=/; Secure; SameSite=strict`]);
+
+    expect(csrf.issue(req({ cookie: `__Host-csrf=${token}` }), res, { protocol: 'https' })).toBe(token);
+    expect(cookies).toHaveLength(1);
+  });
+
+  it('should check Origin, Sec-Fetch-Site and the double-submitted token', () => {
+    const csrf = createCsrfProtection({ secret, trustedOrigins: ['https://admin.test'] });
+    const client = { protocol: 'https', host: 'app.test' };
+    const token = csrf.issue(req());
+    const withToken = { cookie: `__Host-csrf=${token}`, 'x-csrf-token': token };
+
+    expect(csrf.verify(req({ origin: 'https://evil.test' }), client)).toBe('Cross-origin request blocked');
+    expect(csrf.verify(req({ 'sec-fetch-site': 'cross-site' }), client)).toBe('Cross-site request blocked');
+    expect(csrf.verify(req({ origin: 'https://admin.test', 'sec-fetch-site': 'cross-site' }), client)).toBeNull();
+
+    // Cookies make the request ride on a session: the token is required
+    expect(csrf.verify(req({ origin: 'https://app.test' }), client)).toBeNull();
+    expect(csrf.verify(req({ cookie: 'sessionId=a' }), client)).toBe('Invalid CSRF token');
+    expect(csrf.verify(req({ ...withToken, 'x-csrf-token': 'forged' }), client)).toBe('Invalid CSRF token');
+    expect(csrf.verify(req(withToken), client)).toBeNull();
+
+    expect(createCsrfProtection({ secret, requireToken: true }).verify(req(), client)).toBe('Invalid CSRF token');
+  });
+});
+
+describe('CSRF protection in the middleware', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const modules = {
+      '/api/notes': { POST: () => Response.json({ saved: true }) },
+      '/api/form': { GET: request => Response.json({ token: request.getCsrfToken() }) },
+    };
+
+    const api = createApiMiddleware({ compression: { enabled: false } });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => res.end()));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const post = headers => fetch(`${baseUrl}/api/notes`, { method: 'POST', headers });
+
+  it('should be on by default without getting in the way of cookie-less clients', async () => {
+    expect((await post({ Authorization: 'Bearer x' })).status).toBe(200);
+    expect((await post({ Cookie: 'sessionId=s1' })).status).toBe(403);
+    expect((await post({ Origin: 'https://evil.test' })).status).toBe(403);
+    expect((await post({ Origin: baseUrl })).status).toBe(200);
+  });
+
+  it('should issue tokens from the endpoint and handlers', async () => {
+    const issued = await fetch(`${baseUrl}/api/csrf-token`, { headers: { Cookie: 'sessionId=s1' } });
+    const { token } = await issued.json();
+    const cookie = issued.headers.getSetCookie()[0].split(';')[0];
+
+    expect(issued.headers.get('cache-control')).toBe('no-store');
+    expect(cookie).toBe(`csrf=${token}`);
+    expect((await post({ Cookie: `sessionId=s1; ${cookie}`, 'X-CSRF-Token': token })).status).toBe(200);
+    expect((await post({ Cookie: `sessionId=s2; ${cookie}`, 'X-CSRF-Token': token })).status).toBe(403);
+
+    // A handler that renders a form reuses the cookie's token
+    const form = await fetch(`${baseUrl}/api/form`, { headers: { Cookie: `sessionId=s1; ${cookie}` } });
+    expect(await form.json()).toEqual({ token });
+    expect(form.headers.getSetCookie()).toEqual([]);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for JWT algorithms, key sets and claim validation
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createServer } from 'http';
+import { JWT } from '../../lib/jwt.js';
+import { createAuthMiddleware } from '../../lib/auth.js';
+
+const forge = (header, payload, signature = '') => [header, payload]
+  .map(part => Buffer.from(JSON.stringify(part)).toString('base64url'))
+  .concat(signature)
+  .join('.');
+
+describe('JWT algorithms', () => {
+  it('should sign and verify with RS256, ES256 and EdDSA', () => {
+    const keys = {
+      RS256: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+      ES256: crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }),
+      EdDSA: crypto.generateKeyPairSync('ed25519'),
+    };
+
+    for (const [alg, { privateKey, publicKey }] of Object.entries(keys)) {
+      const token = new JWT({ privateKey, keyId: `${alg}-1` }).sign({ sub: 'u1' });
+      const verifier = new JWT({ publicKey: publicKey.export({ type: 'spki', format: 'pem' }), keyId: `${alg}-1` });
+
+      expect(JSON.parse(Buffer.from(token.split('.')[0], 'base64url'))).toEqual({ alg, typ: 'JWT', kid: `${alg}-1` });
+      expect(verifier.verify(token).sub).toBe('u1');
+    }
+  });
+
+  it('should reject tampering, alg none and algorithm confusion', () => {
+    const jwt = new JWT('test-secret');
+    const token = jwt.sign({ role: 'user' });
+    const [header, , signature] = token.split('.');
+
+    const tampered = `${header}.${Buffer.from(JSON.stringify({ role: 'admin' })).toString('base64url')}.${signature}`;
+    expect(() => jwt.verify(tampered)).toThrow('Invalid token: Invalid signature');
+    expect(() => jwt.verify(forge({ alg: 'none' }, { role: 'admin' }))).toThrow('Algorithm "none" not allowed');
+
+    // An RSA public key must never double as an HMAC secret
+    const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const pem = publicKey.export({ type: 'spki', format: 'pem' });
+    const verifier = new JWT({ publicKey: pem });
+    const data = forge({ alg: 'HS256', typ: 'JWT' }, { role: 'admin' }).slice(0, -1);
+    const hmac = crypto.createHmac('sha256', pem).update(data).digest('base64url');
+    expect(() => verifier.verify(`${data}.${hmac}`)).toThrow('No key for algorithm');
+
+    expect(() => new JWT({ publicKey: pem, algorithm: 'ES256' })).toThrow('cannot be used for ES256');
+  });
+});
+
+describe('JWT claims', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should allow clock skew on exp and nbf', () => {
+    vi.useFakeTimers({ now: 1_000_000_000 });
+    const jwt = new JWT({ secret: 'test-secret', clockTolerance: 10 });
+    const token = jwt.sign({ nbf: 1_000_000 + 5 }, '60s');
+
+    expect(jwt.verify(token)).toMatchObject({ nbf: 1_000_005 });
+    vi.setSystemTime(1_000_000_000 + 69_000);
+    expect(jwt.verify(token)).toBeTruthy();
+    vi.setSystemTime(1_000_000_000 + 70_000);
+    expect(() => jwt.verify(token)).toThrow('Token expired');
+
+    const early = jwt.sign({ nbf: 1_000_070 + 11 });
+    expect(() => jwt.verify(early)).toThrow('Token not active yet');
+  });
+
+  it('should check issuer, audience and revoked jti', async () => {
+    const revoked = new Set();
+    const jwt = new JWT({
+      secret: 'test-secret',
+      issuer: 'https://auth.example',
+      audience: ['api', 'admin'],
+      isRevoked: jti => revoked.has(jti),
+    });
+
+    const token = jwt.sign({ sub: 'u1' });
+    const payload = jwt.verify(token);
+    expect(payload).toMatchObject({ iss: 'https://auth.example', aud: ['api', 'admin'] });
+
+    expect(() => jwt.verify(token, { audience: 'billing' })).toThrow('Unexpected audience');
+    expect(() => jwt.verify(jwt.sign({ iss: 'https://evil.example' }))).toThrow('Unexpected issuer');
+
+    revoked.add(payload.jti);
+    expect(() => jwt.verify(token)).toThrow('Token revoked');
+
+    // An async revocation check needs verifyAsync(); verify() says so instead of passing
+    const store = new JWT({ secret: 'test-secret', isRevoked: async jti => jti === payload.jti });
+    expect(() => store.verify(token)).toThrow('isRevoked is async, use verifyAsync()');
+    await expect(store.verifyAsync(token)).rejects.toThrow('Token revoked');
+  });
+});
+
+describe('JWT key sets', () => {
+  let server;
+  let jwksUri;
+  let requests = 0;
+  let dir;
+  const current = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const next = crypto.generateKeyPairSync('ed25519');
+  const issuer = new JWT({ keys: [{ kid: 'k1', privateKey: current.privateKey }, { kid: 'k2', privateKey: next.privateKey }] });
+  let published = { keys: [issuer.jwks().keys[0]] };
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-jwks-'));
+    server = createServer((req, res) => {
+      requests++;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(published));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    jwksUri = `http://127.0.0.1:${server.address().port}/.well-known/jwks.json`;
+  });
+
+  afterAll(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should publish public keys only and load a local JWKS file', () => {
+    const jwks = issuer.jwks();
+    expect(jwks.keys.map(key => [key.kid, key.alg, key.use])).toEqual([['k1', 'ES256', 'sig'], ['k2', 'EdDSA', 'sig']]);
+    expect(jwks.keys.some(key => 'd' in key)).toBe(false);
+
+    const file = path.join(dir, 'jwks.json');
+    fs.writeFileSync(file, JSON.stringify(jwks));
+    const verifier = new JWT({ jwksFile: file });
+    expect(verifier.verify(issuer.sign({ sub: 'u1' })).sub).toBe('u1');
+  });
+
+  it('should fetch remote keys by kid through the middleware', async () => {
+    const authenticate = createAuthMiddleware({ jwt: { jwksUri, algorithms: ['ES256', 'EdDSA'] } });
+    const request = token => ({ url: '/api/me', headers: { authorization: `Bearer ${token}` } });
+
+    const req = request(issuer.sign({ sub: 'u1' }));
+    expect(await authenticate(req)).toBe(true);
+    expect(req.user.sub).toBe('u1');
+    expect(requests).toBe(1);
+
+    // A token signed with a key the cached set doesn't have yet
+    const rotated = new JWT({ keys: [{ kid: 'k2', privateKey: next.privateKey }] }).sign({ sub: 'u2' });
+    published = issuer.jwks();
+    expect((await authenticate(request(rotated))).status).toBe(401);
+
+    const fresh = createAuthMiddleware({ jwt: { jwksUri } });
+    const rotatedReq = request(rotated);
+    expect(await fresh(rotatedReq)).toBe(true);
+    expect(rotatedReq.user.sub).toBe('u2');
+
+    const remote = new JWT({ jwksUri });
+    expect(() => remote.verify(rotated)).toThrow('use verifyAsync()');
+    expect((await remote.verifyAsync(rotated)).sub).toBe('u2');
+  });
+});
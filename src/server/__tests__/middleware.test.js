@@ -0,0 +1,116 @@
+/**
+ * Tests for directory-level _middleware files
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createServer } from 'http';
+import { pathToFileURL } from 'url';
+import { createApiMiddleware } from '../api-middleware.js';
+import { scanRoutes, scanMiddleware } from '../routes.js';
+
+function writeFile(root, relativePath, content) {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+describe('Directory middleware', () => {
+  let root;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'api-middleware-'));
+
+    writeFile(root, 'pages/api/_middleware.mjs', `
+      export default async function middleware(request, next) {
+        request.locals.trail = ['root'];
+        const response = await next();
+        response?.headers.set('X-Root', 'post');
+        return response;
+      }
+    `);
+    writeFile(root, 'pages/api/admin/_middleware.mjs', `
+      export async function middleware(request) {
+        if (request.headers.get('x-role') !== 'admin') {
+          return Response.json({ error: 'Forbidden' }, { status: 403 });
+        }
+        request.locals.trail.push('admin');
+        request.user = { id: 1, role: 'admin' };
+      }
+    `);
+    writeFile(root, 'pages/api/hello.mjs', `
+      export async function GET(request) {
+        return Response.json({ trail: request.locals.trail });
+      }
+    `);
+    writeFile(root, 'pages/api/admin/users/[id].mjs', `
+      export async function GET(request, { params }) {
+        return Response.json({ id: params.id, trail: request.locals.trail, user: request.user });
+      }
+    `);
+    writeFile(root, 'pages/api/admin/legacy.mjs', `
+      export default function handler(req, res) {
+        res.status(200).json({ trail: req.locals.trail, role: req.user.role });
+      }
+    `);
+
+    const api = createApiMiddleware({ compression: { enabled: false } });
+    api.setRoutes(scanRoutes(root, 'pages/api', '/api'), scanMiddleware(root, 'pages/api', '/api'));
+    api.setModuleLoader(filePath => import(pathToFileURL(filePath).href));
+
+    server = createServer((req, res) => api.middleware(req, res, () => {
+      res.statusCode = 404;
+      res.end();
+    }));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should collect middleware outermost first and skip them as routes', () => {
+    const routes = scanRoutes(root, 'pages/api', '/api');
+    const middleware = scanMiddleware(root, 'pages/api', '/api');
+
+    expect([...routes.keys()]).not.toContain('/api/_middleware');
+    expect(middleware.get('/api/admin/users/:id')).toEqual([
+      path.join(root, 'pages/api/_middleware.mjs'),
+      path.join(root, 'pages/api/admin/_middleware.mjs'),
+    ]);
+  });
+
+  it('should run middleware top-down and post-process the response', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/users/7`, { headers: { 'X-Role': 'admin' } });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('x-root')).toBe('post');
+    expect(await response.json()).toEqual({
+      id: '7',
+      trail: ['root', 'admin'],
+      user: { id: 1, role: 'admin' },
+    });
+  });
+
+  it('should only apply middleware from ancestor directories', async () => {
+    const response = await fetch(`${baseUrl}/api/hello`);
+    expect(await response.json()).toEqual({ trail: ['root'] });
+  });
+
+  it('should short-circuit with a returned Response', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/users/7`);
+    expect(response.status).toBe(403);
+    expect(response.headers.get('x-root')).toBe('post');
+  });
+
+  it('should expose middleware context to Next.js style handlers', async () => {
+    const response = await fetch(`${baseUrl}/api/admin/legacy`, { headers: { 'X-Role': 'admin' } });
+    expect(await response.json()).toEqual({ trail: ['root', 'admin'], role: 'admin' });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for the Next.js compatible res object
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createServer } from 'http';
+import { createApiMiddleware } from '../api-middleware.js';
+
+describe('Next.js style res', () => {
+  let root;
+  let server;
+  let baseUrl;
+  let release;
+
+  beforeAll(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'next-res-'));
+    fs.writeFileSync(path.join(root, 'report.csv'), 'a,b\n1,2\n');
+
+    const modules = {
+      '/api/cookies': {
+        default(req, res) {
+          res.setCookie('a', '1').setCookie('b', '2', { maxAge: 60 });
+          res.appendHeader('Link', '</a>; rel=preload');
+          res.appendHeader('Link', '</b>; rel=preload');
+          res.statusCode = 204;
+          res.end();
+        },
+      },
+      '/api/old': {
+        default(req, res) {
+          res.redirect(308, '/api/new');
+        },
+      },
+      '/api/moved': {
+        default(req, res) {
+          res.redirect('/api/new');
+        },
+      },
+      '/api/stream': {
+        async default(req, res) {
+          res.setHeader('Content-Type', 'text/plain');
+          res.write('first,');
+          await new Promise(resolve => { release = resolve; });
+          res.end(`second:${res.getHeader('content-type')}`);
+        },
+      },
+      '/api/files': {
+        default(req, res) {
+          return req.query.attachment
+            ? res.download(req.query.name, 'Bericht über.csv', { root })
+            : res.sendFile(req.query.name, { root });
+        },
+      },
+    };
+
+    const api = createApiMiddleware({ compression: { enabled: false } });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => res.end()));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should keep every cookie and appended header', async () => {
+    const response = await fetch(`${baseUrl}/api/cookies`);
+
+    expect(response.status).toBe(204);
+    expect(response.headers.getSetCookie()).toEqual([
+      'a=1; Path=/; Secure; HttpOnly; SameSite=strict',
+      'b=2; Max-Age=60; Path=/; Secure; HttpOnly; SameSite=strict',
+    ]);
+    expect(response.headers.get('link')).toBe('</a>; rel=preload, </b>; rel=preload');
+  });
+
+  it('should redirect with 307 by default or the given status', async () => {
+    const moved = await fetch(`${baseUrl}/api/moved`, { redirect: 'manual' });
+    expect(moved.status).toBe(307);
+    expect(moved.headers.get('location')).toBe('/api/new');
+
+    const permanent = await fetch(`${baseUrl}/api/old`, { redirect: 'manual' });
+    expect(permanent.status).toBe(308);
+  });
+
+  it('should stream res.write() chunks', async () => {
+    const response = await fetch(`${baseUrl}/api/stream`);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    expect(decoder.decode((await reader.read()).value)).toBe('first,');
+    release();
+
+    let rest = '';
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      rest += decoder.decode(chunk.value);
+    }
+    expect(rest).toBe('second:text/plain');
+  });
+
+  it('should send and download files inside root only', async () => {
+    const file = await fetch(`${baseUrl}/api/files?name=report.csv`);
+    expect(file.headers.get('content-type')).toBe('text/csv; charset=utf-8');
+    expect(await file.text()).toBe('a,b\n1,2\n');
+
+    const attachment = await fetch(`${baseUrl}/api/files?name=report.csv&attachment=1`);
+    expect(attachment.headers.get('content-disposition'))
+      .toBe(`attachment; filename="Bericht _ber.csv"; filename*=UTF-8''Bericht%20%C3%BCber.csv`);
+
+    expect((await fetch(`${baseUrl}/api/files?name=missing.csv`)).status).toBe(404);
+    expect((await fetch(`${baseUrl}/api/files?name=../../etc/passwd`)).status).toBe(403);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for OpenAPI generation
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { generateOpenApiDocument, toOpenApiPaths } from '../openapi.js';
+
+function writeFile(root, relativePath, content) {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+describe('OpenAPI generation', () => {
+  let root;
+  let document;
+
+  beforeAll(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'api-openapi-'));
+
+    writeFile(root, 'package.json', JSON.stringify({ name: 'shop-api', version: '2.1.0' }));
+    writeFile(root, 'pages/api/users/[id].mjs', `
+      const params = { type: 'object', properties: { id: { type: 'integer' } } };
+      export const schema = {
+        GET: { params },
+        PUT: {
+          params,
+          body: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } },
+          response: { 200: { type: 'object', required: ['id'] } },
+        },
+      };
+      export async function GET(request, { params }) {
+        return Response.json({ id: params.id });
+      }
+      export async function PUT(request, { params }) {
+        return Response.json({ id: params.id });
+      }
+    `);
+    writeFile(root, 'pages/api/public/products.ts', `
+      interface Product {
+        id: number;
+        name: string;
+        tags?: string[];
+        status: 'draft' | 'live';
+      }
+
+      // List products
+      export async function GET(request: Request): Promise<Response> {
+        const page = new URL(request.url).searchParams.get('page');
+        const products: Product[] = [];
+        return Response.json({ page, products });
+      }
+
+      export async function POST(request: Request): Promise<Response> {
+        const body: Omit<Product, 'id'> = await request.json();
+        return Response.json({ id: 1, ...body } as Product, { status: 201 });
+      }
+    `);
+    writeFile(root, 'pages/api/legacy.mjs', `
+      export default function handler(req, res) {
+        if (req.method === 'GET') return res.status(200).json({ ok: true });
+        if (req.method === 'DELETE') return res.status(204).end();
+        res.status(405).json({ error: 'Method not allowed' });
+      }
+    `);
+
+    document = await generateOpenApiDocument({
+      root,
+      auth: { type: 'jwt', publicRoutes: ['/api/public'] },
+      // TypeScript routes are only read for their types here
+      loadModule: filePath => (filePath.endsWith('.ts')
+        ? Promise.resolve({ GET() {}, POST() {} })
+        : import(pathToFileURL(filePath).href)),
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should produce an OpenAPI 3.1 document from the route scanner', () => {
+    expect(document.openapi).toBe('3.1.0');
+    expect(document.info).toEqual({ title: 'shop-api', version: '2.1.0' });
+    expect(Object.keys(document.paths)).toEqual(['/api/legacy', '/api/public/products', '/api/users/{id}']);
+  });
+
+  it('should use exported schemas for params, bodies and responses', () => {
+    const { get, put } = document.paths['/api/users/{id}'];
+
+    expect(get.parameters).toEqual([
+      expect.objectContaining({ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }),
+    ]);
+    expect(put.requestBody.content['application/json'].schema.required).toEqual(['name']);
+    expect(put.responses['200'].content['application/json'].schema).toEqual({ type: 'object', required: ['id'] });
+    expect(put.responses['400'].content['application/json'].schema.$ref)
+      .toBe('#/components/schemas/ValidationErrorResponse');
+  });
+
+  it('should derive schemas from TypeScript types', () => {
+    const { get, post } = document.paths['/api/public/products'];
+
+    expect(get.summary).toBe('List products');
+    expect(get.parameters).toEqual([{ name: 'page', in: 'query', required: false, schema: { type: 'string' } }]);
+    expect(get.responses['200'].content['application/json'].schema.properties.products.items).toEqual({
+      type: 'object',
+      properties: {
+        id: { type: 'number' },
+        name: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+        status: { type: 'string', enum: ['draft', 'live'] },
+      },
+      required: ['id', 'name', 'status'],
+    });
+    expect(post.requestBody.content['application/json'].schema.required).toEqual(['name', 'status']);
+    expect(Object.keys(post.responses)).toEqual(['201']);
+  });
+
+  it('should read methods from Next.js style handlers', () => {
+    const { get, delete: remove } = document.paths['/api/legacy'];
+    expect(Object.keys(document.paths['/api/legacy'])).toEqual(['get', 'delete']);
+    expect(Object.keys(get.responses)).toEqual(['200', '401', '405']);
+    expect(remove.responses['401']).toBeDefined();
+  });
+
+  it('should derive security from the auth config', () => {
+    expect(document.components.securitySchemes).toEqual({
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    });
+    expect(document.security).toEqual([{ bearerAuth: [] }]);
+    expect(document.paths['/api/public/products'].get.security).toEqual([]);
+    expect(document.paths['/api/users/{id}'].get.responses).toHaveProperty('401');
+  });
+
+  it('should split optional catch-all routes', () => {
+    expect(toOpenApiPaths('/api/docs/:slug*').map(entry => entry.path)).toEqual(['/api/docs', '/api/docs/{slug}']);
+    expect(toOpenApiPaths('/api/files/:path+').map(entry => entry.path)).toEqual(['/api/files/{path}']);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for the standalone production server
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { createApiServer } from '../production-server.js';
+import { loadRouteManifest } from '../build.js';
+
+describe('Production server', () => {
+  let dir;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-build-'));
+    fs.mkdirSync(path.join(dir, 'users'));
+
+    fs.writeFileSync(path.join(dir, 'hello.mjs'), `
+      export default function handler(req, res) {
+        res.status(200).json({ message: 'hello', method: req.method });
+      }
+    `);
+    fs.writeFileSync(path.join(dir, 'users/_id_.mjs'), `
+      export async function GET(request, { params }) {
+        return Response.json({
+          path: new URL(request.url).pathname,
+          params,
+          requestParams: request.params,
+        });
+      }
+    `);
+    fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({
+      version: 1,
+      apiPrefix: '/api',
+      routes: [
+        { route: '/api/hello', file: 'hello.mjs', source: 'pages/api/hello.js' },
+        { route: '/api/users/:id', file: 'users/_id_.mjs', source: 'pages/api/users/[id].js' },
+      ],
+    }));
+
+    server = createApiServer({ dir, compression: { enabled: false } });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should resolve manifest entries to absolute module paths', () => {
+    const { routes } = loadRouteManifest(dir);
+    expect(routes.get('/api/hello')).toBe(path.join(dir, 'hello.mjs'));
+  });
+
+  it('should answer upgrades outside the API with 404 and close the socket', async () => {
+    const socket = net.connect(server.address().port, '127.0.0.1');
+    socket.write('GET /socket HTTP/1.1\r\nHost: localhost\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n\r\n');
+
+    let response = '';
+    socket.on('data', chunk => { response += chunk; });
+    await new Promise(resolve => socket.on('close', resolve));
+
+    expect(response).toMatch(/^HTTP\/1\.1 404 Not Found\r\n/);
+  });
+
+  it('should serve Next.js style handlers', async () => {
+    const response = await fetch(`${baseUrl}/api/hello`);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ message: 'hello', method: 'GET' });
+  });
+
+  it('should serve App Router style handlers on dynamic routes', async () => {
+    const response = await fetch(`${baseUrl}/api/users/42`);
+    expect(response.status).toBe(200);
+    expect((await response.json()).path).toBe('/api/users/42');
+  });
+
+  it('should pass route params as the second handler argument', async () => {
+    const response = await fetch(`${baseUrl}/api/users/42`);
+    const body = await response.json();
+    expect(body.params).toEqual({ id: '42' });
+    expect(body.requestParams).toEqual({ id: '42' });
+  });
+
+  it('should apply the security pipeline', async () => {
+    const response = await fetch(`${baseUrl}/api/hello`);
+    expect(response.headers.get('x-content-type-options')).toBe('nosniff');
+    expect(response.headers.get('x-ratelimit-limit')).toBe('100');
+  });
+
+  it('should return 404 for unknown routes', async () => {
+    const response = await fetch(`${baseUrl}/api/missing`);
+    expect(response.status).toBe(404);
+  });
+
+  it('should fail fast without a manifest', () => {
+    expect(() => loadRouteManifest(os.tmpdir() + '/does-not-exist')).toThrow(/manifest not found/);
+  });
+});
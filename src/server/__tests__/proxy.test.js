@@ -0,0 +1,84 @@
+/**
+ * Tests for trusted proxy handling (client IP, protocol and host)
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { createApiMiddleware } from '../api-middleware.js';
+import { compileTrustProxy, parseForwarded, resolveClient } from '../proxy.js';
+
+const req = (headers, remoteAddress = '10.0.0.1') => ({ headers: { host: 'internal:3000', ...headers }, socket: { remoteAddress } });
+
+describe('resolveClient', () => {
+  const chain = {
+    'x-forwarded-for': '6.6.6.6, 203.0.113.7, 10.0.0.2',
+    'x-forwarded-proto': 'https',
+    'x-forwarded-host': 'api.example.com',
+  };
+
+  it('should ignore forwarding headers unless the peer is trusted', () => {
+    expect(resolveClient(req(chain))).toEqual({ ip: '10.0.0.1', protocol: 'http', host: 'internal:3000' });
+    expect(resolveClient(req(chain), '192.168.0.0/16').ip).toBe('10.0.0.1');
+  });
+
+  it('should walk trusted hops by count or CIDR', () => {
+    expect(resolveClient(req(chain), 2)).toEqual({ ip: '203.0.113.7', protocol: 'https', host: 'api.example.com' });
+    expect(resolveClient(req(chain), '10.0.0.0/8').ip).toBe('203.0.113.7');
+    expect(resolveClient(req(chain), true).ip).toBe('6.6.6.6');
+    expect(resolveClient(req(chain, '::ffff:127.0.0.1'), ['loopback', '10.0.0.2']).ip).toBe('203.0.113.7');
+  });
+
+  it('should prefer the RFC 7239 Forwarded header', () => {
+    const forwarded = req({
+      forwarded: 'for="[2001:db8:cafe::17]:4711";proto=https;host=shop.example, for=10.0.0.2;proto=http',
+      'x-forwarded-for': '6.6.6.6',
+    });
+
+    expect(resolveClient(forwarded, 'uniquelocal')).toEqual({ ip: '2001:db8:cafe::17', protocol: 'https', host: 'shop.example' });
+    expect(parseForwarded('for=_hidden;by="a;b", for=unknown')).toEqual([{ for: '_hidden', by: 'a;b' }, { for: 'unknown' }]);
+  });
+
+  it('should reject invalid options', () => {
+    expect(() => compileTrustProxy(-1)).toThrow(/trustProxy/);
+    expect(() => compileTrustProxy(['proxy.local'])).toThrow(/invalid address/);
+  });
+});
+
+describe('Trusted proxies in the middleware', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const modules = {
+      '/api/whoami': {
+        GET: request => Response.json({ ip: request.ip, url: request.url }),
+      },
+    };
+
+    const api = createApiMiddleware({ compression: { enabled: false }, trustProxy: 'loopback' });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => res.end()));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should use the forwarded client for request.ip and request.url', async () => {
+    const response = await fetch(`${baseUrl}/api/whoami?x=1`, {
+      headers: {
+        'X-Forwarded-For': '198.51.100.4',
+        'X-Forwarded-Proto': 'https',
+        'X-Forwarded-Host': 'api.example.com',
+      },
+    });
+
+    expect(await response.json()).toEqual({ ip: '198.51.100.4', url: 'https://api.example.com/api/whoami?x=1' });
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Tests for rate limit algorithms, stores, keys and client IPs
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { createApiMiddleware } from '../api-middleware.js';
+import { getClientIp } from '../proxy.js';
+import {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  compileRateLimitRules,
+  getRateLimitKey,
+  matchRateLimitRules,
+  validateRateLimitRule,
+} from '../../lib/rate-limit.js';
+
+// Just enough of a node-redis v4 client: GET/SET/DEL and WATCH/MULTI/EXEC
+function createRedisStandIn() {
+  const data = new Map();
+  const versions = new Map();
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  const client = {
+    data,
+    async get(key) {
+      await tick();
+      return data.get(key) ?? null;
+    },
+    async del(key) {
+      data.delete(key);
+      versions.set(key, (versions.get(key) || 0) + 1);
+    },
+    async executeIsolated(fn) {
+      const watched = new Map();
+      return fn({
+        get: client.get,
+        async watch(key) {
+          watched.set(key, versions.get(key) || 0);
+        },
+        multi() {
+          const writes = [];
+          const chain = {
+            set(key, value, { PX }) {
+              writes.push([key, value, PX]);
+              return chain;
+            },
+            async exec() {
+              await tick();
+              for (const [key, version] of watched) {
+                if ((versions.get(key) || 0) !== version) {
+                  throw Object.assign(new Error('One (or more) of the watched keys has been changed'), { name: 'WatchError' });
+                }
+              }
+              for (const [key, value] of writes) {
+                data.set(key, value);
+                versions.set(key, (versions.get(key) || 0) + 1);
+              }
+              return writes.map(() => 'OK');
+            },
+          };
+          return chain;
+        },
+      });
+    },
+  };
+
+  return client;
+}
+
+describe('Rate limit algorithms', () => {
+  it('should weight the previous window in the sliding window', async () => {
+    const store = new MemoryRateLimitStore();
+    const rule = { windowMs: 1000, max: 2 };
+
+    expect((await store.consume('k', rule, 0)).allowed).toBe(true);
+    expect((await store.consume('k', rule, 10)).allowed).toBe(true);
+    expect(await store.consume('k', rule, 20)).toEqual({ allowed: false, limit: 2, remaining: 0, resetTime: 1500 });
+
+    // Half of the previous window still counts: 2 * 0.5 + 1 = 2
+    expect((await store.consume('k', rule, 1500)).allowed).toBe(true);
+    expect((await store.consume('k', rule, 1600)).allowed).toBe(false);
+  });
+
+  it('should refill the token bucket at max per window', async () => {
+    const store = new MemoryRateLimitStore();
+    const rule = { algorithm: 'token-bucket', windowMs: 1000, max: 10, burst: 2 };
+
+    expect((await store.consume('k', rule, 0)).remaining).toBe(1);
+    expect((await store.consume('k', rule, 0)).remaining).toBe(0);
+    expect(await store.consume('k', rule, 50)).toEqual({ allowed: false, limit: 2, remaining: 0, resetTime: 100 });
+    expect((await store.consume('k', rule, 100)).allowed).toBe(true);
+  });
+
+  it('should match rules by path and method', () => {
+    const rules = compileRateLimitRules([
+      { path: '/api/auth/login', methods: ['post'], max: 5 },
+      { path: '/api/admin/*', key: 'user' },
+    ], { windowMs: 60000, max: 100 });
+
+    expect(rules[0]).toMatchObject({ name: 'POST /api/auth/login', windowMs: 60000, max: 5, scope: 'rule:POST /api/auth/login' });
+    expect(matchRateLimitRules(rules, 'POST', '/api/auth/login')).toEqual([rules[0]]);
+    expect(matchRateLimitRules(rules, 'GET', '/api/auth/login')).toEqual([]);
+    expect(matchRateLimitRules(rules, 'GET', '/api/admin/users/1')).toEqual([rules[1]]);
+    expect(() => compileRateLimitRules([{ max: 1 }], { windowMs: 1000, max: 1 })).toThrow(/needs a path/);
+  });
+
+  it('should reject unknown algorithms and keys', () => {
+    expect(() => validateRateLimitRule({ windowMs: 1000, max: 1, algorithm: 'leaky' })).toThrow(/algorithm/);
+    expect(() => validateRateLimitRule({ windowMs: 1000, max: 1, key: 'session' })).toThrow(/key/);
+  });
+});
+
+describe('RedisRateLimitStore', () => {
+  it('should share counters between instances under contention', async () => {
+    const redis = createRedisStandIn();
+    const instances = [new RedisRateLimitStore({ client: redis }), new RedisRateLimitStore({ client: redis })];
+    const rule = { windowMs: 60000, max: 5 };
+
+    const results = await Promise.all(
+      Array.from({ length: 8 }, (_, i) => instances[i % 2].consume('global:ip:1.2.3.4', rule))
+    );
+
+    expect(results.filter(result => result.allowed)).toHaveLength(5);
+    expect(JSON.parse(redis.data.get('ratelimit:global:ip:1.2.3.4')).curr).toBe(5);
+
+    await instances[0].reset('global:ip:1.2.3.4');
+    expect((await instances[1].consume('global:ip:1.2.3.4', rule)).remaining).toBe(4);
+  });
+});
+
+describe('Rate limit keys and client IPs', () => {
+  const req = (headers = {}, remoteAddress = '10.0.0.2') => ({ headers, socket: { remoteAddress } });
+
+  it('should key by API key or user and fall back to the IP', () => {
+    const apiKey = getRateLimitKey({ key: 'apiKey', scope: '/api/a' }, req(), { ip: '1.1.1.1', apiKey: 'secret' });
+    expect(apiKey).toMatch(/^\/api\/a:apiKey:[0-9a-f]{32}$/);
+    expect(apiKey).not.toContain('secret');
+
+    // An unverified header doesn't count
+    expect(getRateLimitKey({ key: 'apiKey' }, req({ 'x-api-key': 'made-up' }), { ip: '1.1.1.1' })).toBe('global:ip:1.1.1.1');
+
+    expect(getRateLimitKey({ key: 'user' }, req(), { ip: '1.1.1.1', user: { id: 7 } })).toBe('global:user:7');
+    expect(getRateLimitKey({ key: 'user' }, req(), { ip: '1.1.1.1' })).toBe('global:ip:1.1.1.1');
+  });
+
+  it('should only believe X-Forwarded-For from trusted proxies', () => {
+    const forwarded = req({ 'x-forwarded-for': '6.6.6.6, 1.2.3.4, 10.0.0.1' });
+
+    expect(getClientIp(forwarded)).toBe('10.0.0.2');
+    expect(getClientIp(forwarded, true)).toBe('6.6.6.6');
+    expect(getClientIp(forwarded, 2)).toBe('1.2.3.4');
+    expect(getClientIp(forwarded, 10)).toBe('6.6.6.6');
+  });
+});
+
+describe('Rate limiting in the middleware', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const modules = { '/api/ping': { GET: () => Response.json({ ok: true }) } };
+
+    const api = createApiMiddleware({
+      compression: { enabled: false },
+      rateLimit: { windowMs: 60000, max: 2 },
+    });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => res.end()));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should not let a spoofed X-Forwarded-For reset the limit', async () => {
+    const statuses = [];
+    for (const ip of ['1.1.1.1', '2.2.2.2', '3.3.3.3']) {
+      const response = await fetch(`${baseUrl}/api/ping`, { headers: { 'X-Forwarded-For': ip } });
+      statuses.push(response.status);
+    }
+
+    expect(statuses).toEqual([200, 200, 429]);
+  });
+});
+
+describe('Rate limit rules in the middleware', () => {
+  let server;
+  let baseUrl;
+  let api;
+
+  beforeAll(async () => {
+    const ok = () => Response.json({ ok: true });
+    const modules = {
+      '/api/auth/login': { POST: ok },
+      '/api/v1/data': { GET: ok },
+    };
+    const keys = { free: { name: 'Hobby' }, pro: { name: 'Partner', plan: 'pro' } };
+
+    api = createApiMiddleware({
+      compression: { enabled: false },
+      auth: (req) => {
+        req.user = keys[req.headers['x-api-key']] || null;
+        req.apiKey = req.user ? req.headers['x-api-key'] : undefined;
+        return true;
+      },
+      rateLimit: {
+        windowMs: 60000,
+        max: 100,
+        rules: [
+          { path: '/api/auth/login', methods: ['POST'], max: 2 },
+          { name: 'tiers', path: '/api/v1/*', key: 'apiKey', max: 1, plans: { pro: { max: 3 } } },
+        ],
+      },
+    });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => res.end()));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should apply the tightest of the global limit and matching rules', async () => {
+    const first = await fetch(`${baseUrl}/api/auth/login`, { method: 'POST' });
+
+    expect(first.headers.get('ratelimit-limit')).toBe('2');
+    expect(first.headers.get('ratelimit-remaining')).toBe('1');
+    expect(first.headers.get('ratelimit-policy')).toBe('100;w=60, 2;w=60');
+    expect(first.headers.get('x-ratelimit-limit')).toBe('2');
+
+    await fetch(`${baseUrl}/api/auth/login`, { method: 'POST' });
+    const limited = await fetch(`${baseUrl}/api/auth/login`, { method: 'POST' });
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('ratelimit-reset'))).toBeGreaterThan(0);
+  });
+
+  it('should give each plan its own quota', async () => {
+    const statuses = async (key) => {
+      const results = [];
+      for (let i = 0; i < 4; i++) {
+        results.push((await fetch(`${baseUrl}/api/v1/data`, { headers: { 'X-API-Key': key } })).status);
+      }
+      return results;
+    };
+
+    expect(await statuses('free')).toEqual([200, 429, 429, 429]);
+    expect(await statuses('pro')).toEqual([200, 200, 200, 429]);
+  });
+
+  it('should not give made-up API keys their own quota', async () => {
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push((await fetch(`${baseUrl}/api/v1/data`, { headers: { 'X-API-Key': `random-${i}` } })).status);
+    }
+
+    // Unverified keys share the client's IP bucket
+    expect(results).toEqual([200, 429, 429]);
+  });
+
+  it('should report per-rule counters', async () => {
+    const { rateLimit } = await api.getStats();
+
+    expect(rateLimit.rules).toEqual([
+      expect.objectContaining({ name: 'POST /api/auth/login', max: 2, allowed: 2, limited: 1 }),
+      expect.objectContaining({ name: 'tiers', allowed: 5, limited: 6 }),
+    ]);
+    expect(rateLimit.scopes.global.allowed).toBe(14);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for per-route `export const config`
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { createApiMiddleware } from '../api-middleware.js';
+import { parseSize, resolveRouteConfig } from '../route-config.js';
+
+describe('resolveRouteConfig', () => {
+  const defaults = {
+    maxBodySize: 1024,
+    timeout: 30000,
+    rateLimit: { windowMs: 1000, max: 100, scope: null },
+    cache: null,
+    cors: { origin: '*' },
+    csrf: true,
+  };
+
+  it('should merge sections over the global options', () => {
+    const config = resolveRouteConfig({
+      api: { bodyParser: { sizeLimit: '1.5kb' } },
+      rateLimit: { max: 2 },
+      cors: false,
+    }, defaults, '/api/a');
+
+    expect(config.maxBodySize).toBe(1536);
+    expect(config.rateLimit).toEqual({ windowMs: 1000, max: 2, scope: '/api/a' });
+    expect(config.cors).toBeNull();
+    expect(config.csrf).toBe(true);
+    expect(resolveRouteConfig(undefined, defaults, '/api/a').rateLimit.scope).toBeNull();
+  });
+
+  it('should reject invalid values', () => {
+    expect(parseSize('2mb')).toBe(2 * 1024 * 1024);
+    expect(() => parseSize('lots')).toThrow(/Invalid size/);
+    expect(() => resolveRouteConfig({ runtime: 'deno' }, defaults, '/api/a')).toThrow(/unsupported runtime/);
+    expect(() => resolveRouteConfig({ timeout: '1s' }, defaults, '/api/a')).toThrow(/timeout/);
+  });
+});
+
+describe('Route config in the middleware', () => {
+  let server;
+  let baseUrl;
+  let modules;
+
+  beforeAll(async () => {
+    const echo = async request => Response.json(await request.json());
+
+    modules = {
+      '/api/small': { POST: echo, config: { bodyParser: { sizeLimit: '10b' }, csrf: false } },
+      '/api/open': { POST: echo, config: { csrf: false } },
+      '/api/guarded': { POST: echo },
+      '/api/slow': {
+        async GET() {
+          await new Promise(resolve => setTimeout(resolve, 300));
+          return Response.json({ ok: true });
+        },
+        config: { timeout: 50 },
+      },
+      '/api/limited': {
+        GET: () => Response.json({ ok: true }),
+        config: { rateLimit: { max: 1 }, cors: false },
+      },
+    };
+
+    const api = createApiMiddleware({
+      compression: { enabled: false },
+      security: { enableCsrf: true },
+    });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => res.end()));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // With a session cookie, as a browser would send it
+  const post = (path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: 'sessionId=abc' },
+    body: JSON.stringify(body),
+  });
+
+  it('should apply the route body size limit and CSRF opt-out', async () => {
+    expect((await post('/api/open', { a: 1 })).status).toBe(200);
+    expect((await post('/api/guarded', { a: 1 })).status).toBe(403);
+    expect((await post('/api/small', { text: 'more than ten bytes' })).status).toBe(413);
+  });
+
+  it('should time out with the route timeout', async () => {
+    const response = await fetch(`${baseUrl}/api/slow`);
+
+    expect(response.status).toBe(408);
+    expect((await response.json()).message).toBe('Request exceeded 50ms timeout');
+  });
+
+  it('should count the route rate limit separately and skip CORS', async () => {
+    const first = await fetch(`${baseUrl}/api/limited`);
+    expect(first.status).toBe(200);
+    expect(first.headers.get('x-ratelimit-limit')).toBe('1');
+    expect(first.headers.get('access-control-allow-origin')).toBeNull();
+
+    expect((await fetch(`${baseUrl}/api/limited`)).status).toBe(429);
+    expect((await post('/api/open', {})).headers.get('x-ratelimit-limit')).toBe('100');
+  });
+
+  it('should re-read the config when the module is reloaded', async () => {
+    modules['/api/limited'] = { ...modules['/api/limited'], config: { rateLimit: false } };
+
+    const response = await fetch(`${baseUrl}/api/limited`);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('x-ratelimit-limit')).toBeNull();
+    expect(response.headers.get('access-control-allow-origin')).toBe('*');
+  });
+});
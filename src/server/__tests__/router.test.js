@@ -0,0 +1,57 @@
+/**
+ * Tests for the precompiled route matcher
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRouter } from '../router.js';
+
+function routerFor(...routes) {
+  return createRouter(new Map(routes.map(route => [route, `file:${route}`])));
+}
+
+describe('Router', () => {
+  it('should match static routes exactly', () => {
+    const router = routerFor('/api/hello', '/api/users');
+    expect(router.match('/api/hello')).toEqual({ route: '/api/hello', handler: 'file:/api/hello', params: {} });
+    expect(router.match('/api/missing')).toBeNull();
+  });
+
+  it('should prefer static over dynamic regardless of insertion order', () => {
+    const router = routerFor('/api/users/:id', '/api/users/me');
+    expect(router.match('/api/users/me').route).toBe('/api/users/me');
+    expect(router.match('/api/users/42')).toMatchObject({ route: '/api/users/:id', params: { id: '42' } });
+  });
+
+  it('should prefer dynamic over catch-all', () => {
+    const router = routerFor('/api/docs/:slug+', '/api/docs/:id');
+    expect(router.match('/api/docs/intro').route).toBe('/api/docs/:id');
+    expect(router.match('/api/docs/a/b')).toMatchObject({ route: '/api/docs/:slug+', params: { slug: ['a', 'b'] } });
+  });
+
+  it('should backtrack from a static branch to a dynamic one', () => {
+    const router = routerFor('/api/users/me', '/api/users/:id/settings');
+    expect(router.match('/api/users/me/settings')).toMatchObject({
+      route: '/api/users/:id/settings',
+      params: { id: 'me' },
+    });
+  });
+
+  it('should match optional catch-all with zero segments', () => {
+    const router = routerFor('/api/shop/:path*');
+    expect(router.match('/api/shop').params).toEqual({ path: [] });
+    expect(router.match('/api/shop/a').params).toEqual({ path: ['a'] });
+  });
+
+  it('should detect params with different names at the same position', () => {
+    expect(() => routerFor('/api/users/:id', '/api/users/:userId/posts')).toThrow(/Conflicting API routes/);
+  });
+
+  it('should detect two catch-alls in the same directory', () => {
+    expect(() => routerFor('/api/docs/:slug+', '/api/docs/:rest*')).toThrow(/conflicts with/);
+  });
+
+  it('should detect an optional catch-all shadowing an index route', () => {
+    expect(() => routerFor('/api/shop', '/api/shop/:path*')).toThrow(/optional catch-all/);
+    expect(() => routerFor('/api/shop/:path*', '/api/shop')).toThrow(/optional catch-all/);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for file-based route conversion and matching
+ */
+
+import { describe, it, expect } from 'vitest';
+import { filePathToRoute, matchRoute, getRouteParams } from '../routes.js';
+
+describe('Routes', () => {
+  describe('filePathToRoute', () => {
+    it('should convert static and index routes', () => {
+      expect(filePathToRoute('hello.ts')).toBe('/api/hello');
+      expect(filePathToRoute('posts/index.ts')).toBe('/api/posts');
+      expect(filePathToRoute('admin\\users.js', '/v1')).toBe('/v1/admin/users');
+    });
+
+    it('should convert dynamic segments', () => {
+      expect(filePathToRoute('users/[id].ts')).toBe('/api/users/:id');
+      expect(filePathToRoute('[org]/repos/[repo].ts')).toBe('/api/:org/repos/:repo');
+    });
+
+    it('should convert catch-all and optional catch-all segments', () => {
+      expect(filePathToRoute('docs/[...slug].ts')).toBe('/api/docs/:slug+');
+      expect(filePathToRoute('shop/[[...path]].js')).toBe('/api/shop/:path*');
+    });
+  });
+
+  describe('matchRoute', () => {
+    it('should extract dynamic params', () => {
+      expect(matchRoute('/api/users/:id', '/api/users/42')).toEqual({ params: { id: '42' } });
+      expect(matchRoute('/api/users/:id', '/api/users/42/posts')).toBeNull();
+      expect(matchRoute('/api/users/:id', '/api/users')).toBeNull();
+    });
+
+    it('should collect catch-all segments into an array', () => {
+      expect(matchRoute('/api/docs/:slug+', '/api/docs/a/b/c')).toEqual({ params: { slug: ['a', 'b', 'c'] } });
+      expect(matchRoute('/api/docs/:slug+', '/api/docs')).toBeNull();
+    });
+
+    it('should allow optional catch-all to match zero segments', () => {
+      expect(matchRoute('/api/shop/:path*', '/api/shop')).toEqual({ params: { path: [] } });
+      expect(matchRoute('/api/shop/:path*', '/api/shop/shoes/red')).toEqual({ params: { path: ['shoes', 'red'] } });
+    });
+
+    it('should reject catch-all segments that are not last', () => {
+      expect(matchRoute('/api/:rest+/edit', '/api/a/b/edit')).toBeNull();
+    });
+  });
+
+  describe('getRouteParams', () => {
+    it('should describe each param', () => {
+      expect(getRouteParams('/api/:org/files/:path*')).toEqual([
+        { name: 'org', catchAll: false, optional: false },
+        { name: 'path', catchAll: true, optional: true },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for the input sanitization policy
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { createApiMiddleware } from '../api-middleware.js';
+import { resolveSanitizePolicy, sanitizeInput } from '../../lib/sanitize.js';
+
+describe('sanitizeInput', () => {
+  it('should reject markup without rewriting the value', () => {
+    const policy = resolveSanitizePolicy();
+    const result = sanitizeInput({ name: '  Ada  ', bio: '<script>x</script>', math: '1 < 2' }, 'body', policy);
+
+    expect(result.value).toEqual({ name: '  Ada  ', bio: '<script>x</script>', math: '1 < 2' });
+    expect(result.changed).toBe(false);
+    expect(result.errors).toEqual([{ field: 'body.bio', message: 'must not contain HTML markup' }]);
+  });
+
+  it('should only reject actual markup', () => {
+    const policy = resolveSanitizePolicy();
+    const rejected = value => sanitizeInput({ value }, 'body', policy).errors.length > 0;
+
+    for (const text of ['x<y', 'a <b', 'if (a<b && c>d)', 'List<String>', 'Map<string, number>', 'Promise<void>', 'x <y + 1', '<3']) {
+      expect(rejected(text), text).toBe(false);
+    }
+    for (const markup of ['<img>', '<B>bold', '<img src=x onerror=alert(1)>', '<img/src=x>', '<svg onload=alert(1)>',
+      '<x-widget data-a="1">', '<br/>', 'a</div>', '<!-- c -->', '<![CDATA[x]]>', '<!DOCTYPE html>']) {
+      expect(rejected(markup), markup).toBe(true);
+    }
+  });
+
+  it('should honour allowlists, route opt-outs and other sanitizers', () => {
+    const allowed = resolveSanitizePolicy({}, { allow: ['body.posts.*.html'] });
+    const posts = { posts: [{ html: '<p>hi</p>', title: 'ok' }] };
+    expect(sanitizeInput(posts, 'body', allowed).errors).toEqual([]);
+
+    expect(resolveSanitizePolicy({}, false)).toBeNull();
+
+    const escaped = sanitizeInput({ q: '<b>"x"</b>' }, 'query', resolveSanitizePolicy({ sanitizer: 'escape' }));
+    expect(escaped.value.q).toBe('&lt;b&gt;&quot;x&quot;&lt;/b&gt;');
+    expect(escaped.changed).toBe(true);
+
+    expect(() => resolveSanitizePolicy({ sanitizer: 'nope' })).toThrow(/Unknown sanitizer/);
+  });
+
+  it('should drop prototype keys', () => {
+    const result = sanitizeInput(JSON.parse('{"__proto__": {"admin": true}, "a": 1}'), 'body', resolveSanitizePolicy());
+
+    expect(result.value).toEqual({ a: 1 });
+    expect(result.errors[0]).toEqual({ field: 'body.__proto__', message: 'is not an allowed key' });
+  });
+});
+
+describe('Sanitization in the middleware', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const echo = {
+      async POST(request) {
+        const raw = request.rawBody;
+        return Response.json({ body: await request.json(), raw: raw.toString() });
+      },
+    };
+    const modules = {
+      '/api/echo': echo,
+      '/api/markdown': { ...echo, sanitize: { allow: ['body.content'] } },
+      '/api/legacy': {
+        default(req, res) {
+          res.status(200).json({ body: req.body, raw: req.rawBody.toString() });
+        },
+      },
+    };
+
+    const api = createApiMiddleware({ security: { enableCsrf: false } });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => res.end()));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const post = (path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+  });
+
+  it('should answer 400 for markup by default', async () => {
+    const response = await post('/api/echo?tag=<img>', '{"title":"hi"}');
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({
+      error: 'Input rejected',
+      errors: [{ field: 'query.tag', message: 'must not contain HTML markup' }],
+    });
+  });
+
+  it('should accept comparisons and generics in text', async () => {
+    const body = JSON.stringify({ title: 'x<y', code: 'List<String> items' });
+    const response = await post('/api/echo?q=a <b', body);
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should pass allowlisted fields and the raw body through unchanged', async () => {
+    const raw = '{ "content": "<em>hi</em>",  "n": 1.50 }';
+    const response = await post('/api/markdown', raw);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ body: { content: '<em>hi</em>', n: 1.5 }, raw });
+  });
+
+  it('should expose req.rawBody to Next.js style handlers', async () => {
+    const response = await post('/api/legacy', '{"a": " spaced "}');
+
+    expect(await response.json()).toEqual({ body: { a: ' spaced ' }, raw: '{"a": " spaced "}' });
+  });
+});
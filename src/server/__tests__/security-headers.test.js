@@ -0,0 +1,123 @@
+/**
+ * Tests for security headers, the CSP builder and violation reports
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { createApiMiddleware } from '../api-middleware.js';
+import { DEFAULT_SECURITY_HEADERS, buildCsp, mergeSecurityHeaders, parseCspReports } from '../../lib/security-headers.js';
+
+describe('CSP builder', () => {
+  it('should build directives with nonces and bare keywords', () => {
+    const csp = buildCsp({
+      defaultSrc: ["'self'"],
+      'script-src': ["'self'", "'nonce'"],
+      'upgrade-insecure-requests': true,
+      'img-src': false,
+    }, 'abc');
+
+    expect(csp).toBe("default-src 'self'; script-src 'self' 'nonce-abc'; upgrade-insecure-requests");
+  });
+
+  it('should merge route directives over the global policy', () => {
+    const merged = mergeSecurityHeaders(DEFAULT_SECURITY_HEADERS, {
+      frameOptions: 'SAMEORIGIN',
+      contentSecurityPolicy: { directives: { imgSrc: ['*'], 'frame-ancestors': ["'self'"] } },
+    });
+
+    expect(merged.frameOptions).toBe('SAMEORIGIN');
+    expect(buildCsp(merged.contentSecurityPolicy.directives))
+      .toBe("default-src 'self'; base-uri 'self'; object-src 'none'; frame-ancestors 'self'; img-src *");
+  });
+
+  it('should read both report formats', () => {
+    expect(parseCspReports('{"csp-report":{"violated-directive":"img-src"}}'))
+      .toEqual([{ type: 'csp-violation', body: { 'violated-directive': 'img-src' } }]);
+    expect(parseCspReports('[{"type":"csp-violation","body":{"effectiveDirective":"img-src"}}]')).toHaveLength(1);
+    expect(() => parseCspReports('{}')).toThrow();
+  });
+});
+
+describe('Security headers in the middleware', () => {
+  let server;
+  let baseUrl;
+  const reports = [];
+
+  beforeAll(async () => {
+    const modules = {
+      '/api/page': {
+        GET: request => new Response(`<script nonce="${request.cspNonce}"></script>`, {
+          headers: { 'Content-Type': 'text/html' },
+        }),
+      },
+      '/api/embed': {
+        GET: () => Response.json({ ok: true }),
+        config: { securityHeaders: { frameOptions: false, contentSecurityPolicy: { directives: { 'frame-ancestors': ['*'] } } } },
+      },
+    };
+
+    const api = createApiMiddleware({
+      compression: { enabled: false },
+      trustProxy: 'loopback',
+      security: {
+        headers: {
+          crossOriginEmbedderPolicy: 'require-corp',
+          contentSecurityPolicy: {
+            directives: { 'script-src': ["'self'", "'nonce'"] },
+            reportPath: '/csp-report',
+            onReport: report => reports.push(report),
+          },
+        },
+      },
+    });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => res.end()));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should send a per-request nonce and HSTS only over HTTPS', async () => {
+    const response = await fetch(`${baseUrl}/api/page`);
+    const csp = response.headers.get('content-security-policy');
+    const nonce = (await response.text()).match(/nonce="([^"]+)"/)[1];
+
+    expect(csp).toContain(`script-src 'self' 'nonce-${nonce}'`);
+    expect(csp).toContain('report-uri /api/csp-report; report-to csp-endpoint');
+    expect(response.headers.get('reporting-endpoints')).toBe('csp-endpoint="/api/csp-report"');
+    expect(response.headers.get('cross-origin-embedder-policy')).toBe('require-corp');
+    expect(response.headers.get('cross-origin-opener-policy')).toBe('same-origin');
+    expect(response.headers.get('x-xss-protection')).toBe('0');
+    expect(response.headers.get('strict-transport-security')).toBeNull();
+
+    const again = await fetch(`${baseUrl}/api/page`, { headers: { 'X-Forwarded-For': '203.0.113.9', 'X-Forwarded-Proto': 'https' } });
+    expect(again.headers.get('content-security-policy')).not.toContain(nonce);
+    expect(again.headers.get('strict-transport-security')).toBe('max-age=31536000; includeSubDomains');
+  });
+
+  it('should apply route overrides', async () => {
+    const response = await fetch(`${baseUrl}/api/embed`);
+
+    expect(response.headers.get('x-frame-options')).toBeNull();
+    expect(response.headers.get('content-security-policy')).toContain('frame-ancestors *');
+    expect(response.headers.get('content-security-policy')).toContain("object-src 'none'");
+  });
+
+  it('should collect violation reports without a CSRF token', async () => {
+    const response = await fetch(`${baseUrl}/api/csp-report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/csp-report', Cookie: 'sessionId=s1' },
+      body: JSON.stringify({ 'csp-report': { 'violated-directive': 'script-src', 'blocked-uri': 'inline' } }),
+    });
+
+    expect(response.status).toBe(204);
+    expect(reports).toEqual([{ type: 'csp-violation', body: { 'violated-directive': 'script-src', 'blocked-uri': 'inline' } }]);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for session stores, timeouts and login through the session cookie
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createServer } from 'http';
+import { createApiMiddleware } from '../api-middleware.js';
+import { SessionAuth, createAuthMiddleware } from '../../lib/auth.js';
+import { RedisSessionStore } from '../../lib/session.js';
+
+describe('SessionAuth timeouts', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should roll the idle timeout up to the absolute timeout', async () => {
+    vi.useFakeTimers({ now: 0 });
+    const sessions = new SessionAuth({ idleTimeout: 60, absoluteTimeout: 150, cleanupInterval: 0 });
+    const id = await sessions.create(7, { role: 'admin' });
+
+    vi.setSystemTime(50_000);
+    expect((await sessions.get(id)).data).toEqual({ role: 'admin' });
+    vi.setSystemTime(100_000);
+    expect((await sessions.get(id)).userId).toBe(7);
+
+    vi.setSystemTime(149_999);
+    await sessions.get(id);
+    vi.setSystemTime(150_000);
+    await expect(sessions.get(id)).rejects.toThrow(/Session (expired|not found)/);
+  });
+
+  it('should expire idle sessions unless rolling', async () => {
+    vi.useFakeTimers({ now: 0 });
+    const fixed = new SessionAuth({ idleTimeout: 60, rolling: false, cleanupInterval: 0 });
+    const id = await fixed.create(1);
+
+    vi.setSystemTime(50_000);
+    await fixed.get(id);
+    vi.setSystemTime(60_000);
+    await expect(fixed.get(id)).rejects.toThrow(/Session (expired|not found)/);
+  });
+});
+
+describe('Session stores', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-sessions-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should keep file sessions across instances', async () => {
+    const first = new SessionAuth({ type: 'file', dir, cleanupInterval: 0 });
+    const id = await first.create(3, { name: 'ada' });
+    await first.update(id, { theme: 'dark' });
+
+    const second = new SessionAuth({ type: 'file', dir, cleanupInterval: 0 });
+    expect((await second.get(id)).data).toEqual({ name: 'ada', theme: 'dark' });
+
+    const moved = await second.regenerate(id);
+    await expect(first.get(id)).rejects.toThrow('Session not found');
+    expect((await first.get(moved)).userId).toBe(3);
+    await expect(first.store.get('../../etc/passwd')).rejects.toThrow('Invalid session ID');
+  });
+
+  it('should store sessions in Redis with an expiry', async () => {
+    const data = new Map();
+    const client = {
+      get: async key => data.get(key)?.value ?? null,
+      set: async (key, value, { PX }) => data.set(key, { value, PX }),
+      del: async key => data.delete(key),
+    };
+    const sessions = new SessionAuth({ store: new RedisSessionStore({ client }), idleTimeout: 60 });
+
+    const id = await sessions.create(9);
+    expect(data.get(`session:${id}`).PX).toBe(60_000);
+    expect((await sessions.get(id)).userId).toBe(9);
+
+    await sessions.destroy(id);
+    expect(data.size).toBe(0);
+  });
+});
+
+describe('Session login in the middleware', () => {
+  let server;
+  let baseUrl;
+  const sessions = new SessionAuth({ cleanupInterval: 0 });
+
+  beforeAll(async () => {
+    const modules = {
+      '/api/auth/login': {
+        default: async (req, res) => {
+          await sessions.login(req, res, req.body.user, { role: 'user' });
+          res.status(200).json({ ok: true });
+        },
+      },
+      '/api/me': { GET: request => Response.json({ user: request.user }) },
+    };
+
+    const api = createApiMiddleware({
+      compression: { enabled: false },
+      auth: createAuthMiddleware({ type: 'session', sessions }),
+    });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => res.end()));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // A request carrying cookies needs a CSRF token
+  const login = async (cookie) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (cookie) {
+      const issued = await fetch(`${baseUrl}/api/csrf-token`, { headers: { Cookie: cookie } });
+      headers.Cookie = `${cookie}; ${issued.headers.getSetCookie()[0].split(';')[0]}`;
+      headers['X-CSRF-Token'] = (await issued.json()).token;
+    }
+    return fetch(`${baseUrl}/api/auth/login`, { method: 'POST', headers, body: JSON.stringify({ user: 42 }) });
+  };
+
+  it('should issue a session cookie and a new ID on every login', async () => {
+    const response = await login();
+    const [cookie] = response.headers.getSetCookie();
+    expect(cookie).toMatch(/^sessionId=[0-9a-f]{64}; Path=\/; Secure; HttpOnly; SameSite=strict$/);
+
+    const session = cookie.split(';')[0];
+    const me = await fetch(`${baseUrl}/api/me`, { headers: { Cookie: session } });
+    expect((await me.json()).user).toMatchObject({ userId: 42, role: 'user' });
+
+    // Logging in again (the login route is public) replaces the old session
+    const again = await login(session);
+    expect(again.headers.getSetCookie()[0].split(';')[0]).not.toBe(session);
+    expect((await fetch(`${baseUrl}/api/me`, { headers: { Cookie: session } })).status).toBe(401);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for streamed responses and server-sent events
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { createApiMiddleware } from '../api-middleware.js';
+import { createEventStream } from '../../lib/sse.js';
+
+describe('Streaming responses', () => {
+  let server;
+  let baseUrl;
+  let release;
+  let disconnected;
+
+  beforeAll(async () => {
+    const modules = {
+      // Holds the stream open until the test has read the first chunk
+      '/api/export': {
+        GET() {
+          const gate = new Promise(resolve => { release = resolve; });
+          const body = new ReadableStream({
+            async start(controller) {
+              controller.enqueue(new TextEncoder().encode('first,'));
+              await gate;
+              controller.enqueue(new TextEncoder().encode('second'));
+              controller.close();
+            },
+          });
+          return new Response(body, { headers: { 'Content-Type': 'text/csv' } });
+        },
+      },
+      '/api/events': {
+        GET(request) {
+          const stream = createEventStream({ signal: request.signal, retry: 2000, heartbeat: 0 });
+          stream.send({ n: 1 }, { event: 'tick', id: 1 });
+          stream.send('two\nlines');
+          stream.send(undefined, { event: 'done' });
+          expect(() => stream.send(() => {})).toThrow('Cannot send function as event data');
+          stream.close();
+          return stream.response;
+        },
+      },
+      '/api/legacy-events': {
+        default(req, res) {
+          const stream = res.sse({ heartbeat: 0 });
+          stream.send('hello');
+          disconnected = new Promise(resolve => stream.signal.addEventListener('abort', resolve));
+        },
+      },
+    };
+
+    const api = createApiMiddleware({ compression: { enabled: false }, requestTimeout: 200 });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => {
+      res.statusCode = 404;
+      res.end();
+    }));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should flush body chunks before the stream ends', async () => {
+    const response = await fetch(`${baseUrl}/api/export`);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    expect(response.headers.get('content-type')).toBe('text/csv');
+    expect(decoder.decode((await reader.read()).value)).toBe('first,');
+
+    release();
+    let rest = '';
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      rest += decoder.decode(chunk.value);
+    }
+    expect(rest).toBe('second');
+  });
+
+  it('should format server-sent events', async () => {
+    const response = await fetch(`${baseUrl}/api/events`);
+
+    expect(response.headers.get('content-type')).toBe('text/event-stream; charset=utf-8');
+    expect(await response.text()).toBe(
+      'retry: 2000\n\n' +
+      'event: tick\nid: 1\ndata: {"n":1}\n\n' +
+      'data: two\ndata: lines\n\n' +
+      'event: done\ndata: \n\n'
+    );
+  });
+
+  it('should keep res.sse() streams open past the request timeout and signal disconnects', async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/api/legacy-events`, { signal: controller.signal });
+    const reader = response.body.getReader();
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    let text = '';
+    while (!text.includes('data: hello')) {
+      text += new TextDecoder().decode((await reader.read()).value);
+    }
+    expect(response.status).toBe(200);
+
+    controller.abort();
+    await expect(disconnected).resolves.toBeDefined();
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Tests for streaming request bodies and multipart uploads
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { createServer } from 'http';
+import { createApiMiddleware } from '../api-middleware.js';
+import { parseMultipart } from '../multipart.js';
+
+// Every byte value, so any text decoding along the way shows up
+const binary = Buffer.concat([Buffer.from(Array.from({ length: 256 }, (_, i) => i)), crypto.randomBytes(4096)]);
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+function createForm() {
+  const form = new FormData();
+  form.append('title', 'Holiday');
+  form.append('tag', 'a');
+  form.append('tag', 'b');
+  form.append('file', new File([binary], 'photo.bin', { type: 'application/octet-stream' }));
+  return form;
+}
+
+describe('parseMultipart', () => {
+  it('should parse fields and files split across tiny chunks', async () => {
+    const request = new Request('http://localhost/', { method: 'POST', body: createForm() });
+    const bytes = Buffer.from(await request.arrayBuffer());
+    const chunks = (async function* () {
+      for (let i = 0; i < bytes.length; i++) yield bytes.subarray(i, i + 1);
+    })();
+
+    const { fields, files } = await parseMultipart(chunks, request.headers.get('content-type'));
+
+    expect(fields).toEqual({ title: 'Holiday', tag: ['a', 'b'] });
+    expect(files.file[0]).toMatchObject({ field: 'file', name: 'photo.bin', size: binary.length });
+    expect(sha256(fs.readFileSync(files.file[0].path))).toBe(sha256(binary));
+    fs.unlinkSync(files.file[0].path);
+  });
+
+  it('should store fields named after Object.prototype members', async () => {
+    const form = new FormData();
+    form.append('constructor', 'a');
+    form.append('toString', 'b');
+    form.append('toString', 'c');
+    form.append('__proto__', new File(['x'], 'x.txt'));
+    const request = new Request('http://localhost/', { method: 'POST', body: form });
+
+    const bytes = Buffer.from(await request.arrayBuffer());
+    const { fields, files } = await parseMultipart((async function* () { yield bytes; })(), request.headers.get('content-type'));
+
+    expect(fields).toEqual({ constructor: 'a', toString: ['b', 'c'] });
+    expect(Object.getPrototypeOf(files)).toBe(Object.prototype);
+    expect(Object.keys(files)).toEqual(['__proto__']);
+    expect(files.__proto__[0]).toMatchObject({ name: 'x.txt', size: 1 });
+    fs.unlinkSync(files.__proto__[0].path);
+  });
+});
+
+describe('Request bodies', () => {
+  let root;
+  let server;
+  let baseUrl;
+  let uploadPaths = [];
+
+  beforeAll(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'api-uploads-'));
+
+    const modules = {
+      // App Router: raw stream, parsed by the handler
+      '/api/modern': {
+        async POST(request) {
+          const form = await request.formData();
+          const file = form.get('file');
+          return Response.json({
+            title: form.get('title'),
+            name: file.name,
+            hash: sha256(Buffer.from(await file.arrayBuffer())),
+          });
+        },
+      },
+      '/api/raw': {
+        async PUT(request) {
+          return Response.json({ hash: sha256(Buffer.from(await request.arrayBuffer())) });
+        },
+      },
+      // Next.js style: fields in req.body, files in req.files
+      '/api/legacy': {
+        default(req, res) {
+          const [file] = req.files.file;
+          uploadPaths.push(file.path);
+          res.status(200).json({
+            body: req.body,
+            name: file.name,
+            size: file.size,
+            hash: sha256(fs.readFileSync(file.path)),
+          });
+        },
+      },
+    };
+
+    const api = createApiMiddleware({
+      compression: { enabled: false },
+      uploads: { maxFileSize: 8 * 1024, tmpDir: root },
+    });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => {
+      res.statusCode = 404;
+      res.end();
+    }));
+    server.on('close', () => api.close());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should pass multipart bodies through to formData() intact', async () => {
+    const response = await fetch(`${baseUrl}/api/modern`, { method: 'POST', body: createForm() });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ title: 'Holiday', name: 'photo.bin', hash: sha256(binary) });
+  });
+
+  it('should stream binary bodies to App Router handlers', async () => {
+    const response = await fetch(`${baseUrl}/api/raw`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: binary,
+    });
+
+    expect(await response.json()).toEqual({ hash: sha256(binary) });
+  });
+
+  it('should expose uploads as req.files and remove them afterwards', async () => {
+    const response = await fetch(`${baseUrl}/api/legacy`, { method: 'POST', body: createForm() });
+
+    expect(await response.json()).toEqual({
+      body: { title: 'Holiday', tag: ['a', 'b'] },
+      name: 'photo.bin',
+      size: binary.length,
+      hash: sha256(binary),
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(uploadPaths).toHaveLength(1);
+    expect(fs.existsSync(uploadPaths[0])).toBe(false);
+  });
+
+  it('should reject files over maxFileSize with 413', async () => {
+    const form = new FormData();
+    form.append('file', new File([crypto.randomBytes(9 * 1024)], 'big.bin'));
+
+    const response = await fetch(`${baseUrl}/api/legacy`, { method: 'POST', body: form });
+
+    expect(response.status).toBe(413);
+    expect((await response.json()).error).toContain('big.bin');
+    expect(fs.readdirSync(root)).toEqual([]);
+  });
+
+  it('should apply the upload limits to formData() in App Router handlers', async () => {
+    const big = new FormData();
+    big.append('file', new File([crypto.randomBytes(9 * 1024)], 'big.bin'));
+
+    const response = await fetch(`${baseUrl}/api/modern`, { method: 'POST', body: big });
+    expect(response.status).toBe(413);
+    expect((await response.json()).error).toContain('big.bin');
+
+    const many = new FormData();
+    for (let i = 0; i < 11; i++) {
+      many.append('file', new File(['x'], `${i}.txt`));
+    }
+    const tooMany = await fetch(`${baseUrl}/api/modern`, { method: 'POST', body: many });
+    expect(tooMany.status).toBe(413);
+    expect((await tooMany.json()).error).toBe('Too many files (max 10)');
+  });
+});
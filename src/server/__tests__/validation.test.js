@@ -0,0 +1,209 @@
+/**
+ * Tests for route schema validation
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createServer } from 'http';
+import { pathToFileURL } from 'url';
+import { createApiMiddleware } from '../api-middleware.js';
+import { getRouteSchema, validateRequest, validateSchema } from '../../lib/validation.js';
+
+const userSchema = {
+  type: 'object',
+  required: ['email', 'age'],
+  properties: {
+    email: { type: 'string', format: 'email' },
+    age: { type: 'integer', minimum: 0, maximum: 150 },
+    tags: { type: 'array', items: { type: 'string', minLength: 2 } },
+  },
+};
+
+describe('Schema validation', () => {
+  describe('validateSchema', () => {
+    it('should report field errors in the ValidationError shape', () => {
+      expect(validateSchema(userSchema, { email: 'nope', age: 200, tags: ['a'] }, 'query')).toEqual([
+        { field: 'query.email', message: 'email must be a valid email address', value: 'nope' },
+        { field: 'query.age', message: 'age must be no more than 150', value: 200 },
+        { field: 'query.tags.0', message: 'tags.0 must be at least 2 characters', value: 'a' },
+      ]);
+    });
+
+    it('should not echo submitted body values', () => {
+      const schema = { type: 'object', properties: { password: { type: 'string', minLength: 12 } } };
+      expect(validateSchema(schema, { password: 'hunter2' }, 'body')).toEqual([
+        { field: 'body.password', message: 'password must be at least 12 characters' },
+      ]);
+    });
+
+    it('should report missing required fields and a missing body', () => {
+      expect(validateSchema(userSchema, { email: 'a@b.co' }, 'body')).toEqual([
+        { field: 'body.age', message: 'age is required' },
+      ]);
+      expect(validateSchema(userSchema, undefined, 'body')[0].field).toBe('body');
+    });
+
+    it('should coerce query and params strings', () => {
+      const schema = { type: 'object', properties: { page: { type: 'integer', minimum: 1 } } };
+      expect(validateRequest({ query: schema }, { query: { page: '2', sort: 'asc' } })).toEqual({
+        errors: [],
+        body: undefined,
+        params: undefined,
+        query: { page: 2, sort: 'asc' },
+      });
+      expect(validateRequest({ query: schema }, { query: { page: 'x' } }).errors[0].field).toBe('query.page');
+
+      const tags = { type: 'object', properties: { ids: { type: 'array', items: { type: 'integer' } } } };
+      expect(validateRequest({ params: tags }, { params: { ids: ['1', '2'] } }).params).toEqual({ ids: [1, 2] });
+    });
+
+    it('should accept Zod-style schemas', () => {
+      const schema = {
+        safeParse: value => (value.name
+          ? { success: true, data: value }
+          : { success: false, error: { issues: [{ path: ['name'], message: 'Required' }] } }),
+      };
+      expect(validateSchema(schema, {}, 'query')).toEqual([{ field: 'query.name', message: 'Required', value: undefined }]);
+      expect(validateSchema(schema, {}, 'body')).toEqual([{ field: 'body.name', message: 'Required' }]);
+    });
+
+    it('should pick per-method schemas', () => {
+      const schema = { POST: { body: userSchema } };
+      expect(getRouteSchema(schema, 'post')).toEqual({ body: userSchema });
+      expect(getRouteSchema(schema, 'GET')).toBeNull();
+      expect(getRouteSchema({ body: userSchema }, 'PUT')).toEqual({ body: userSchema });
+    });
+  });
+
+  describe('request pipeline', () => {
+    let root;
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'api-schema-'));
+
+      fs.writeFileSync(path.join(root, 'users.mjs'), `
+        export const schema = {
+          body: ${JSON.stringify(userSchema)},
+          response: { 201: { type: 'object', required: ['id'] } },
+        };
+        export async function POST(request) {
+          const body = await request.json();
+          return Response.json(body.email === 'bad@example.com' ? {} : { id: 1 }, { status: 201 });
+        }
+      `);
+      fs.writeFileSync(path.join(root, 'items.mjs'), `
+        export const schema = { params: { type: 'object', properties: { id: { type: 'integer' } } } };
+        export default function handler(req, res) {
+          res.json({ id: req.query.id });
+        }
+      `);
+      fs.writeFileSync(path.join(root, 'orders.mjs'), `
+        export const schema = {
+          params: { type: 'object', properties: { id: { type: 'integer' } } },
+          query: { type: 'object', properties: { limit: { type: 'integer' }, open: { type: 'boolean' } } },
+        };
+        export function GET(request, { params }) {
+          const url = new URL(request.url);
+          return Response.json({ id: params.id, same: request.params === params, limit: url.searchParams.get('limit') });
+        }
+      `);
+
+      // Zod-style schema with a default and a transform
+      const signupSchema = `{
+        body: {
+          safeParse: value => ({ success: true, data: { role: 'user', ...value, name: value.name.trim() } }),
+        },
+      }`;
+      fs.writeFileSync(path.join(root, 'signup.mjs'), `
+        export const schema = ${signupSchema};
+        export async function POST(request) {
+          return Response.json(await request.json());
+        }
+      `);
+      fs.writeFileSync(path.join(root, 'invite.mjs'), `
+        export const schema = ${signupSchema};
+        export default function handler(req, res) {
+          res.json(req.body);
+        }
+      `);
+
+      const api = createApiMiddleware({ compression: { enabled: false }, validation: { responses: true } });
+      api.init({ mode: 'development' });
+      api.setRoutes(new Map([
+        ['/api/users', path.join(root, 'users.mjs')],
+        ['/api/items/:id', path.join(root, 'items.mjs')],
+        ['/api/orders/:id', path.join(root, 'orders.mjs')],
+        ['/api/signup', path.join(root, 'signup.mjs')],
+        ['/api/invite', path.join(root, 'invite.mjs')],
+      ]));
+      api.setModuleLoader(filePath => import(pathToFileURL(filePath).href));
+
+      server = createServer((req, res) => api.middleware(req, res, () => res.end()));
+      server.on('close', () => api.close());
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const post = body => fetch(`${baseUrl}/api/users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    it('should reject invalid bodies with a structured 400', async () => {
+      const response = await post({ email: 'nope' });
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({
+        error: 'Validation failed',
+        errors: [
+          { field: 'body.age', message: 'age is required' },
+          { field: 'body.email', message: 'email must be a valid email address' },
+        ],
+      });
+    });
+
+    it('should call the handler for valid requests', async () => {
+      const response = await post({ email: 'a@example.com', age: 30 });
+      expect(response.status).toBe(201);
+      expect(await response.json()).toEqual({ id: 1 });
+    });
+
+    it('should validate route params for Next.js style handlers', async () => {
+      expect((await fetch(`${baseUrl}/api/items/7`)).status).toBe(200);
+      expect((await fetch(`${baseUrl}/api/items/abc`)).status).toBe(400);
+    });
+
+    it('should hand the parsed body with defaults and transforms to handlers', async () => {
+      for (const route of ['signup', 'invite']) {
+        const response = await fetch(`${baseUrl}/api/${route}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name: '  Ada ' }),
+        });
+        expect(await response.json()).toEqual({ role: 'user', name: 'Ada' });
+      }
+    });
+
+    it('should hand coerced params and query to handlers', async () => {
+      expect(await (await fetch(`${baseUrl}/api/items/7`)).json()).toEqual({ id: 7 });
+
+      const response = await fetch(`${baseUrl}/api/orders/12?limit=5&open=true`);
+      expect(await response.json()).toEqual({ id: 12, same: true, limit: '5' });
+    });
+
+    it('should flag responses that break the schema in development', async () => {
+      const response = await post({ email: 'bad@example.com', age: 30 });
+      expect(response.status).toBe(500);
+      expect((await response.json()).errors[0].field).toBe('response.id');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for WebSocket routes
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import crypto from 'crypto';
+import { createServer, request as httpRequest } from 'http';
+import { createApiMiddleware } from '../api-middleware.js';
+
+// Minimal client: masked text frames out, unmasked frames in
+function connect(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = httpRequest(url, {
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+        'Sec-WebSocket-Version': '13',
+        ...headers,
+      },
+    });
+
+    req.on('response', async (res) => {
+      let body = '';
+      for await (const chunk of res) body += chunk;
+      resolve({ status: res.statusCode, body: JSON.parse(body) });
+    });
+
+    req.on('upgrade', (res, socket, head) => {
+      const queue = [];
+      const waiting = [];
+      let buffer = Buffer.alloc(0);
+
+      const receive = (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 2 && buffer.length >= 2 + (buffer[1] & 0x7f)) {
+          const opcode = buffer[0] & 0x0f;
+          const payload = buffer.subarray(2, 2 + (buffer[1] & 0x7f));
+          buffer = buffer.subarray(2 + payload.length);
+          const frame = { opcode, text: payload.toString(), code: opcode === 8 ? payload.readUInt16BE(0) : null };
+          waiting.length ? waiting.shift()(frame) : queue.push(frame);
+        }
+      };
+      socket.on('data', receive);
+      receive(head); // Frames sent right after the handshake arrive with it
+
+      resolve({
+        status: 101,
+        protocol: res.headers['sec-websocket-protocol'],
+        socket,
+        next: () => new Promise(done => (queue.length ? done(queue.shift()) : waiting.push(done))),
+        send(text, opcode = 1) {
+          const payload = Buffer.from(text);
+          const mask = crypto.randomBytes(4);
+          const masked = payload.map((byte, i) => byte ^ mask[i & 3]);
+          socket.write(Buffer.concat([Buffer.from([0x80 | opcode, 0x80 | payload.length]), mask, masked]));
+        },
+      });
+    });
+
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('WebSocket routes', () => {
+  let server;
+  let baseUrl;
+  let api;
+
+  beforeAll(async () => {
+    const modules = {
+      '/api/chat/:room': {
+        WEBSOCKET(socket, request, { params }) {
+          socket.join(params.room);
+          socket.send({ joined: params.room, user: request.user?.name ?? null });
+          socket.on('message', (text) => {
+            if (text === 'bye') return socket.close(4000, 'bye');
+            socket.broadcast(params.room, text);
+          });
+        },
+      },
+      '/api/rest': {
+        GET() {
+          return Response.json({ ok: true });
+        },
+      },
+    };
+
+    api = createApiMiddleware({
+      cors: { origin: ['http://app.test'] },
+      rateLimit: { windowMs: 60000, max: 5 },
+      websocket: { heartbeat: 0 },
+      auth: async (req, res) => {
+        if (req.query.token !== 'secret') {
+          res.status(401).json({ error: 'Unauthorized' });
+          return false;
+        }
+        req.user = { name: 'ada' };
+        return true;
+      },
+    });
+    api.setRoutes(new Map(Object.keys(modules).map(route => [route, route])));
+    api.setModuleLoader(async id => modules[id]);
+
+    server = createServer((req, res) => api.middleware(req, res, () => res.end()));
+    server.on('upgrade', api.upgrade);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    api.close();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should match params, run auth and broadcast within a room', async () => {
+    const alice = await connect(`${baseUrl}/api/chat/lobby?token=secret`, { 'Sec-WebSocket-Protocol': 'chat, v2' });
+    const bob = await connect(`${baseUrl}/api/chat/lobby?token=secret`);
+
+    expect(alice.status).toBe(101);
+    expect(alice.protocol).toBe('chat');
+    expect(JSON.parse((await alice.next()).text)).toEqual({ joined: 'lobby', user: 'ada' });
+    await bob.next();
+
+    alice.send('hello');
+    expect((await bob.next()).text).toBe('hello');
+    expect((await api.getStats()).websockets).toEqual({ connections: 2, rooms: { lobby: 2 } });
+
+    bob.send('bye');
+    expect(await bob.next()).toMatchObject({ opcode: 8, code: 4000 });
+    alice.socket.destroy();
+    bob.socket.destroy();
+  });
+
+  it('should refuse unauthenticated, cross-origin and unknown upgrades', async () => {
+    expect(await connect(`${baseUrl}/api/chat/lobby`)).toEqual({ status: 401, body: { error: 'Unauthorized' } });
+    expect((await connect(`${baseUrl}/api/chat/lobby?token=secret`, { Origin: 'http://evil.test' })).status).toBe(403);
+    expect((await connect(`${baseUrl}/api/rest?token=secret`)).status).toBe(404);
+    expect((await connect(`${baseUrl}/api/missing`)).status).toBe(404);
+  });
+
+  it('should rate limit upgrades like HTTP requests', async () => {
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push((await connect(`${baseUrl}/api/missing`)).status);
+    }
+    expect(results).toContain(429);
+  });
+});
@@ -0,0 +1,427 @@
+/**
+ * API explorer
+ * Development UI served at `/__api`: lists every route with its methods,
+ * params and docs, and sends requests from the browser with auth and CSRF
+ * helpers. Route details come from generateOpenApiDocument(), cached until
+ * the route files change; the page refreshes on `api-hmr:*` events.
+ */
+
+import path from 'path';
+import { generateOpenApiDocument, toOpenApiPaths } from './openapi.js';
+
+const REFRESH_EVENTS = ['route-updated', 'middleware-updated', 'dependency-updated'];
+
+/**
+ * Create the explorer middleware, mounted at `/__api`
+ *
+ * `api` is the createApiMiddleware() instance whose routes are listed,
+ * `loadModule` loads route modules (Vite's `ssrLoadModule`).
+ */
+export function createApiExplorer(options) {
+  const {
+    api,
+    root,
+    apiDir = 'pages/api',
+    apiPrefix = '/api',
+    base = '/',
+    loadModule,
+  } = options;
+
+  let pending = null;
+
+  function getDocument() {
+    if (!pending) {
+      pending = generateOpenApiDocument({ root, apiDir, apiPrefix, routes: api.getRoutes(), loadModule });
+      // Retry on the next request instead of caching the failure
+      pending.catch(() => {
+        pending = null;
+      });
+    }
+    return pending;
+  }
+
+  async function getRouteList() {
+    const document = await getDocument();
+
+    const routes = [...api.getRoutes()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([route, filePath]) => {
+        // The last OpenAPI path carries every param, including an optional catch-all
+        const { path: openApiPath } = toOpenApiPaths(route).at(-1);
+        return {
+          route,
+          file: path.relative(root, filePath),
+          operations: document.paths[openApiPath] || {},
+        };
+      });
+
+    return { routes, components: document.components };
+  }
+
+  function sendJson(res, status, data) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify(data));
+  }
+
+  return {
+    /**
+     * Connect middleware; `req.url` is relative to the mount path
+     */
+    async middleware(req, res, next) {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (req.method !== 'GET') {
+        return next();
+      }
+
+      try {
+        switch (url.pathname) {
+          case '/':
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.setHeader('Cache-Control', 'no-store');
+            return res.end(renderExplorerPage({ base }));
+
+          case '/routes':
+            if (url.searchParams.has('fresh')) pending = null;
+            return sendJson(res, 200, await getRouteList());
+
+          case '/openapi.json':
+            return sendJson(res, 200, await getDocument());
+
+          case '/csrf-token':
+            return sendJson(res, 200, { token: api.createCsrfToken(req, res) });
+
+          default:
+            return next();
+        }
+      } catch (error) {
+        sendJson(res, 500, { error: 'Failed to build route list', message: error.message });
+      }
+    },
+
+    /**
+     * Drop the cached route details, e.g. when a route file changes
+     */
+    invalidate() {
+      pending = null;
+    },
+  };
+}
+
+function renderExplorerPage({ base }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>API Explorer</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { margin: 0; font: 14px/1.5 system-ui, sans-serif; color: #1c2024; background: #f9f9fb; }
+    header { display: flex; align-items: center; gap: 16px; padding: 12px 20px; background: #fff; border-bottom: 1px solid #e0e1e6; }
+    header h1 { margin: 0; font-size: 16px; }
+    header .status { margin-left: auto; color: #60646c; font-size: 12px; }
+    header label { display: flex; align-items: center; gap: 6px; font-size: 12px; }
+    main { display: grid; grid-template-columns: 320px 1fr; height: calc(100vh - 53px); }
+    aside { overflow-y: auto; background: #fff; border-right: 1px solid #e0e1e6; }
+    aside input { width: calc(100% - 24px); margin: 12px; }
+    .route { display: block; width: 100%; padding: 8px 12px; border: 0; border-top: 1px solid #f0f0f3; background: none; text-align: left; cursor: pointer; }
+    .route:hover, .route.active { background: #edf2fe; }
+    .route code { display: block; font-size: 13px; }
+    .badges { display: flex; gap: 4px; margin-top: 4px; }
+    .badge { padding: 0 6px; border-radius: 4px; font-size: 11px; font-weight: 600; color: #fff; background: #8b8d98; }
+    .badge.GET { background: #3e63dd; } .badge.POST { background: #30a46c; } .badge.PUT { background: #f76b15; }
+    .badge.PATCH { background: #8e4ec6; } .badge.DELETE { background: #e5484d; }
+    section { overflow-y: auto; padding: 20px; }
+    h2 { margin: 0 0 4px; font-size: 18px; }
+    h3 { margin: 20px 0 8px; font-size: 14px; }
+    .muted { color: #60646c; }
+    .tabs { display: flex; gap: 6px; margin: 16px 0; }
+    .tabs button { padding: 4px 12px; border: 1px solid #d9d9e0; border-radius: 4px; background: #fff; cursor: pointer; }
+    .tabs button.active { border-color: #3e63dd; color: #3e63dd; }
+    .grid { display: grid; grid-template-columns: 160px 1fr; gap: 6px 12px; align-items: center; }
+    input, select, textarea { font: inherit; padding: 6px 8px; border: 1px solid #d9d9e0; border-radius: 4px; background: #fff; }
+    textarea { width: 100%; min-height: 120px; font-family: ui-monospace, monospace; font-size: 13px; }
+    pre { margin: 0; padding: 12px; overflow-x: auto; border-radius: 4px; background: #f0f0f3; font-size: 13px; }
+    details { margin-top: 8px; }
+    .send { margin-top: 16px; padding: 8px 20px; border: 0; border-radius: 4px; color: #fff; background: #3e63dd; cursor: pointer; }
+    .response-meta { display: flex; gap: 16px; margin-bottom: 8px; }
+    .ok { color: #30a46c; } .error { color: #e5484d; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>API Explorer</h1>
+    <label>Auth
+      <select id="auth-type">
+        <option value="">None</option>
+        <option value="bearer">Bearer token</option>
+        <option value="apikey">X-API-Key</option>
+      </select>
+      <input id="auth-value" placeholder="Token or key" size="32">
+    </label>
+    <label><input type="checkbox" id="csrf" checked> Send CSRF token</label>
+    <span class="status" id="status">Loading routes…</span>
+  </header>
+  <main>
+    <aside>
+      <input id="filter" placeholder="Filter routes">
+      <nav id="routes"></nav>
+    </aside>
+    <section id="detail"><p class="muted">Select a route.</p></section>
+  </main>
+  <script type="module">(${explorerClient})(${JSON.stringify({ base, refreshEvents: REFRESH_EVENTS })});</script>
+</body>
+</html>`;
+}
+
+/**
+ * Browser side of the explorer, serialized into the page
+ */
+function explorerClient({ base, refreshEvents }) {
+  const BODY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+  const state = { routes: [], components: {}, selected: null, method: null, csrfToken: null };
+  const $ = id => document.getElementById(id);
+
+  function el(tag, attrs = {}, ...children) {
+    const node = document.createElement(tag);
+    for (const [key, value] of Object.entries(attrs)) {
+      if (key.startsWith('on')) node.addEventListener(key.slice(2), value);
+      else if (value !== undefined && value !== false) node.setAttribute(key, value === true ? '' : value);
+    }
+    node.append(...children.flat().filter(child => child !== null && child !== undefined));
+    return node;
+  }
+
+  function resolve(schema) {
+    const ref = schema?.$ref?.match(/^#\/components\/schemas\/(.+)$/);
+    return ref ? state.components.schemas?.[ref[1]] || {} : schema || {};
+  }
+
+  // Example value built from a JSON Schema, to prefill request bodies
+  function example(schema, depth = 0) {
+    schema = resolve(schema);
+    if (depth > 6) return null;
+    if (schema.const !== undefined) return schema.const;
+    if (schema.enum) return schema.enum[0];
+    if (schema.anyOf) return example(schema.anyOf[0], depth + 1);
+
+    const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+    switch (type) {
+      case 'object': {
+        const value = {};
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+          value[name] = example(property, depth + 1);
+        }
+        return value;
+      }
+      case 'array': return [example(schema.items, depth + 1)];
+      case 'integer':
+      case 'number': return schema.minimum ?? 0;
+      case 'boolean': return true;
+      case 'string':
+        if (schema.format === 'email') return 'user@example.com';
+        if (schema.format === 'date-time') return new Date().toISOString();
+        return '';
+      default: return null;
+    }
+  }
+
+  // `/api/files/:path+` + { path: 'a/b' } -> `/api/files/a/b`
+  function buildPath(route, values) {
+    return route.split('/').map(segment => {
+      if (!segment.startsWith(':')) return segment;
+      const name = segment.slice(1).replace(/[+*]$/, '');
+      const value = values[name] || '';
+      return /[+*]$/.test(segment)
+        ? value.split('/').filter(Boolean).map(encodeURIComponent).join('/')
+        : encodeURIComponent(value);
+    }).filter((segment, index) => index === 0 || segment !== '').join('/');
+  }
+
+  function loadAuth() {
+    const saved = JSON.parse(localStorage.getItem('api-explorer:auth') || '{}');
+    $('auth-type').value = saved.type || '';
+    $('auth-value').value = saved.value || '';
+    const save = () => localStorage.setItem('api-explorer:auth', JSON.stringify({
+      type: $('auth-type').value,
+      value: $('auth-value').value,
+    }));
+    $('auth-type').addEventListener('change', save);
+    $('auth-value').addEventListener('input', save);
+  }
+
+  async function getCsrfToken() {
+    if (!state.csrfToken) {
+      const response = await fetch('/__api/csrf-token');
+      state.csrfToken = (await response.json()).token;
+    }
+    return state.csrfToken;
+  }
+
+  async function loadRoutes(fresh = false) {
+    $('status').textContent = 'Loading routes…';
+    try {
+      const response = await fetch(`/__api/routes${fresh ? '?fresh=1' : ''}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || data.error);
+
+      state.routes = data.routes;
+      state.components = data.components || {};
+      if (state.selected && !state.routes.some(route => route.route === state.selected)) {
+        state.selected = null;
+      }
+
+      renderRoutes();
+      renderDetail();
+      $('status').textContent = `${state.routes.length} routes · updated ${new Date().toLocaleTimeString()}`;
+    } catch (error) {
+      $('status').textContent = `Failed to load routes: ${error.message}`;
+    }
+  }
+
+  function renderRoutes() {
+    const filter = $('filter').value.toLowerCase();
+    const items = state.routes
+      .filter(route => route.route.toLowerCase().includes(filter))
+      .map(route => el('button', {
+        class: `route${route.route === state.selected ? ' active' : ''}`,
+        onclick: () => {
+          state.selected = route.route;
+          state.method = null;
+          renderRoutes();
+          renderDetail();
+        },
+      },
+      el('code', {}, route.route),
+      el('span', { class: 'badges' }, Object.keys(route.operations).map(method =>
+        el('span', { class: `badge ${method.toUpperCase()}` }, method.toUpperCase())
+      ))));
+
+    $('routes').replaceChildren(...items);
+  }
+
+  function renderDetail() {
+    const route = state.routes.find(item => item.route === state.selected);
+    if (!route) {
+      $('detail').replaceChildren(el('p', { class: 'muted' }, 'Select a route.'));
+      return;
+    }
+
+    const methods = Object.keys(route.operations);
+    if (!methods.includes(state.method)) state.method = methods[0] || 'get';
+    const operation = route.operations[state.method] || {};
+    const parameters = operation.parameters || [];
+    const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+
+    const inputs = {};
+    const paramRows = parameters.map(param => {
+      inputs[param.name] = el('input', { placeholder: param.schema?.type || 'string' });
+      return [
+        el('label', {}, `${param.name}${param.required ? ' *' : ''} `, el('span', { class: 'muted' }, `(${param.in})`)),
+        inputs[param.name],
+      ];
+    });
+
+    const headers = el('textarea', { placeholder: 'X-Custom-Header: value', style: 'min-height: 60px' });
+    const body = el('textarea', {});
+    body.value = bodySchema ? JSON.stringify(example(bodySchema), null, 2) : '';
+    const responseView = el('div', {});
+
+    const send = async () => {
+      const method = state.method.toUpperCase();
+      const values = Object.fromEntries(Object.entries(inputs).map(([name, input]) => [name, input.value]));
+      const query = new URLSearchParams();
+      for (const param of parameters) {
+        if (param.in === 'query' && values[param.name]) query.set(param.name, values[param.name]);
+      }
+
+      const init = { method, headers: {} };
+      for (const line of headers.value.split('\n')) {
+        const index = line.indexOf(':');
+        if (index > 0) init.headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+      }
+
+      const authValue = $('auth-value').value.trim();
+      if ($('auth-type').value === 'bearer' && authValue) init.headers.Authorization = `Bearer ${authValue}`;
+      if ($('auth-type').value === 'apikey' && authValue) init.headers['X-API-Key'] = authValue;
+      if ($('csrf').checked && BODY_METHODS.includes(method)) init.headers['X-CSRF-Token'] = await getCsrfToken();
+
+      if (!['GET', 'HEAD'].includes(method) && body.value.trim()) {
+        init.body = body.value;
+        init.headers['Content-Type'] ??= 'application/json';
+      }
+
+      const search = query.toString();
+      const url = buildPath(route.route, values) + (search ? `?${search}` : '');
+      const started = performance.now();
+
+      try {
+        const response = await fetch(url, init);
+        const text = await response.text();
+        let formatted = text;
+        try { formatted = JSON.stringify(JSON.parse(text), null, 2); } catch { /* not JSON */ }
+
+        responseView.replaceChildren(
+          el('div', { class: 'response-meta' },
+            el('strong', { class: response.ok ? 'ok' : 'error' }, `${response.status} ${response.statusText}`),
+            el('span', { class: 'muted' }, `${Math.round(performance.now() - started)} ms`),
+            el('code', {}, `${method} ${url}`)),
+          el('details', {}, el('summary', {}, 'Headers'),
+            el('pre', {}, [...response.headers].map(([name, value]) => `${name}: ${value}`).join('\n'))),
+          el('pre', {}, formatted || '(empty body)')
+        );
+      } catch (error) {
+        responseView.replaceChildren(el('p', { class: 'error' }, `Request failed: ${error.message}`));
+      }
+    };
+
+    $('detail').replaceChildren(
+      el('h2', {}, el('code', {}, route.route)),
+      el('div', { class: 'muted' }, route.file),
+      el('div', { class: 'tabs' }, methods.map(method => el('button', {
+        class: method === state.method ? 'active' : undefined,
+        onclick: () => { state.method = method; renderDetail(); },
+      }, method.toUpperCase()))),
+      operation.summary ? el('p', {}, operation.summary) : null,
+      paramRows.length > 0 ? [el('h3', {}, 'Parameters'), el('div', { class: 'grid' }, paramRows.flat())] : null,
+      el('h3', {}, 'Headers'),
+      headers,
+      bodySchema || BODY_METHODS.includes(state.method.toUpperCase())
+        ? [el('h3', {}, 'Body'), body]
+        : null,
+      bodySchema
+        ? el('details', {}, el('summary', {}, 'Request schema'), el('pre', {}, JSON.stringify(resolve(bodySchema), null, 2)))
+        : null,
+      operation.responses
+        ? el('details', {}, el('summary', {}, 'Responses'), el('pre', {}, JSON.stringify(operation.responses, null, 2)))
+        : null,
+      el('button', { class: 'send', onclick: send }, 'Send request'),
+      el('h3', {}, 'Response'),
+      responseView
+    );
+  }
+
+  async function watchRoutes() {
+    try {
+      const { createHotContext } = await import(`${base}@vite/client`);
+      const hot = createHotContext('/__api');
+      let timer = null;
+      for (const event of refreshEvents) {
+        hot.on(`api-hmr:${event}`, () => {
+          clearTimeout(timer);
+          timer = setTimeout(() => loadRoutes(true), 100);
+        });
+      }
+    } catch {
+      console.warn('[api-explorer] Live updates unavailable: Vite client not found');
+    }
+  }
+
+  $('filter').addEventListener('input', renderRoutes);
+  loadAuth();
+  loadRoutes();
+  watchRoutes();
+}
@@ -0,0 +1,1772 @@
+/**
+ * API Request Pipeline
+ * Security headers, CORS, rate limiting, CSRF, caching, compression and
+ * handler dispatch shared by the dev server, `vite preview` and the
+ * standalone production server.
+ */
+
+import { parse } from 'url';
+import fs from 'fs';
+import { ServerResponse } from 'http';
+import crypto from 'crypto';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { CacheManager } from '../lib/cache.js';
+import { CompressionManager } from '../lib/compression.js';
+import { createRouter } from './router.js';
+import { getRouteSchema, validateRequest, validateResponse } from '../lib/validation.js';
+import { resolveSanitizePolicy, sanitizeInput } from '../lib/sanitize.js';
+import {
+  DEFAULT_PARSERS,
+  DEFAULT_SERIALIZERS,
+  createRegistry,
+  findParser,
+  negotiate,
+  parseContentType,
+} from '../lib/body-parsers.js';
+import { DEFAULT_UPLOAD_LIMITS, createMultipartLimiter, httpError, isMultipart, parseMultipart, removeUploadedFiles } from './multipart.js';
+import { createEventStream } from '../lib/sse.js';
+import { serializeCookie } from '../lib/cookies.js';
+import { SAFE_METHODS, createCsrfProtection } from '../lib/csrf.js';
+import { createCorsPolicy } from '../lib/cors.js';
+import {
+  DEFAULT_SECURITY_HEADERS,
+  createSecurityHeaders,
+  mergeSecurityHeaders,
+  parseCspReports,
+} from '../lib/security-headers.js';
+import { download, sendFile } from './send-file.js';
+import { resolveRouteConfig } from './route-config.js';
+import { compileTrustProxy, resolveClient } from './proxy.js';
+import {
+  compileRateLimitRules,
+  createRateLimitStore,
+  forPlan,
+  getRateLimitKey,
+  matchRateLimitRules,
+  needsUser,
+  validateRateLimitRule,
+} from '../lib/rate-limit.js';
+import { DEFAULT_WEBSOCKET_OPTIONS, acceptWebSocket, createRoomRegistry, isWebSocketRequest } from './websocket.js';
+
+// ============================================================================
+// Pipeline Factory
+// ============================================================================
+
+/**
+ * Create the API middleware
+ *
+ * Routes are supplied with `setRoutes()` and modules are loaded through the
+ * loader passed to `setModuleLoader()` (Vite's `ssrLoadModule` in dev, a
+ * native `import()` of the built bundle in production).
+ */
+export function createApiMiddleware(options = {}) {
+  // Merge CORS defaults properly
+  const corsDefaults = {
+    origin: '*',
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+    credentials: true,
+    maxAge: 86400,
+  };
+
+  const {
+    apiPrefix = '/api',
+    cors: corsOptions = {},
+    rateLimit = {
+      windowMs: 15 * 60 * 1000, // 15 minutes
+      max: 100, // limit each client to 100 requests per windowMs
+      algorithm: 'sliding-window', // or 'token-bucket'
+      key: 'ip', // 'ip', 'user', 'apiKey' or (req, { ip }) => string
+      rules: [], // Extra limits by path/method/plan, see compileRateLimitRules
+    },
+    trustProxy = false, // Proxies whose forwarding headers are believed: boolean, hops or CIDR list
+    security = {},
+    auth = null, // Optional auth middleware function
+    requestTimeout = 30000, // 30 seconds default timeout
+    uploads = {}, // multipart limits, see DEFAULT_UPLOAD_LIMITS
+    websocket = {}, // maxPayload, heartbeat, see DEFAULT_WEBSOCKET_OPTIONS
+    sanitize = {}, // Input policy, see DEFAULT_SANITIZE_OPTIONS (false to disable)
+    parsers = {}, // Extra request body parsers by media type, see DEFAULT_PARSERS
+    serializers = {}, // Extra response serializers by media type, see DEFAULT_SERIALIZERS
+    validation = {
+      responses: false, // Check responses against `schema.response` (development only)
+    },
+    errorTracking = {
+      enabled: false,
+      dsn: null, // Sentry DSN
+      environment: 'development',
+      sampleRate: 1.0,
+      beforeSend: null,
+    },
+    cache = {
+      enabled: false,
+      type: 'memory', // 'memory' or 'redis'
+      redis: null,
+      maxSize: 100,
+      defaultTTL: 300, // 5 minutes
+      keyPrefix: 'api:',
+      varyBy: [],
+      shouldCache: null,
+    },
+    compression = {
+      enabled: true,
+      threshold: 1024, // Only compress responses > 1KB
+      level: 6, // Compression level (0-9 for gzip, 0-11 for brotli)
+      algorithms: ['br', 'gzip', 'deflate'],
+      compressibleTypes: [
+        'text/html',
+        'text/css',
+        'text/javascript',
+        'text/plain',
+        'text/xml',
+        'application/json',
+        'application/javascript',
+        'application/xml',
+        'image/svg+xml',
+      ],
+      excludePatterns: [],
+    },
+  } = options;
+
+  // Properly merge CORS configuration
+  const cors = { ...corsDefaults, ...corsOptions };
+
+  // Merge security defaults
+  const securityConfig = {
+    enableCsrf: true,
+    csrf: {},
+    enableHelmet: true,
+    headers: {},
+    maxBodySize: 1024 * 1024, // 1MB
+    allowedMethods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+    ...security,
+  };
+
+  const uploadLimits = { ...DEFAULT_UPLOAD_LIMITS, ...uploads };
+  const websocketOptions = { ...DEFAULT_WEBSOCKET_OPTIONS, ...websocket };
+  const bodyParsers = createRegistry(DEFAULT_PARSERS, parsers);
+  const bodySerializers = createRegistry(DEFAULT_SERIALIZERS, serializers);
+
+  // Global settings a route's `export const config` is merged over
+  const routeDefaults = {
+    maxBodySize: securityConfig.maxBodySize,
+    timeout: requestTimeout,
+    rateLimit: { ...rateLimit, scope: null },
+    cache: cache.enabled ? { ttl: cache.defaultTTL, varyBy: cache.varyBy || [] } : null,
+    cors,
+    csrf: securityConfig.enableCsrf,
+    securityHeaders: securityConfig.enableHelmet
+      ? mergeSecurityHeaders(DEFAULT_SECURITY_HEADERS, securityConfig.headers)
+      : null,
+  };
+  const globalRouteConfig = compileRouteConfig(resolveRouteConfig(undefined, routeDefaults));
+  // Keyed by module instance, so an HMR reload re-reads the config
+  const routeConfigs = new WeakMap();
+
+  let mode = 'development';
+  let routes = new Map();
+  let router = createRouter(routes);
+  let middlewareByRoute = new Map();
+  let loadModule = null;
+  const rateLimitStore = createRateLimitStore(validateRateLimitRule(rateLimit));
+  const rateLimitRules = compileRateLimitRules(rateLimit.rules, rateLimit);
+  const trust = compileTrustProxy(trustProxy);
+  const rateLimitCounters = new Map(); // scope -> { allowed, limited }
+  const csrf = createCsrfProtection(securityConfig.csrf);
+  const cspReport = routeDefaults.securityHeaders?.contentSecurityPolicy || {};
+  const cspReportPath = cspReport.reportPath ? apiPrefix + cspReport.reportPath : null;
+  const cspNonces = new WeakMap(); // req -> nonce, for request.cspNonce
+  const csrfTokenPath = securityConfig.enableCsrf && securityConfig.csrf.tokenPath !== false
+    ? apiPrefix + (securityConfig.csrf.tokenPath || '/csrf-token')
+    : null;
+  let Sentry = null;
+  let cacheManager = null;
+  let compressionManager = null;
+  let cleanupInterval = null;
+  const rooms = createRoomRegistry();
+  const connections = new Set();
+
+  // Initialize Sentry if enabled
+  async function initSentry() {
+    if (!errorTracking.enabled || !errorTracking.dsn) return;
+
+    try {
+      const sentryModule = await import('@sentry/node');
+      Sentry = sentryModule;
+
+      Sentry.init({
+        dsn: errorTracking.dsn,
+        environment: errorTracking.environment,
+        tracesSampleRate: errorTracking.sampleRate,
+        beforeSend: errorTracking.beforeSend,
+      });
+
+      console.log('✓ Sentry error tracking initialized');
+    } catch (error) {
+      console.warn('⚠ Sentry not available. Install @sentry/node to enable error tracking.');
+    }
+  }
+
+  // Capture error with Sentry
+  function captureError(error, context = {}) {
+    if (Sentry) {
+      Sentry.captureException(error, {
+        extra: context,
+      });
+    }
+    console.error('API Error:', error, context);
+  }
+
+  /**
+   * Count a request against `rule` in the rate limit store
+   * Routes with their own `config.rateLimit` count under their own scope.
+   * A failing store (e.g. Redis down) lets the request through.
+   */
+  async function checkRateLimit(req, rule, context) {
+    try {
+      return await rateLimitStore.consume(getRateLimitKey(rule, req, context), rule);
+    } catch (error) {
+      captureError(error, { url: req.url, ip: context.ip });
+      return { allowed: true, limit: rule.max, remaining: rule.max, resetTime: Date.now() };
+    }
+  }
+
+  /**
+   * Count the request against each rule (with the user's plan applied)
+   * The tightest result sets the X-RateLimit-* and IETF draft RateLimit-*
+   * headers. Answers 429 and returns false when any rule is exhausted,
+   * otherwise the rules applied so far, for the post-auth call.
+   */
+  async function enforceRateLimits(req, res, rules, context, applied = []) {
+    const checked = await Promise.all(rules.map(async (base) => {
+      const rule = forPlan(base, context.user);
+      const result = await checkRateLimit(req, rule, context);
+      countRateLimit(rule.scope, result.allowed);
+      return { rule, result };
+    }));
+
+    const all = [...applied, ...checked];
+    if (all.length === 0) return all;
+
+    const denied = all.filter(({ result }) => !result.allowed);
+    const tightest = denied.length > 0
+      ? denied.reduce((a, b) => (b.result.resetTime > a.result.resetTime ? b : a))
+      : all.reduce((a, b) => (b.result.remaining < a.result.remaining ? b : a));
+    const { limit, remaining, resetTime } = tightest.result;
+    const resetSeconds = Math.max(0, Math.ceil((resetTime - Date.now()) / 1000));
+
+    res.setHeader('X-RateLimit-Limit', limit.toString());
+    res.setHeader('X-RateLimit-Remaining', remaining.toString());
+    res.setHeader('X-RateLimit-Reset', new Date(resetTime).toISOString());
+    res.setHeader('RateLimit-Limit', limit.toString());
+    res.setHeader('RateLimit-Remaining', remaining.toString());
+    res.setHeader('RateLimit-Reset', resetSeconds.toString());
+    res.setHeader('RateLimit-Policy', all
+      .map(({ rule, result }) => `${result.limit};w=${Math.ceil(rule.windowMs / 1000)}`)
+      .join(', '));
+
+    if (denied.length > 0) {
+      res.statusCode = 429;
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Retry-After', resetSeconds.toString());
+      res.end(JSON.stringify({
+        error: 'Too many requests',
+        retryAfter: new Date(resetTime).toISOString(),
+      }));
+      return false;
+    }
+
+    return all;
+  }
+
+  function countRateLimit(scope, allowed) {
+    const counters = rateLimitCounters.get(scope || 'global') || { allowed: 0, limited: 0 };
+    counters[allowed ? 'allowed' : 'limited']++;
+    rateLimitCounters.set(scope || 'global', counters);
+  }
+
+  /**
+   * The global (or route) limit plus matching `rateLimit.rules`, split into
+   * those checked before the auth hook and those that need the user
+   */
+  function getRateLimits(routeConfig, method, pathname) {
+    const rules = [routeConfig.rateLimit, ...matchRateLimitRules(rateLimitRules, method, pathname)].filter(Boolean);
+    return {
+      early: rules.filter(rule => !needsUser(rule)),
+      afterAuth: rules.filter(needsUser),
+    };
+  }
+
+  // Cleanup expired rate limit entries (memory store only)
+  function cleanupRateLimits() {
+    const cleaned = rateLimitStore.cleanup?.() || 0;
+
+    if (cleaned > 0) {
+      console.log(`🧹 Cleaned up ${cleaned} expired rate limit entries`);
+    }
+  }
+
+  // Start periodic cleanup
+  function startCleanupInterval() {
+    if (cleanupInterval) return;
+
+    // Run cleanup every 60 seconds
+    cleanupInterval = setInterval(() => {
+      cleanupRateLimits();
+    }, 60000);
+
+    console.log('🧹 Started periodic cleanup (every 60s)');
+  }
+
+  // Stop cleanup interval
+  function stopCleanupInterval() {
+    if (cleanupInterval) {
+      clearInterval(cleanupInterval);
+      cleanupInterval = null;
+      console.log('🧹 Stopped periodic cleanup');
+    }
+  }
+
+  // Security headers for the route's policy; HSTS only on secure requests
+  function setSecurityHeaders(req, res, policy, client) {
+    if (!policy) return;
+
+    const nonce = policy.apply(res, { secure: client.protocol === 'https', reportUri: cspReportPath });
+    if (nonce) cspNonces.set(req, nonce);
+  }
+
+  // Violation reports from `report-uri` / `report-to`
+  async function receiveCspReports(req, res) {
+    try {
+      const { rawBody } = await parseBody(req, 64 * 1024, bodyParsers);
+      for (const report of parseCspReports(rawBody.toString())) {
+        if (cspReport.onReport) {
+          await cspReport.onReport(report, req);
+        } else {
+          const body = report.body || {};
+          console.warn(`[CSP] ${body.effectiveDirective || body['violated-directive']} blocked ${body.blockedURL || body['blocked-uri'] || 'inline'} on ${body.documentURL || body['document-uri']}`);
+        }
+      }
+      res.statusCode = 204;
+    } catch (error) {
+      res.statusCode = error.status || 400;
+    }
+    res.end();
+  }
+
+  // CORS headers for the route's policy; a route with `config.cors: false` sends none
+  function setCorsHeaders(req, res, policy) {
+    if (!policy) return;
+
+    // Reflected origins make the response depend on the request's Origin
+    if (!policy.wildcard) appendVary(res, 'Origin');
+
+    const allowOrigin = policy.allowOrigin(req.headers.origin);
+    if (!allowOrigin) return;
+
+    res.setHeader('Access-Control-Allow-Origin', allowOrigin);
+    if (policy.credentials) {
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+    }
+
+    if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+      const allowedHeaders = policy.allowedHeaders
+        ? [].concat(policy.allowedHeaders).join(', ')
+        : req.headers['access-control-request-headers'];
+
+      res.setHeader('Access-Control-Allow-Methods', [].concat(policy.methods).join(', '));
+      if (allowedHeaders) res.setHeader('Access-Control-Allow-Headers', allowedHeaders);
+      if (!policy.allowedHeaders) appendVary(res, 'Access-Control-Request-Headers');
+      res.setHeader('Access-Control-Max-Age', String(policy.maxAge));
+    } else if (policy.exposedHeaders?.length > 0) {
+      res.setHeader('Access-Control-Expose-Headers', [].concat(policy.exposedHeaders).join(', '));
+    }
+  }
+
+  // Browsers don't apply CORS to WebSockets, so upgrades check Origin themselves.
+  // Without CORS only same-origin pages (by the resolved host) may connect.
+  function isOriginAllowed(req, policy, host = req.headers.host) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    if (!policy) return sameOrigin(origin, host);
+    return policy.allowOrigin(origin) !== null;
+  }
+
+  // Origins CORS lets read responses may also send unsafe requests; '*' doesn't count
+  function isCorsOrigin(origin, policy) {
+    return Boolean(policy) && !policy.wildcard && policy.allowOrigin(origin) !== null;
+  }
+
+  function sameOrigin(origin, host) {
+    try {
+      return new URL(origin).host === host;
+    } catch {
+      return false;
+    }
+  }
+
+  // CORS and security header options (global merged with the route's),
+  // compiled once per config
+  function compileRouteConfig(config) {
+    return {
+      ...config,
+      cors: config.cors && createCorsPolicy(config.cors),
+      securityHeaders: config.securityHeaders && createSecurityHeaders(config.securityHeaders),
+    };
+  }
+
+  // Resolved once per module; invalid configs throw and answer 500
+  function getRouteConfig(module, route) {
+    let config = routeConfigs.get(module);
+    if (!config) {
+      config = compileRouteConfig(resolveRouteConfig(module.config, routeDefaults, route));
+      if (config.rateLimit) validateRateLimitRule(config.rateLimit);
+      routeConfigs.set(module, config);
+    }
+    return config;
+  }
+
+  /**
+   * Run the sanitization policy (global options + the route's
+   * `export const sanitize`) over body, query and params.
+   * Returns the values handlers see plus any rejected fields.
+   */
+  function sanitizeRequestInput(routeOptions, { body, query, params }) {
+    const policy = resolveSanitizePolicy(sanitize, routeOptions);
+    const results = {
+      body: sanitizeInput(body, 'body', policy),
+      query: sanitizeInput(query, 'query', policy),
+      params: sanitizeInput(params, 'params', policy),
+    };
+
+    return {
+      body: results.body.value,
+      query: results.query.value,
+      params: results.params.value,
+      bodyChanged: results.body.changed,
+      errors: [...results.params.errors, ...results.query.errors, ...results.body.errors],
+    };
+  }
+
+  // Build the Web API Request passed to middleware and App Router handlers
+  // `client` is the resolveClient() result: ip, protocol and host.
+  // With `res`, getCsrfToken() also sets the CSRF cookie.
+  function createRequest(req, client, params, body, signal, res = null) {
+    const url = new URL(req.url, `${client.protocol}://${client.host}`);
+
+    // Streams, buffers and form data are passed as-is, parsed bodies are
+    // re-serialized as JSON
+    const headers = new Headers(req.headers);
+    let requestBody = undefined;
+    if (req.method !== 'GET' && req.method !== 'HEAD' && body) {
+      const passThrough = typeof body === 'string' || Buffer.isBuffer(body) ||
+        body instanceof ReadableStream || body instanceof FormData;
+      requestBody = passThrough ? body : JSON.stringify(body);
+
+      if (!passThrough) {
+        headers.set('content-type', 'application/json');
+        headers.delete('content-length');
+      }
+    }
+
+    if (requestBody instanceof FormData) {
+      // Rebuilt form data gets a new boundary
+      headers.delete('content-type');
+      headers.delete('content-length');
+    }
+
+    const request = new Request(url.toString(), {
+      method: req.method,
+      headers,
+      body: requestBody,
+      signal,
+      // Required by undici when the body is a stream
+      duplex: 'half',
+    });
+
+    // Add custom properties (non-standard but needed for compatibility)
+    Object.defineProperty(request, 'ip', { value: client.ip, writable: false });
+    Object.defineProperty(request, 'cookies', { value: parseCookies(req.headers.cookie), writable: false });
+    Object.defineProperty(request, 'getCsrfToken', { value: () => csrf.issue(req, res, client), writable: false });
+    Object.defineProperty(request, 'cspNonce', { value: cspNonces.get(req) ?? null, writable: false });
+    Object.defineProperty(request, 'params', { value: params, writable: false });
+
+    // Middleware may attach the authenticated user and per-request data
+    request.user = req.user;
+    request.locals = {};
+
+    return request;
+  }
+
+  /**
+   * Read the request body for the selected handler
+   * App Router handlers without a `schema.body` get the raw stream for
+   * anything but JSON, so `request.formData()`, `arrayBuffer()` and friends
+   * see the original bytes. Multipart bodies are otherwise parsed to temp
+   * files; everything else is buffered up to `maxBodySize` (the route's
+   * `config.bodyParser.sizeLimit` when set).
+   * Returns `{ body, rawBody, files }`; `onError` receives limit errors
+   * raised after the stream was handed over.
+   */
+  async function readBody(req, { stream, onError, maxBodySize = securityConfig.maxBodySize }) {
+    const contentType = req.headers['content-type'] || '';
+    const contentLength = Number(req.headers['content-length']);
+    const hasBody = contentLength > 0 || req.headers['transfer-encoding'] !== undefined;
+
+    if (isMultipart(contentType)) {
+      if (contentLength > uploadLimits.maxTotalSize) {
+        throw httpError(413, 'Request body too large');
+      }
+      if (stream) {
+        // File, field and count limits still apply to request.formData()
+        const limiter = createMultipartLimiter(contentType, uploadLimits);
+        return { body: limitStream(req, uploadLimits.maxTotalSize, onError, limiter) };
+      }
+
+      const { fields, files } = await parseMultipart(req, contentType, uploadLimits);
+      return { body: fields, files };
+    }
+
+    if (contentLength > maxBodySize) {
+      throw httpError(413, 'Request body too large');
+    }
+
+    if (stream && hasBody && !contentType.includes('application/json')) {
+      return { body: limitStream(req, maxBodySize, onError) };
+    }
+
+    return parseBody(req, maxBodySize, bodyParsers);
+  }
+
+  // GET cache key for `url`, varied by the request's `varyBy` headers
+  function getCacheKey(req, url, varyBy = cache.varyBy) {
+    let cacheKey = cacheManager.generateKey({ method: 'GET', url });
+
+    if (varyBy && varyBy.length > 0) {
+      const varyHash = crypto
+        .createHash('sha256')
+        .update(varyBy.map(h => req.headers[h.toLowerCase()] || '').join(':'))
+        .digest('hex')
+        .slice(0, 8);
+      cacheKey += `:${varyHash}`;
+    }
+
+    return cacheKey;
+  }
+
+  /**
+   * Serialize data for the client's Accept header
+   * Falls back to the first registered serializer (JSON by default) when
+   * nothing acceptable is registered, rather than answering 406.
+   */
+  function serializeForClient(req, res, data) {
+    const types = [...bodySerializers.keys()];
+    const type = negotiate(req.headers.accept, types) ?? types[0];
+
+    if (types.length > 1) {
+      appendVary(res, 'Accept');
+    }
+    if (!type) {
+      return { type: 'application/json', payload: JSON.stringify(data) };
+    }
+    return { type, payload: bodySerializers.get(type)(data) };
+  }
+
+  // Next.js style req, also given to the auth hook for both handler styles
+  function createApiRequest(req, request, { ip, query, body = {}, files = {} }) {
+    const apiReq = {
+      ...req,
+      headers: req.headers, // Lazy getter on IncomingMessage, not copied by spread
+      query,
+      body,
+      rawBody: request.rawBody,
+      files,
+      cookies: request.cookies,
+      locals: request.locals,
+      ip,
+      getCsrfToken: request.getCsrfToken,
+      cspNonce: request.cspNonce,
+    };
+
+    // Keep the user in sync with the Web request seen by middleware
+    Object.defineProperty(apiReq, 'user', {
+      get: () => request.user,
+      set: (user) => { request.user = user; },
+      enumerable: true,
+    });
+
+    return apiReq;
+  }
+
+  // Load a _middleware module and return its middleware function
+  async function loadMiddleware(filePath) {
+    const module = await loadModule(filePath);
+    const middlewareFn = module.middleware || module.default;
+
+    if (typeof middlewareFn !== 'function') {
+      throw new Error(`${filePath} must export a middleware function (default or named "middleware")`);
+    }
+
+    return middlewareFn;
+  }
+
+  /**
+   * Run the `auth` hook for either handler style
+   * The hook always gets the Next.js style req. App Router handlers have no
+   * res shim, so a recorder stands in and `res.status(403).json(...)` works
+   * for both. The hook may also return a Response. Returns true to continue.
+   */
+  async function authenticate(res, authReq, authRes) {
+    const recorder = authRes ? null : createResponseRecorder();
+    const result = await auth(authReq, authRes || recorder);
+
+    if (result instanceof Response) {
+      await sendResponse(res, result);
+      return false;
+    }
+
+    if (result !== false) {
+      return true;
+    }
+
+    const recorded = recorder?.toResponse();
+    if (recorded) {
+      await sendResponse(res, recorded);
+    } else if (!res.writableEnded) {
+      // Authenticated but not allowed -> 403, otherwise 401
+      const forbidden = Boolean(authReq.user);
+      res.statusCode = forbidden ? 403 : 401;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error: forbidden ? 'Forbidden' : 'Unauthorized' }));
+    }
+
+    return false;
+  }
+
+  async function middleware(req, res, next) {
+    const { pathname, query } = parse(req.url, true);
+
+    if (!pathname.startsWith(apiPrefix)) {
+      return next();
+    }
+
+    // Load the matched route first: its `export const config` adjusts the
+    // timeout, CORS, rate limit, CSRF, body size and cache settings below.
+    // Load errors answer 500 once the global checks have passed.
+    const match = router.match(pathname);
+    let module = null;
+    let routeConfig = globalRouteConfig;
+    let loadError = null;
+
+    if (match) {
+      try {
+        module = await loadModule(match.handler);
+        routeConfig = getRouteConfig(module, match.route);
+      } catch (error) {
+        loadError = error;
+      }
+    }
+
+    // Set request timeout to prevent slowloris attacks
+    let timeoutId = null;
+    let timedOut = false;
+    const { timeout } = routeConfig;
+
+    if (timeout > 0) {
+      timeoutId = setTimeout(() => {
+        // A response that already started streaming answered in time
+        if (res.headersSent) return;
+
+        timedOut = true;
+        if (!res.writableEnded) {
+          res.statusCode = 408;
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({
+            error: 'Request Timeout',
+            message: `Request exceeded ${timeout}ms timeout`,
+          }));
+        }
+        req.destroy();
+      }, timeout);
+    }
+
+    // Clear timeout on response finish
+    res.on('finish', () => {
+      if (timeoutId) clearTimeout(timeoutId);
+    });
+
+    // Aborts request.signal when the client goes away before the response is done
+    const disconnect = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) disconnect.abort();
+    });
+
+    // Skip processing if already timed out
+    if (timedOut) return;
+
+    // Client IP, protocol and host, through trusted proxies only
+    const client = resolveClient(req, trust);
+    const { ip } = client;
+
+    // Set security headers
+    setSecurityHeaders(req, res, routeConfig.securityHeaders, client);
+
+    // Set CORS headers
+    setCorsHeaders(req, res, routeConfig.cors);
+
+    // Handle OPTIONS preflight
+    if (req.method === 'OPTIONS') {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+
+    // Check allowed methods
+    if (!securityConfig.allowedMethods.includes(req.method)) {
+      res.statusCode = 405;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error: 'Method not allowed' }));
+      return;
+    }
+
+    // Rate limiting (`config.rateLimit: false` turns it off for the route).
+    // Limits keyed by user wait for the auth hook below.
+    const limits = getRateLimits(routeConfig, req.method, pathname);
+    const appliedLimits = await enforceRateLimits(req, res, limits.early, { ip });
+    if (!appliedLimits) {
+      return;
+    }
+
+    // Browsers post violation reports without CSRF tokens
+    if (!match && req.method === 'POST' && pathname === cspReportPath) {
+      return receiveCspReports(req, res);
+    }
+
+    // CSRF protection for state-changing methods (`config.csrf: false` opts out)
+    if (routeConfig.csrf && !SAFE_METHODS.includes(req.method)) {
+      const reason = csrf.verify(req, client, origin => isCorsOrigin(origin, routeConfig.cors));
+      if (reason) {
+        res.statusCode = 403;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ error: reason }));
+        return;
+      }
+    }
+
+    if (!match) {
+      // Token endpoint for clients that have no page to read it from
+      if (req.method === 'GET' && pathname === csrfTokenPath) {
+        const token = csrf.issue(req, res, client);
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Cache-Control', 'no-store');
+        res.end(JSON.stringify({ token, header: csrf.headerName }));
+        return;
+      }
+      return next();
+    }
+
+    const { route, params } = match;
+
+    let sanitizedBody = {};
+    let sanitizedQuery = {};
+    let bodyError = null;
+
+    try {
+      if (loadError) throw loadError;
+
+      // Support both styles:
+      // 1. Next.js style: export default function handler(req, res) {}
+      // 2. App Router style: export async function GET(request) {}
+      let handlerFn = null;
+
+      // Try App Router style first (named exports)
+      const methodName = req.method.toUpperCase();
+
+      if (module[methodName] && typeof module[methodName] === 'function') {
+        handlerFn = module[methodName];
+      }
+      // Fallback to Next.js style (default export or method-named export)
+      else if (module.default && typeof module.default === 'function') {
+        handlerFn = module.default;
+      }
+      // Try lowercase method name
+      else if (module[req.method.toLowerCase()] && typeof module[req.method.toLowerCase()] === 'function') {
+        handlerFn = module[req.method.toLowerCase()];
+      }
+
+      if (!handlerFn) {
+        res.statusCode = 405;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+        return;
+      }
+
+      const isAppRouterStyle = typeof module[methodName] === 'function';
+
+      // `export const schema` contract for this method, if any
+      const routeSchema = getRouteSchema(module.schema, req.method);
+      const checkResponses = Boolean(validation.responses && mode === 'development' && routeSchema?.response);
+
+      // Read the body now that we know how the handler wants it
+      const onBodyError = (error) => { bodyError = error; };
+      const { body, rawBody, files } = await readBody(req, {
+        stream: isAppRouterStyle && !routeSchema?.body,
+        onError: onBodyError,
+        maxBodySize: routeConfig.maxBodySize,
+      }).catch((error) => {
+        onBodyError(error);
+        throw error;
+      });
+
+      if (files) {
+        res.on('close', () => removeUploadedFiles(files));
+      }
+
+      // Sanitize inputs; rejected fields answer 400 once auth has run
+      const isStream = body instanceof ReadableStream;
+      const input = sanitizeRequestInput(routeConfig.sanitize ?? module.sanitize, {
+        body: isStream ? {} : body,
+        query: { ...query },
+        params,
+      });
+      // Checked against the route schema now so middleware and the handler
+      // see the parsed body, query and params; a failure answers 400 from dispatch()
+      const checked = validateRequest(routeSchema, {
+        body: input.body,
+        query: input.query,
+        params: input.params,
+      });
+      sanitizedBody = checked.body;
+      const bodyChanged = input.bodyChanged || sanitizedBody !== input.body;
+      // Routes without a params schema keep the raw params, as before
+      const routeParams = routeSchema?.params ? checked.params : params;
+      sanitizedQuery = { ...checked.query, ...checked.params };
+
+      // Shared by directory middleware and App Router style handlers.
+      // Unchanged bodies keep their original bytes.
+      let requestBody = isStream ? body : sanitizedBody;
+      if (files && isAppRouterStyle) {
+        requestBody = await toFormData(sanitizedBody, files);
+      } else if (rawBody && !bodyChanged) {
+        requestBody = rawBody;
+      }
+      const request = createRequest(req, client, routeParams, requestBody, disconnect.signal, res);
+      Object.defineProperty(request, 'rawBody', { value: rawBody || null, writable: false });
+
+      const apiReq = createApiRequest(req, request, {
+        ip,
+        query: sanitizedQuery,
+        body: sanitizedBody,
+        files,
+      });
+
+      // Next.js style: function handler(req, res)
+      let apiRes = null;
+
+      if (!isAppRouterStyle) {
+        apiRes = createNextResponse(res, {
+          status(code) {
+            res.statusCode = code;
+            return this;
+          },
+          json(data) {
+            if (checkResponses) {
+              const errors = validateResponse(routeSchema, res.statusCode, data);
+              if (errors.length > 0) {
+                res.statusCode = 500;
+                data = responseValidationError(req, errors);
+              }
+            }
+
+            // Serialized by Accept (JSON unless the client prefers e.g. msgpack)
+            const { type, payload } = serializeForClient(req, res, data);
+            res.setHeader('Content-Type', type);
+
+            // Compress if enabled
+            if (compression.enabled && compressionManager) {
+              const acceptEncoding = req.headers['accept-encoding'] || '';
+              const contentLength = Buffer.byteLength(payload);
+
+              if (compressionManager.shouldCompress(type, contentLength, req.url)) {
+                const algorithm = compressionManager.selectAlgorithm(acceptEncoding);
+
+                if (algorithm) {
+                  compressionManager.compressBuffer(Buffer.from(payload), algorithm)
+                    .then(result => {
+                      if (result.algorithm) {
+                        res.setHeader('Content-Encoding', result.algorithm);
+                        res.setHeader('Content-Length', result.compressedSize);
+                        res.setHeader('X-Original-Size', result.originalSize);
+                        res.setHeader('X-Compression-Ratio', result.ratio + '%');
+                        appendVary(res, 'Accept-Encoding');
+                        res.end(result.buffer);
+                      } else {
+                        res.end(payload);
+                      }
+                    })
+                    .catch(() => res.end(payload));
+
+                  // Cache after compression
+                  if (routeConfig.cache && cacheManager && req.method === 'GET' && req._cacheKey && res.statusCode >= 200 && res.statusCode < 300) {
+                    const shouldCacheResponse = cache.shouldCache ? cache.shouldCache(req, res, data) : true;
+                    if (shouldCacheResponse) {
+                      cacheManager.set(req._cacheKey, {
+                        statusCode: res.statusCode,
+                        headers: res.getHeaders ? res.getHeaders() : {},
+                        body: data,
+                      }, routeConfig.cache.ttl).catch(err => console.error('Cache set error:', err));
+                    }
+                  }
+
+                  return this;
+                }
+              }
+            }
+
+            // No compression
+            res.end(payload);
+
+            // Cache successful GET responses
+            if (routeConfig.cache && cacheManager && req.method === 'GET' && req._cacheKey && res.statusCode >= 200 && res.statusCode < 300) {
+              const shouldCacheResponse = cache.shouldCache ? cache.shouldCache(req, res, data) : true;
+              if (shouldCacheResponse) {
+                cacheManager.set(req._cacheKey, {
+                  statusCode: res.statusCode,
+                  headers: res.getHeaders ? res.getHeaders() : {},
+                  body: data,
+                }, routeConfig.cache.ttl).catch(err => console.error('Cache set error:', err));
+              }
+            }
+
+            return this;
+          },
+          send(data) {
+            if (Buffer.isBuffer(data)) {
+              if (!res.getHeader('content-type')) {
+                res.setHeader('Content-Type', 'application/octet-stream');
+              }
+              res.end(data);
+              return this;
+            }
+
+            if (typeof data === 'object') {
+              return this.json(data);
+            }
+
+            // Compress text responses if enabled
+            if (compression.enabled && compressionManager && typeof data === 'string') {
+              const acceptEncoding = req.headers['accept-encoding'] || '';
+              const contentLength = Buffer.byteLength(data);
+              const contentType = res.getHeader('content-type') || 'text/plain';
+
+              if (compressionManager.shouldCompress(contentType, contentLength, req.url)) {
+                const algorithm = compressionManager.selectAlgorithm(acceptEncoding);
+
+                if (algorithm) {
+                  compressionManager.compressBuffer(Buffer.from(data), algorithm)
+                    .then(result => {
+                      if (result.algorithm) {
+                        res.setHeader('Content-Encoding', result.algorithm);
+                        res.setHeader('Content-Length', result.compressedSize);
+                        res.setHeader('X-Original-Size', result.originalSize);
+                        res.setHeader('X-Compression-Ratio', result.ratio + '%');
+                        appendVary(res, 'Accept-Encoding');
+                        res.end(result.buffer);
+                      } else {
+                        res.end(String(data));
+                      }
+                    })
+                    .catch(() => res.end(String(data)));
+                  return this;
+                }
+              }
+            }
+
+            res.end(String(data));
+            return this;
+          },
+          setHeader(name, value) {
+            res.setHeader(name, value);
+            return this;
+          },
+          // Adds to a header instead of replacing it (Set-Cookie, Link, ...)
+          appendHeader(name, value) {
+            const current = res.getHeader(name);
+            res.setHeader(name, current === undefined ? value : [].concat(current, value).map(String));
+            return this;
+          },
+          // redirect(url) or redirect(status, url); 307 like Next.js
+          redirect(statusOrUrl, url) {
+            const [status, location] = typeof statusOrUrl === 'string' ? [307, statusOrUrl] : [statusOrUrl, url];
+
+            if (typeof status !== 'number' || typeof location !== 'string') {
+              throw new Error(
+                "Invalid redirect arguments. Use res.redirect('/destination') or res.redirect(307, '/destination')"
+              );
+            }
+
+            res.statusCode = status;
+            res.setHeader('Location', location);
+            res.end(location);
+            return this;
+          },
+          // Drop the cached GET response for a path, e.g. after a write
+          async revalidate(urlPath) {
+            if (cacheManager) {
+              await cacheManager.delete(getCacheKey(req, urlPath));
+            }
+          },
+          sendFile(filePath, fileOptions = {}) {
+            if (timeoutId) clearTimeout(timeoutId);
+            return sendFile(req, res, filePath, fileOptions);
+          },
+          download(filePath, filename, fileOptions = {}) {
+            if (timeoutId) clearTimeout(timeoutId);
+            return download(req, res, filePath, filename, fileOptions);
+          },
+          // Start a server-sent event stream, see createEventStream()
+          sse(sseOptions = {}) {
+            const stream = createEventStream({ signal: disconnect.signal, ...sseOptions });
+            if (timeoutId) clearTimeout(timeoutId);
+
+            sendResponse(res, stream.response).catch((error) => {
+              captureError(error, { method: req.method, url: req.url, ip });
+              stream.close();
+            });
+
+            return stream;
+          },
+          // Each call adds a cookie; session cookie unless maxAge/expires is set
+          setCookie(name, value, options = {}) {
+            return this.appendHeader('Set-Cookie', serializeCookie(name, value, {
+              httpOnly: true,
+              secure: true,
+              sameSite: 'strict',
+              path: '/',
+              maxAge: undefined,
+              ...options,
+            }));
+          },
+        });
+      }
+
+      // Auth hook runs for both handler styles, before directory middleware
+      if (auth && !(await authenticate(res, apiReq, apiRes))) {
+        return;
+      }
+
+      if (limits.afterAuth.length > 0 &&
+          !(await enforceRateLimits(req, res, limits.afterAuth, { ip, user: apiReq.user, apiKey: apiReq.apiKey }, appliedLimits))) {
+        return;
+      }
+
+      // Directory middleware (_middleware.js), outermost first
+      const middlewareStack = await Promise.all(
+        (middlewareByRoute.get(route) || []).map(loadMiddleware)
+      );
+
+      // Resolves to a Response, or null when the response was already written
+      const dispatch = async () => {
+        if (input.errors.length > 0) {
+          return Response.json({ error: 'Input rejected', errors: input.errors }, { status: 400 });
+        }
+
+        if (checked.errors.length > 0) {
+          return Response.json({ error: 'Validation failed', errors: checked.errors }, { status: 400 });
+        }
+
+        // Check cache for GET requests
+        if (routeConfig.cache && cacheManager && req.method === 'GET') {
+          const cacheKey = getCacheKey(req, req.url, routeConfig.cache.varyBy);
+          const cached = await cacheManager.get(cacheKey);
+
+          if (cached) {
+            // Serve from cache
+            res.setHeader('X-Cache', 'HIT');
+            res.setHeader('X-Cache-Key', cacheKey);
+            res.statusCode = cached.statusCode || 200;
+
+            // Restore headers; CORS and security headers (with this
+            // request's CSP nonce) were already set for this request
+            if (cached.headers) {
+              Object.entries(cached.headers).forEach(([key, value]) => {
+                if (!key.startsWith('access-control-') && !res.hasHeader(key)) res.setHeader(key, value);
+              });
+            }
+
+            // Send cached response
+            if (typeof cached.body === 'object') {
+              const { type, payload } = serializeForClient(req, res, cached.body);
+              res.setHeader('Content-Type', type);
+              res.end(payload);
+            } else {
+              res.end(cached.body);
+            }
+
+            return null;
+          }
+
+          // Cache miss
+          res.setHeader('X-Cache', 'MISS');
+          res.setHeader('X-Cache-Key', cacheKey);
+
+          // Store cache key for later use
+          req._cacheKey = cacheKey;
+        }
+
+        // App Router style: function GET(request, { params })
+        if (isAppRouterStyle) {
+          const response = toResponse(await handlerFn(request, { params: routeParams }));
+          return checkResponses ? checkResponse(req, routeSchema, response) : response;
+        }
+
+        await handlerFn(apiReq, apiRes);
+        return null;
+      };
+
+      const result = await runMiddleware(middlewareStack, request, dispatch);
+
+      if (result && !res.writableEnded) {
+        // The handler answered in time; a streamed body may stay open
+        if (timeoutId) clearTimeout(timeoutId);
+        await sendResponse(res, result);
+      }
+    } catch (error) {
+      // Oversized or malformed bodies are the client's fault, not a crash
+      if (bodyError) {
+        if (!res.writableEnded) {
+          res.statusCode = bodyError.status || 400;
+          res.setHeader('Content-Type', 'application/json');
+          res.setHeader('Connection', 'close');
+          res.end(JSON.stringify({ error: bodyError.message }));
+        }
+        return;
+      }
+
+      // Capture error with Sentry
+      captureError(error, {
+        method: req.method,
+        url: req.url,
+        ip,
+        query: sanitizedQuery,
+        body: sanitizedBody,
+      });
+
+      if (!res.headersSent) {
+        res.statusCode = 500;
+        res.setHeader('Content-Type', 'application/json');
+
+        // Don't leak error details in production
+        const errorResponse = mode === 'development'
+          ? { error: 'Internal Server Error', message: error.message, stack: error.stack }
+          : { error: 'Internal Server Error' };
+
+        res.end(JSON.stringify(errorResponse));
+      } else if (!res.writableEnded) {
+        // Failed mid-stream; cutting the connection tells the client it's incomplete
+        res.destroy();
+      }
+    } finally {
+      // Clear timeout on completion
+      if (timeoutId) clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Handle an HTTP `upgrade` for routes exporting `WEBSOCKET` (or `upgrade`)
+   * Rate limiting, route matching, the auth hook and directory middleware
+   * run as for HTTP requests, then the handler is called with
+   * `(socket, request, { params, rooms })`. Paths outside `apiPrefix` are
+   * left alone (returns false) for other upgrade listeners such as Vite's
+   * HMR socket.
+   */
+  async function upgrade(req, socket, head) {
+    const { pathname, query } = parse(req.url, true);
+
+    if (!pathname.startsWith(apiPrefix)) {
+      return false;
+    }
+
+    // Refusals are plain HTTP responses written to the raw socket
+    const res = new ServerResponse(req);
+    res.assignSocket(socket);
+    res.shouldKeepAlive = false;
+    res.on('finish', () => socket.end());
+    socket.on('error', () => socket.destroy());
+
+    const refuse = (status, error) => {
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error }));
+      return true;
+    };
+
+    const client = resolveClient(req, trust);
+    const { ip } = client;
+
+    if (!isWebSocketRequest(req)) {
+      return refuse(400, 'Invalid WebSocket handshake');
+    }
+
+    // The route's `export const config` applies to its CORS and rate limit
+    const match = router.match(pathname);
+    let module = null;
+    let routeConfig = globalRouteConfig;
+    let loadError = null;
+
+    if (match) {
+      try {
+        module = await loadModule(match.handler);
+        routeConfig = getRouteConfig(module, match.route);
+      } catch (error) {
+        loadError = error;
+      }
+    }
+
+    if (!isOriginAllowed(req, routeConfig.cors, client.host)) {
+      return refuse(403, 'Origin not allowed');
+    }
+
+    const limits = getRateLimits(routeConfig, 'GET', pathname);
+    const appliedLimits = await enforceRateLimits(req, res, limits.early, { ip });
+    if (!appliedLimits) {
+      return true;
+    }
+
+    if (!match) {
+      return refuse(404, 'Not Found');
+    }
+
+    const { route, params } = match;
+
+    try {
+      if (loadError) throw loadError;
+
+      const handlerFn = module.WEBSOCKET || module.upgrade;
+
+      if (typeof handlerFn !== 'function') {
+        return refuse(404, 'Route does not accept WebSocket connections');
+      }
+
+      // Aborted once the connection is gone
+      const disconnect = new AbortController();
+      socket.on('close', () => disconnect.abort());
+
+      const input = sanitizeRequestInput(routeConfig.sanitize ?? module.sanitize, { body: {}, query: { ...query }, params });
+      const request = createRequest(req, client, params, undefined, disconnect.signal);
+      const apiReq = createApiRequest(req, request, { ip, query: { ...input.query, ...input.params } });
+
+      if (auth && !(await authenticate(res, apiReq, null))) {
+        return true;
+      }
+
+      if (limits.afterAuth.length > 0 &&
+          !(await enforceRateLimits(req, res, limits.afterAuth, { ip, user: apiReq.user, apiKey: apiReq.apiKey }, appliedLimits))) {
+        return true;
+      }
+
+      if (input.errors.length > 0) {
+        res.statusCode = 400;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ error: 'Input rejected', errors: input.errors }));
+        return true;
+      }
+
+      const middlewareStack = await Promise.all(
+        (middlewareByRoute.get(route) || []).map(loadMiddleware)
+      );
+
+      // Complete the handshake and hand the connection to the route
+      const dispatch = async () => {
+        res.detachSocket(socket);
+
+        const ws = acceptWebSocket(req, socket, head, { ...websocketOptions, rooms });
+        connections.add(ws);
+        ws.on('close', () => connections.delete(ws));
+        ws.on('error', error => captureError(error, { url: req.url, ip }));
+
+        try {
+          await handlerFn(ws, request, { params, rooms });
+        } catch (error) {
+          captureError(error, { url: req.url, ip });
+          ws.close(1011, 'Internal error');
+        }
+
+        return null;
+      };
+
+      const result = await runMiddleware(middlewareStack, request, dispatch);
+
+      if (result && !res.writableEnded) {
+        await sendResponse(res, result);
+      }
+    } catch (error) {
+      captureError(error, { url: req.url, ip });
+
+      if (!res.headersSent) {
+        refuse(500, 'Internal Server Error');
+      } else {
+        socket.destroy();
+      }
+    }
+
+    return true;
+  }
+
+  return {
+    middleware,
+    upgrade,
+
+    /**
+     * WebSocket rooms shared by every connection (see createRoomRegistry)
+     */
+    rooms,
+
+    /**
+     * Start background tasks and optional integrations
+     */
+    init(initOptions = {}) {
+      mode = initOptions.mode || mode;
+
+      // Start cleanup interval
+      startCleanupInterval();
+
+      // Initialize error tracking
+      if (errorTracking.enabled) {
+        initSentry();
+      }
+
+      // Initialize cache manager
+      if (cache.enabled && !cacheManager) {
+        cacheManager = new CacheManager({
+          type: cache.type,
+          redis: cache.redis,
+          maxSize: cache.maxSize,
+          defaultTTL: cache.defaultTTL,
+          keyPrefix: cache.keyPrefix,
+          enabled: true,
+        });
+        console.log(`✓ Response caching enabled (${cache.type})`);
+      }
+
+      // Initialize compression manager
+      if (compression.enabled && !compressionManager) {
+        compressionManager = new CompressionManager({
+          enabled: true,
+          threshold: compression.threshold,
+          level: compression.level,
+          algorithms: compression.algorithms,
+          compressibleTypes: compression.compressibleTypes,
+          excludePatterns: compression.excludePatterns,
+        });
+        console.log(`✓ Response compression enabled (${compression.algorithms.join(', ')})`);
+      }
+    },
+
+    /**
+     * Replace the route table (route path -> module id)
+     * `middlewareMap` lists the _middleware module ids for each route,
+     * outermost first. The matcher is compiled here; conflicting routes
+     * throw and leave the previous table in place.
+     */
+    setRoutes(routeMap, middlewareMap = new Map()) {
+      router = createRouter(routeMap);
+      routes = routeMap;
+      middlewareByRoute = middlewareMap;
+    },
+
+    getRoutes() {
+      return routes;
+    },
+
+    /**
+     * Issue a CSRF token accepted by this middleware (used by the API explorer)
+     * With a request the token is bound to its session, and with a response
+     * the CSRF cookie is set as well.
+     */
+    createCsrfToken(req = null, res = null) {
+      return csrf.issue(req, res, req ? resolveClient(req, trust) : undefined);
+    },
+
+    /**
+     * Set the function used to load a route module
+     */
+    setModuleLoader(loader) {
+      loadModule = loader;
+    },
+
+    async getStats() {
+      return {
+        routes: Array.from(routes.keys()),
+        cache: cacheManager ? await cacheManager.getStats() : { enabled: false },
+        compression: compressionManager ? compressionManager.getStats() : { enabled: false },
+        websockets: { connections: connections.size, rooms: rooms.list() },
+        rateLimit: {
+          // Requests let through / refused since start, per rule and per scope
+          rules: rateLimitRules.map(({ name, methods, windowMs, max, algorithm, key, scope }) => ({
+            name, methods, windowMs, max, algorithm, key,
+            ...(rateLimitCounters.get(scope) || { allowed: 0, limited: 0 }),
+          })),
+          scopes: Object.fromEntries(rateLimitCounters),
+        },
+      };
+    },
+
+    /**
+     * Stop timers and clear in-memory stores
+     */
+    close() {
+      stopCleanupInterval();
+
+      for (const ws of connections) {
+        ws.close(1001, 'Server shutting down');
+      }
+
+      // Cleanup cache manager
+      if (cacheManager && typeof cacheManager.clear === 'function') {
+        cacheManager.clear().catch(err => console.error('Cache cleanup error:', err));
+      }
+
+      // Cleanup compression manager
+      if (compressionManager && typeof compressionManager.resetStats === 'function') {
+        compressionManager.resetStats();
+      }
+
+      // Clear stores (a shared Redis store keeps its counters)
+      rateLimitStore.close?.().catch(err => console.error('Rate limit store cleanup error:', err));
+      routes.clear();
+      middlewareByRoute.clear();
+    },
+  };
+}
+
+// ============================================================================
+// Middleware Chain
+// ============================================================================
+
+/**
+ * Run directory middleware around a handler, outermost first
+ *
+ * Each middleware is called as `middleware(request, next)`:
+ * - return a Response to short-circuit the chain
+ * - `await next()` to get the downstream Response and post-process it
+ *   (null when a Next.js style handler already wrote the response)
+ * - return nothing to continue with the next middleware
+ */
+async function runMiddleware(stack, request, handler) {
+  const run = async (index) => {
+    if (index === stack.length) {
+      return handler();
+    }
+
+    let called = false;
+    let downstream = null;
+
+    const next = async () => {
+      if (called) {
+        throw new Error('next() called multiple times in _middleware');
+      }
+      called = true;
+      downstream = await run(index + 1);
+      return downstream;
+    };
+
+    const result = await stack[index](request, next);
+
+    if (result === undefined || result === null) {
+      return called ? downstream : next();
+    }
+
+    return toResponse(result);
+  };
+
+  return run(0);
+}
+
+// ============================================================================
+// Response Helpers
+// ============================================================================
+
+/**
+ * Check a handler's JSON Response against `schema.response`
+ * Mismatches become a 500 so they're hard to miss in development
+ */
+async function checkResponse(req, routeSchema, response) {
+  if (!response.headers.get('content-type')?.includes('application/json')) {
+    return response;
+  }
+
+  let data;
+  try {
+    data = await response.clone().json();
+  } catch {
+    return response;
+  }
+
+  const errors = validateResponse(routeSchema, response.status, data);
+  if (errors.length === 0) {
+    return response;
+  }
+
+  return Response.json(responseValidationError(req, errors), { status: 500 });
+}
+
+function responseValidationError(req, errors) {
+  console.warn(`⚠ Response from ${req.method} ${req.url} does not match its schema:`, errors);
+  return { error: 'Response validation failed', errors };
+}
+
+// Plain values returned by handlers are sent as JSON
+function toResponse(result) {
+  if (result instanceof Response) {
+    return result;
+  }
+
+  return new Response(JSON.stringify(result), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Write a Web Response to the Node response
+ * Bodies are piped chunk by chunk with backpressure, so streams and
+ * server-sent events are flushed as they are produced. If the client
+ * disconnects the body stream is cancelled.
+ */
+async function sendResponse(res, response) {
+  res.statusCode = response.status;
+
+  // Copy headers from Response to Node.js response
+  for (const [key, value] of response.headers.entries()) {
+    // entries() joins Set-Cookie values with a comma, which breaks Expires dates.
+    // Cookies are added to those already set (e.g. by getCsrfToken()).
+    const cookies = key === 'set-cookie' && response.headers.getSetCookie?.();
+    if (cookies) {
+      res.appendHeader(key, cookies);
+    } else {
+      res.setHeader(key, value);
+    }
+  }
+
+  if (!response.body) {
+    res.end();
+    return;
+  }
+
+  try {
+    await pipeline(Readable.fromWeb(response.body), res);
+  } catch (error) {
+    // The client went away mid-stream, nobody is left to tell
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+  }
+}
+
+/**
+ * Minimal res-like object for auth hooks on App Router handlers
+ * Captures status(), setHeader() and json()/send()/end() into a Response
+ */
+function createResponseRecorder() {
+  let statusCode = 200;
+  let body = null;
+  let ended = false;
+  const headers = new Headers();
+
+  return {
+    get writableEnded() {
+      return ended;
+    },
+    status(code) {
+      statusCode = code;
+      return this;
+    },
+    setHeader(name, value) {
+      headers.set(name, value);
+      return this;
+    },
+    json(data) {
+      headers.set('Content-Type', 'application/json');
+      return this.end(JSON.stringify(data));
+    },
+    send(data) {
+      return typeof data === 'object' ? this.json(data) : this.end(String(data));
+    },
+    end(data = null) {
+      body = data;
+      ended = true;
+      return this;
+    },
+    toResponse() {
+      return ended ? new Response(body, { status: statusCode, headers }) : null;
+    },
+  };
+}
+
+// ============================================================================
+// Request Helpers
+// ============================================================================
+
+/**
+ * Buffer the body up to `maxSize` and run the parser for its content type
+ * Types without a parser become a string when text-like and a Buffer
+ * otherwise, so binary payloads survive intact. Resolves to
+ * `{ body, rawBody }` where rawBody holds the original bytes; malformed
+ * bodies reject with a 400.
+ */
+async function parseBody(req, maxSize, parsers) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > maxSize) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject(httpError(413, 'Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (tooLarge) return;
+
+      const rawBody = Buffer.concat(chunks);
+      const { type, charset } = parseContentType(req.headers['content-type']);
+      const parser = findParser(parsers, type);
+
+      if (rawBody.length === 0) {
+        resolve({ body: /[/+]json$/.test(type) ? {} : '', rawBody });
+      } else if (parser) {
+        try {
+          resolve({ body: parser(rawBody, { type, charset }), rawBody });
+        } catch (error) {
+          reject(httpError(400, `Malformed ${type} body: ${error.message}`));
+        }
+      } else if (isTextType(type)) {
+        resolve({ body: rawBody.toString(charset), rawBody });
+      } else {
+        resolve({ body: rawBody, rawBody });
+      }
+    });
+
+    req.on('error', (error) => reject(error));
+  });
+}
+
+/**
+ * Next.js style res: `helpers` on top of the ServerResponse
+ * Everything else (end, write, getHeader, statusCode, headersSent, on, ...)
+ * goes straight to `res`, so handlers written for Next.js run unchanged.
+ */
+function createNextResponse(res, helpers) {
+  return new Proxy(res, {
+    get(target, prop) {
+      if (Object.prototype.hasOwnProperty.call(helpers, prop)) {
+        return helpers[prop];
+      }
+      const value = Reflect.get(target, prop, target);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+    set(target, prop, value) {
+      return Reflect.set(target, prop, value, target);
+    },
+    has(target, prop) {
+      return prop in helpers || prop in target;
+    },
+  });
+}
+
+// Add a header name to Vary without dropping ones already set
+function appendVary(res, name) {
+  const current = String(res.getHeader('vary') || '');
+  const names = current.split(',').map(value => value.trim().toLowerCase());
+
+  if (current === '*' || names.includes(name.toLowerCase())) return;
+  res.setHeader('Vary', current ? `${current}, ${name}` : name);
+}
+
+function isTextType(contentType) {
+  return !contentType ||
+    /^text\//i.test(contentType) ||
+    /(?:x-www-form-urlencoded|[/+]xml|graphql)/i.test(contentType);
+}
+
+/**
+ * Hand the request body over as a web ReadableStream, erroring with 413
+ * once more than `maxSize` bytes came through. A `limiter`
+ * (createMultipartLimiter()) checks each chunk before it is passed on.
+ */
+function limitStream(req, maxSize, onError, limiter = null) {
+  let size = 0;
+
+  const fail = (error, callback) => {
+    onError(error);
+    callback(error);
+  };
+
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxSize) {
+        fail(httpError(413, 'Request body too large'), callback);
+        return;
+      }
+      if (!limiter) {
+        callback(null, chunk);
+        return;
+      }
+      limiter.push(chunk).then(() => callback(null, chunk), error => fail(error, callback));
+    },
+    flush(callback) {
+      try {
+        limiter?.end();
+        callback();
+      } catch (error) {
+        fail(error, callback);
+      }
+    },
+  });
+
+  req.on('error', (error) => counter.destroy(error));
+  return Readable.toWeb(req.pipe(counter));
+}
+
+/**
+ * Rebuild FormData from parsed fields and temp files for App Router
+ * handlers that validate multipart bodies with a schema
+ */
+async function toFormData(fields, files) {
+  const formData = new FormData();
+
+  for (const [name, value] of Object.entries(fields)) {
+    for (const item of [].concat(value)) {
+      formData.append(name, item);
+    }
+  }
+
+  for (const [name, list] of Object.entries(files)) {
+    for (const file of list) {
+      // openAsBlob keeps the upload on disk (Node 19.8+)
+      const blob = typeof fs.openAsBlob === 'function'
+        ? await fs.openAsBlob(file.path, { type: file.type })
+        : new Blob([await fs.promises.readFile(file.path)], { type: file.type });
+      formData.append(name, new File([blob], file.name, { type: file.type }));
+    }
+  }
+
+  return formData;
+}
+
+function parseCookies(cookieHeader) {
+  if (!cookieHeader) return {};
+  return Object.fromEntries(
+    cookieHeader.split(';').map(c => {
+      const [key, ...v] = c.trim().split('=');
+      return [key, v.join('=')];
+    })
+  );
+}
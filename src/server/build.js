@@ -0,0 +1,144 @@
+/**
+ * Production build for API routes
+ * Bundles every route handler with Vite's SSR build and writes a route
+ * manifest that the standalone server loads at startup.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { resolveApiDir, scanRoutes, scanMiddleware } from './routes.js';
+
+export const MANIFEST_FILE = 'manifest.json';
+export const MANIFEST_VERSION = 1;
+
+/**
+ * Derive a stable bundle entry name from a route file
+ * e.g. users/[id].ts -> users/_id_
+ */
+function toEntryName(relativePath) {
+  return relativePath
+    .replace(/\\/g, '/')
+    .replace(/\.(js|ts|tsx|jsx|mjs|cjs)$/, '')
+    .replace(/[^\w/-]/g, '_');
+}
+
+/**
+ * Bundle all API route handlers and write the route manifest
+ */
+export async function buildApiRoutes(options = {}) {
+  const {
+    root = process.cwd(),
+    apiDir = 'pages/api',
+    apiPrefix = '/api',
+    outDir = 'build/api',
+    logLevel = 'warn',
+  } = options;
+
+  const baseDir = resolveApiDir(root, apiDir);
+  const routes = scanRoutes(root, apiDir, apiPrefix);
+  const middleware = scanMiddleware(root, apiDir, apiPrefix);
+
+  if (!baseDir || routes.size === 0) {
+    console.warn(`⚠ No API routes found in ${apiDir}, skipping API build`);
+    return null;
+  }
+
+  const outputDir = path.resolve(root, outDir);
+  const input = {};
+  const entries = [];
+
+  // Each _middleware file is bundled once and shared by the routes below it.
+  // Entry names are lossy (users/[id].ts and users/_id_.ts both map to
+  // users/_id_), so a clash would silently bundle one file for both routes.
+  const addEntry = (filePath) => {
+    const name = toEntryName(path.relative(baseDir, filePath));
+    if (input[name] && input[name] !== filePath) {
+      throw new Error(
+        `Route files ${path.relative(root, input[name])} and ${path.relative(root, filePath)} ` +
+        `both build to "${name}"; rename one of them`
+      );
+    }
+    input[name] = filePath;
+    return name;
+  };
+
+  for (const [route, filePath] of routes.entries()) {
+    const name = addEntry(filePath);
+    const middlewareNames = (middleware.get(route) || []).map(addEntry);
+    entries.push({ route, name, middlewareNames, source: path.relative(root, filePath).replace(/\\/g, '/') });
+  }
+
+  const { build } = await import('vite');
+
+  // configFile: false keeps this nested build from loading the plugin again
+  await build({
+    root,
+    configFile: false,
+    logLevel,
+    build: {
+      ssr: true,
+      outDir: outputDir,
+      emptyOutDir: true,
+      minify: false,
+      rollupOptions: {
+        input,
+        output: {
+          format: 'es',
+          entryFileNames: '[name].mjs',
+          chunkFileNames: 'chunks/[name]-[hash].mjs',
+        },
+      },
+    },
+  });
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    apiPrefix,
+    generatedAt: new Date().toISOString(),
+    routes: entries.map(({ route, name, middlewareNames, source }) => ({
+      route,
+      file: `${name}.mjs`,
+      middleware: middlewareNames.map(middlewareName => `${middlewareName}.mjs`),
+      source,
+    })),
+  };
+
+  fs.writeFileSync(
+    path.join(outputDir, MANIFEST_FILE),
+    JSON.stringify(manifest, null, 2)
+  );
+
+  console.log(`✓ Built ${entries.length} API routes to ${path.relative(root, outputDir) || '.'}`);
+
+  return manifest;
+}
+
+/**
+ * Read a route manifest and resolve module paths
+ * Returns the route table and the per-route middleware table
+ */
+export function loadRouteManifest(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`API route manifest not found at ${manifestPath}. Run "vite build" first.`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported API route manifest version: ${manifest.version}`);
+  }
+
+  const routes = new Map();
+  const middleware = new Map();
+  for (const entry of manifest.routes) {
+    routes.set(entry.route, path.join(dir, entry.file));
+
+    if (entry.middleware?.length) {
+      middleware.set(entry.route, entry.middleware.map(file => path.join(dir, file)));
+    }
+  }
+
+  return { manifest, routes, middleware };
+}
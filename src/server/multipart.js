@@ -0,0 +1,352 @@
+/**
+ * Streaming multipart/form-data parser
+ * Fields are collected in memory, files are written to temp files as they
+ * arrive so uploads never sit in memory. Limits are enforced while streaming;
+ * breaking one rejects with a 413 error and removes the files written so far.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { once } from 'events';
+
+export const DEFAULT_UPLOAD_LIMITS = {
+  maxFileSize: 10 * 1024 * 1024, // 10MB per file
+  maxFiles: 10,
+  maxFieldSize: 100 * 1024, // 100KB per text field
+  maxFields: 100,
+  maxTotalSize: 50 * 1024 * 1024, // 50MB per request
+  tmpDir: null, // Defaults to os.tmpdir()
+};
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_HEADER_SIZE = 16 * 1024;
+
+/**
+ * Error carrying the HTTP status the request should fail with
+ */
+export function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export function isMultipart(contentType = '') {
+  return /^multipart\/form-data/i.test(contentType);
+}
+
+/**
+ * Read the boundary from a multipart Content-Type header
+ */
+export function getBoundary(contentType = '') {
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+/**
+ * Parse a multipart body from a Node or async-iterable stream
+ *
+ * Returns `{ fields, files }`. Repeated field names become arrays; `files`
+ * maps each field name to an array of
+ * `{ field, name, type, size, path }` (path is the temp file).
+ */
+export async function parseMultipart(stream, contentType, options = {}) {
+  const limits = { ...DEFAULT_UPLOAD_LIMITS, ...options };
+  const boundary = getBoundary(contentType);
+
+  if (!boundary) {
+    throw httpError(400, 'Missing multipart boundary');
+  }
+
+  const tmpDir = limits.tmpDir || os.tmpdir();
+  const fields = {};
+  const files = {};
+  const written = [];
+
+  const scanner = createScanner(boundary, limits, {
+    start(part) {
+      if (!part.filename) {
+        part.chunks = [];
+        return;
+      }
+
+      part.file = {
+        field: part.name,
+        name: part.filename,
+        type: part.type,
+        size: 0,
+        path: path.join(tmpDir, `upload-${crypto.randomUUID()}`),
+      };
+      written.push(part.file.path);
+      part.out = fs.createWriteStream(part.file.path, { flags: 'wx' });
+    },
+
+    async data(part, data) {
+      if (!part.file) {
+        part.chunks.push(data);
+        return;
+      }
+
+      part.file.size = part.size;
+      if (!part.out.write(data)) {
+        await once(part.out, 'drain');
+      }
+    },
+
+    async end(part) {
+      if (!part.file) {
+        addField(fields, part.name, Buffer.concat(part.chunks).toString('utf8'));
+        return;
+      }
+
+      part.out.end();
+      await once(part.out, 'finish');
+      addFile(files, part.file);
+    },
+  });
+
+  // Iterated by hand: `for await` would destroy the request on the way out,
+  // taking the socket (and the error response) with it
+  const iterator = stream[Symbol.asyncIterator]();
+
+  try {
+    for (;;) {
+      const { value: chunk, done } = await iterator.next();
+      if (done) break;
+      await scanner.push(chunk);
+    }
+    scanner.end();
+  } catch (error) {
+    // Wait for the file to close, or a pending open could recreate it after the unlink
+    const out = scanner.part?.out;
+    if (out && !out.closed) {
+      const closed = once(out, 'close');
+      out.destroy();
+      await closed;
+    }
+    await Promise.all(written.map(filePath => fs.promises.unlink(filePath).catch(() => {})));
+    throw error;
+  }
+
+  return { fields, files };
+}
+
+/**
+ * Check a multipart body against the upload limits without parsing it
+ * For bodies handed to `request.formData()` as a stream: feed every chunk
+ * to `push()` before passing it on and call `end()` when the body is done.
+ * Both throw the same 4xx errors as parseMultipart().
+ */
+export function createMultipartLimiter(contentType, options = {}) {
+  const boundary = getBoundary(contentType);
+
+  if (!boundary) {
+    throw httpError(400, 'Missing multipart boundary');
+  }
+
+  return createScanner(boundary, { ...DEFAULT_UPLOAD_LIMITS, ...options });
+}
+
+/**
+ * Split a multipart body into parts while enforcing the upload limits
+ * `handlers.start(part)`, `data(part, chunk)` and `end(part)` see each part
+ * as `{ name, filename, type, size }`; `filename` is null for text fields.
+ */
+function createScanner(boundary, limits, handlers = {}) {
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+
+  let state = 'preamble';
+  // Prefixed with CRLF so the first boundary matches the same delimiter
+  let buffer = Buffer.from('\r\n');
+  let total = 0;
+  let fieldCount = 0;
+  let fileCount = 0;
+  let part = null;
+
+  const startPart = async (headers) => {
+    const disposition = headers['content-disposition'] || '';
+    const name = getParam(disposition, 'name');
+    const filename = getParam(disposition, 'filename*') || getParam(disposition, 'filename');
+
+    if (name === null) {
+      throw httpError(400, 'Multipart part without a field name');
+    }
+
+    // Browsers send an empty filename for file inputs left blank
+    if (filename === '') {
+      part = { skip: true };
+      return;
+    }
+
+    if (filename !== null && ++fileCount > limits.maxFiles) {
+      throw httpError(413, `Too many files (max ${limits.maxFiles})`);
+    }
+    if (filename === null && ++fieldCount > limits.maxFields) {
+      throw httpError(413, `Too many fields (max ${limits.maxFields})`);
+    }
+
+    part = {
+      name,
+      filename: filename === null ? null : path.basename(filename.replace(/\\/g, '/')),
+      type: headers['content-type'] || 'application/octet-stream',
+      size: 0,
+    };
+    await handlers.start?.(part);
+  };
+
+  const writePart = async (data) => {
+    if (!part || part.skip || data.length === 0) return;
+
+    part.size += data.length;
+    if (part.filename !== null && part.size > limits.maxFileSize) {
+      throw httpError(413, `File "${part.filename}" exceeds ${limits.maxFileSize} bytes`);
+    }
+    if (part.filename === null && part.size > limits.maxFieldSize) {
+      throw httpError(413, `Field "${part.name}" exceeds ${limits.maxFieldSize} bytes`);
+    }
+    await handlers.data?.(part, data);
+  };
+
+  const endPart = async () => {
+    if (part && !part.skip) {
+      await handlers.end?.(part);
+    }
+    part = null;
+  };
+
+  return {
+    get part() {
+      return part;
+    },
+
+    async push(chunk) {
+      total += chunk.length;
+      if (total > limits.maxTotalSize) {
+        throw httpError(413, `Request body exceeds ${limits.maxTotalSize} bytes`);
+      }
+
+      // Drain the epilogue so the request ends normally
+      if (state === 'done') return;
+
+      buffer = Buffer.concat([buffer, chunk]);
+
+      while (state !== 'done') {
+        if (state === 'preamble' || state === 'body') {
+          const index = buffer.indexOf(delimiter);
+
+          if (index === -1) {
+            // Keep enough of the tail to match a delimiter split across chunks
+            const safe = buffer.length - delimiter.length - 1;
+            if (state === 'body' && safe > 0) {
+              await writePart(buffer.subarray(0, safe));
+            }
+            if (safe > 0) buffer = buffer.subarray(safe);
+            break;
+          }
+
+          if (state === 'body') {
+            await writePart(buffer.subarray(0, index));
+            await endPart();
+          }
+
+          buffer = buffer.subarray(index + delimiter.length);
+          state = 'boundary';
+        }
+
+        if (state === 'boundary') {
+          if (buffer.length < 2) break;
+
+          if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+            state = 'done';
+            break;
+          }
+
+          // Skip transport padding up to the CRLF after the boundary
+          const lineEnd = buffer.indexOf(CRLF);
+          if (lineEnd === -1) break;
+          buffer = buffer.subarray(lineEnd + CRLF.length);
+          state = 'headers';
+        }
+
+        if (state === 'headers') {
+          const headerEnd = buffer.indexOf(HEADER_END);
+
+          if (headerEnd === -1) {
+            if (buffer.length > MAX_HEADER_SIZE) {
+              throw httpError(431, 'Multipart headers too large');
+            }
+            break;
+          }
+
+          const headers = parseHeaders(buffer.subarray(0, headerEnd).toString('utf8'));
+          // The part body runs up to the next "\r\n--boundary"
+          buffer = buffer.subarray(headerEnd + HEADER_END.length);
+          state = 'body';
+          await startPart(headers);
+        }
+      }
+    },
+
+    end() {
+      if (state !== 'done') {
+        throw httpError(400, 'Unexpected end of multipart body');
+      }
+    },
+  };
+}
+
+/**
+ * Delete the temp files of a parsed upload (files moved elsewhere are skipped)
+ */
+export async function removeUploadedFiles(files = {}) {
+  const paths = Object.values(files).flat().map(file => file.path);
+  await Promise.all(paths.map(filePath => fs.promises.unlink(filePath).catch(() => {})));
+}
+
+function parseHeaders(text) {
+  const headers = {};
+  for (const line of text.split('\r\n')) {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+  }
+  return headers;
+}
+
+// name="x", filename="a.txt" or RFC 5987 filename*=UTF-8''a%20b.txt
+function getParam(header, name) {
+  const escaped = name.replace('*', '\\*');
+  const match = header.match(new RegExp(`(?:^|;)\\s*${escaped}=(?:"((?:[^"\\\\]|\\\\.)*)"|([^;]*))`, 'i'));
+  if (!match) return null;
+
+  const value = match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim();
+  if (name.endsWith('*')) {
+    const [, encoded] = value.match(/^[^']*'[^']*'(.*)$/) || [];
+    try {
+      return encoded !== undefined ? decodeURIComponent(encoded) : value;
+    } catch {
+      return value;
+    }
+  }
+  return value;
+}
+
+// Names come from the client: own properties only, so `constructor` or
+// `__proto__` are stored like any other name
+function addField(fields, name, value) {
+  const current = Object.prototype.hasOwnProperty.call(fields, name) ? fields[name] : undefined;
+  setOwn(fields, name, current === undefined ? value : [].concat(current, value));
+}
+
+function addFile(files, file) {
+  const list = Object.prototype.hasOwnProperty.call(files, file.field) ? files[file.field] : [];
+  list.push(file);
+  setOwn(files, file.field, list);
+}
+
+function setOwn(target, name, value) {
+  Object.defineProperty(target, name, { value, enumerable: true, writable: true, configurable: true });
+}
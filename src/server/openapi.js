@@ -0,0 +1,695 @@
+/**
+ * OpenAPI 3.1 generation
+ * Builds an OpenAPI document from the same route table the plugin serves.
+ * Request/response schemas come from the `schema` a route exports; where a
+ * route has none, they are derived from the TypeScript types in its handlers.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { STATUS_CODES } from 'http';
+import { scanRoutes, getRouteParams } from './routes.js';
+import { getRouteSchema } from '../lib/validation.js';
+import { DEFAULT_PUBLIC_ROUTES } from '../lib/auth.js';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+const COMPONENT_SCHEMAS = {
+  ApiErrorResponse: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' },
+      field: { type: 'string' },
+      code: { type: 'string' },
+    },
+  },
+  ValidationErrorResponse: {
+    type: 'object',
+    required: ['error', 'errors'],
+    properties: {
+      error: { type: 'string', const: 'Validation failed' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['field', 'message'],
+          properties: {
+            field: { type: 'string' },
+            message: { type: 'string' },
+            value: {},
+          },
+        },
+      },
+    },
+  },
+};
+
+// Mirrors how createAuthMiddleware() reads credentials for each auth type
+const SECURITY_SCHEMES = {
+  jwt: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+  },
+  apikey: {
+    apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    apiKeyQuery: { type: 'apiKey', in: 'query', name: 'apiKey' },
+  },
+  session: {
+    sessionCookie: { type: 'apiKey', in: 'cookie', name: 'sessionId' },
+  },
+};
+
+// ============================================================================
+// Document
+// ============================================================================
+
+/**
+ * Generate an OpenAPI 3.1 document for the API routes under `root`
+ *
+ * `auth` takes the same `type` and `publicRoutes` as createAuthMiddleware().
+ * Routes are scanned from `apiDir` unless a route table is passed, and route
+ * modules are loaded through Vite unless `loadModule` is given.
+ */
+export async function generateOpenApiDocument(options = {}) {
+  const {
+    root = process.cwd(),
+    apiDir = 'pages/api',
+    apiPrefix = '/api',
+    routes: routeMap = scanRoutes(root, apiDir, apiPrefix),
+    auth = null,
+    info = readPackageInfo(root),
+    loadModule = null,
+  } = options;
+
+  const routes = [...routeMap].sort(([a], [b]) => a.localeCompare(b));
+  const handlerTypes = await extractHandlerTypes(routes.map(([, filePath]) => filePath));
+  const loader = loadModule ? { load: loadModule, close: async () => {} } : await createModuleLoader(root);
+
+  const securitySchemes = getSecuritySchemes(auth?.type);
+  const publicRoutes = auth?.publicRoutes || DEFAULT_PUBLIC_ROUTES;
+
+  const document = {
+    openapi: '3.1.0',
+    info,
+    paths: {},
+    components: { schemas: { ...COMPONENT_SCHEMAS } },
+  };
+
+  if (securitySchemes) {
+    document.components.securitySchemes = securitySchemes;
+    document.security = Object.keys(securitySchemes).map(name => ({ [name]: [] }));
+  }
+
+  try {
+    for (const [route, filePath] of routes) {
+      const module = await loadRouteModule(loader, root, filePath);
+      const handlers = handlerTypes.get(filePath) || {};
+      const isPublic = publicRoutes.some(publicRoute => route.includes(publicRoute));
+
+      for (const { path: openApiPath, params } of toOpenApiPaths(route)) {
+        const pathItem = {};
+
+        for (const method of getRouteMethods(module, handlers)) {
+          pathItem[method.toLowerCase()] = buildOperation({
+            route: openApiPath,
+            method,
+            params,
+            apiPrefix,
+            routeSchema: getRouteSchema(module?.schema, method),
+            handler: handlers[method] || handlers.default,
+            // null when there is no auth to describe
+            secured: securitySchemes ? !isPublic : null,
+          });
+        }
+
+        if (Object.keys(pathItem).length > 0) {
+          document.paths[openApiPath] = pathItem;
+        }
+      }
+    }
+  } finally {
+    await loader.close();
+  }
+
+  return document;
+}
+
+/**
+ * Security schemes for a createAuthMiddleware() `type`
+ * Returns null for custom or missing auth, which can't be described
+ */
+export function getSecuritySchemes(type) {
+  return SECURITY_SCHEMES[type] || null;
+}
+
+/**
+ * Convert a plugin route to OpenAPI paths
+ * `/api/users/:id` -> `/api/users/{id}`. Path parameters are always required
+ * in OpenAPI, so an optional catch-all also yields the path without it.
+ */
+export function toOpenApiPaths(route) {
+  const params = getRouteParams(route);
+  const toPath = pattern => pattern.replace(/:([^/]+?)[+*]?(?=\/|$)/g, '{$1}');
+  const paths = [{ path: toPath(route), params }];
+
+  const optional = params.find(param => param.optional);
+  if (optional) {
+    paths.unshift({
+      path: toPath(route.replace(/\/:[^/]+\*$/, '')) || '/',
+      params: params.filter(param => param !== optional),
+    });
+  }
+
+  return paths;
+}
+
+function buildOperation({ route, method, params, apiPrefix, routeSchema, handler, secured }) {
+  const operation = {
+    operationId: toOperationId(method, route),
+    summary: handler?.summary || `${method} ${route}`,
+    tags: [getTag(route, apiPrefix)],
+  };
+
+  const parameters = [
+    ...params.map(param => toPathParameter(param, routeSchema)),
+    ...toQueryParameters(routeSchema, handler),
+  ];
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  const bodySchema = toJsonSchema(routeSchema?.body)
+    || (BODY_METHODS.includes(method) ? handler?.body : undefined);
+  if (bodySchema) {
+    operation.requestBody = { required: true, content: jsonContent(bodySchema) };
+  }
+
+  const responses = {};
+
+  if (routeSchema?.response) {
+    const { response } = routeSchema;
+    const keys = Object.keys(response);
+
+    if (keys.length > 0 && keys.every(key => /^\d{3}$/.test(key))) {
+      for (const status of keys) {
+        addResponse(responses, status, toJsonSchema(response[status]));
+      }
+    } else {
+      // A single schema describes every successful response
+      addResponse(responses, '2XX', toJsonSchema(response));
+    }
+  }
+
+  // Declared response schemas win over inferred types
+  const declared = new Set(Object.keys(responses));
+
+  if (routeSchema?.body || routeSchema?.query || routeSchema?.params) {
+    addResponse(responses, '400', { $ref: '#/components/schemas/ValidationErrorResponse' });
+  }
+
+  for (const [status, schema] of Object.entries(handler?.responses || {})) {
+    if (!declared.has(status) && !(declared.has('2XX') && status.startsWith('2'))) {
+      addResponse(responses, status, schema);
+    }
+  }
+
+  if (secured) {
+    addResponse(responses, '401', { $ref: '#/components/schemas/ApiErrorResponse' });
+  } else if (secured === false) {
+    operation.security = [];
+  }
+
+  operation.responses = Object.keys(responses).length > 0
+    ? responses
+    : { 200: { description: 'Success' } };
+
+  return operation;
+}
+
+function toPathParameter(param, routeSchema) {
+  const schema = toJsonSchema(routeSchema?.params)?.properties?.[param.name];
+
+  return {
+    name: param.name,
+    in: 'path',
+    required: true,
+    description: param.catchAll
+      ? `Remaining path segments, joined with "/"`
+      : `Path parameter: ${param.name}`,
+    schema: schema || { type: 'string' },
+  };
+}
+
+function toQueryParameters(routeSchema, handler) {
+  const query = toJsonSchema(routeSchema?.query);
+
+  if (query?.properties) {
+    return Object.entries(query.properties).map(([name, schema]) => ({
+      name,
+      in: 'query',
+      required: (query.required || []).includes(name),
+      schema,
+    }));
+  }
+
+  return (handler?.query || []).map(name => ({
+    name,
+    in: 'query',
+    required: false,
+    schema: { type: 'string' },
+  }));
+}
+
+// Several bodies for one status become anyOf
+function addResponse(responses, status, schema) {
+  const description = status === '2XX' ? 'Success' : STATUS_CODES[status] || 'Response';
+  const existing = responses[status]?.content?.['application/json']?.schema;
+
+  if (!existing) {
+    responses[status] = { description, content: jsonContent(schema || {}) };
+    return;
+  }
+
+  const schemas = existing.anyOf || [existing];
+  if (!schemas.some(other => JSON.stringify(other) === JSON.stringify(schema))) {
+    responses[status].content = jsonContent({ anyOf: [...schemas, schema] });
+  }
+}
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+/**
+ * JSON Schema for a route `schema` entry
+ * JSON Schema passes through as-is; Zod-style schemas are converted when they
+ * can describe themselves (`toJSONSchema()`), otherwise they accept anything.
+ */
+function toJsonSchema(schema) {
+  if (!schema) return undefined;
+
+  if (typeof schema.safeParse === 'function') {
+    if (typeof schema.toJSONSchema !== 'function') return {};
+    const { $schema, ...jsonSchema } = schema.toJSONSchema();
+    return jsonSchema;
+  }
+
+  return schema;
+}
+
+function toOperationId(method, route) {
+  const words = route.split('/').filter(Boolean).map(segment => {
+    const param = segment.match(/^\{(.+)\}$/);
+    const word = param ? `by-${param[1]}` : segment;
+    return word.split(/[^a-zA-Z0-9]+/).filter(Boolean).map(part => part[0].toUpperCase() + part.slice(1)).join('');
+  });
+
+  return method.toLowerCase() + words.join('');
+}
+
+function getTag(route, apiPrefix) {
+  const [first] = route.slice(apiPrefix.length).split('/').filter(Boolean);
+  return first && !first.startsWith('{') ? first : 'default';
+}
+
+function getRouteMethods(module, handlers) {
+  const exported = HTTP_METHODS.filter(method => (module ? typeof module[method] === 'function' : handlers[method]));
+  if (exported.length > 0) return exported;
+
+  if (module && typeof module.default !== 'function') return [];
+
+  // Next.js style: one handler branching on req.method
+  const checked = handlers.default?.methods || [];
+  return checked.length > 0 ? [...new Set(checked)] : ['GET'];
+}
+
+function readPackageInfo(root) {
+  const packagePath = path.join(root, 'package.json');
+  const pkg = fs.existsSync(packagePath) ? JSON.parse(fs.readFileSync(packagePath, 'utf8')) : {};
+
+  return {
+    title: pkg.name || 'API',
+    version: pkg.version || '1.0.0',
+    ...(pkg.description && { description: pkg.description }),
+  };
+}
+
+// ============================================================================
+// Route Modules
+// ============================================================================
+
+// Loads route files the way the dev server does, so TypeScript and imports work
+async function createModuleLoader(root) {
+  const { createServer } = await import('vite');
+  const server = await createServer({
+    root,
+    configFile: false,
+    logLevel: 'silent',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false, watch: null },
+  });
+
+  return {
+    load: filePath => server.ssrLoadModule(filePath),
+    close: () => server.close(),
+  };
+}
+
+async function loadRouteModule(loader, root, filePath) {
+  try {
+    return await loader.load(filePath);
+  } catch (error) {
+    // Fall back to what the source alone tells us
+    console.warn(`Could not load ${path.relative(root, filePath)}: ${error.message}`);
+    return null;
+  }
+}
+
+// ============================================================================
+// TypeScript Types
+// ============================================================================
+
+/**
+ * Read handler types from route files with the TypeScript compiler
+ * Returns a Map of file path -> { [GET|POST|...|default]: handler info } with
+ * the summary comment, request body type, query params read and response
+ * bodies by status. Empty when `typescript` isn't installed.
+ */
+export async function extractHandlerTypes(files) {
+  const handlerTypes = new Map();
+
+  let ts;
+  try {
+    ts = (await import('typescript')).default;
+  } catch {
+    console.warn('typescript is not installed; schemas will only come from exported `schema` objects');
+    return handlerTypes;
+  }
+
+  const program = ts.createProgram(files, {
+    allowJs: true,
+    noEmit: true,
+    strict: true,
+    skipLibCheck: true,
+    target: ts.ScriptTarget.ES2022,
+    module: ts.ModuleKind.ESNext,
+    moduleResolution: ts.ModuleResolutionKind.Bundler,
+  });
+  const checker = program.getTypeChecker();
+
+  for (const filePath of files) {
+    const sourceFile = program.getSourceFile(filePath);
+    if (sourceFile) {
+      handlerTypes.set(filePath, getHandlers(ts, checker, sourceFile));
+    }
+  }
+
+  return handlerTypes;
+}
+
+function getHandlers(ts, checker, sourceFile) {
+  const handlers = {};
+
+  const add = (name, fn, statement) => {
+    if (fn?.body && (name === 'default' || HTTP_METHODS.includes(name))) {
+      handlers[name] = analyzeHandler(ts, checker, sourceFile, fn, statement);
+    }
+  };
+
+  for (const statement of sourceFile.statements) {
+    const modifiers = ts.canHaveModifiers(statement) ? ts.getModifiers(statement) || [] : [];
+    const isExported = modifiers.some(modifier => modifier.kind === ts.SyntaxKind.ExportKeyword);
+    const isDefault = modifiers.some(modifier => modifier.kind === ts.SyntaxKind.DefaultKeyword);
+
+    if (ts.isFunctionDeclaration(statement) && isExported) {
+      add(isDefault ? 'default' : statement.name?.text, statement, statement);
+    } else if (ts.isVariableStatement(statement) && isExported) {
+      for (const declaration of statement.declarationList.declarations) {
+        if (ts.isIdentifier(declaration.name) && isFunctionNode(ts, declaration.initializer)) {
+          add(declaration.name.text, declaration.initializer, statement);
+        }
+      }
+    } else if (ts.isExportAssignment(statement) && !statement.isExportEquals) {
+      // export default handler;
+      const declaration = isFunctionNode(ts, statement.expression)
+        ? statement.expression
+        : checker.getSymbolAtLocation(statement.expression)?.valueDeclaration;
+      const fn = declaration && ts.isVariableDeclaration(declaration) ? declaration.initializer : declaration;
+      if (isFunctionNode(ts, fn)) add('default', fn, statement);
+    }
+  }
+
+  return handlers;
+}
+
+function isFunctionNode(ts, node) {
+  return Boolean(node) && (ts.isFunctionDeclaration(node) || ts.isFunctionExpression(node) || ts.isArrowFunction(node));
+}
+
+function analyzeHandler(ts, checker, sourceFile, fn, statement) {
+  const [requestParam, responseParam] = fn.parameters.map(param =>
+    (ts.isIdentifier(param.name) ? param.name.text : null)
+  );
+  const handler = { summary: getSummary(ts, sourceFile, statement), methods: [], query: [], responses: {} };
+
+  const toSchema = type => typeToSchema(ts, checker, type);
+  const isParam = (node, name) => Boolean(name) && ts.isIdentifier(node) && node.text === name;
+  const isMethodAccess = node => ts.isPropertyAccessExpression(node) && node.name.text === 'method';
+  const numberValue = node => {
+    const type = node && checker.getTypeAtLocation(node);
+    return type?.isNumberLiteral() ? type.value : undefined;
+  };
+  const statusOf = (init, fallback) => {
+    if (!init) return fallback;
+    if (!ts.isObjectLiteralExpression(init)) return undefined;
+    const status = init.properties.find(property =>
+      ts.isPropertyAssignment(property) && property.name.getText(sourceFile) === 'status'
+    );
+    return status ? numberValue(status.initializer) : fallback;
+  };
+  const addTypedResponse = (status, schema) => {
+    if (status === undefined) return;
+    const key = String(status);
+    const existing = handler.responses[key];
+    if (!existing) {
+      handler.responses[key] = schema;
+    } else if (JSON.stringify(existing) !== JSON.stringify(schema)) {
+      handler.responses[key] = { anyOf: [...(existing.anyOf || [existing]), schema] };
+    }
+  };
+
+  // `await request.json()` or `req.body`
+  const isBodyRead = node => {
+    while (ts.isAwaitExpression(node) || ts.isParenthesizedExpression(node)) node = node.expression;
+    if (ts.isPropertyAccessExpression(node)) {
+      return node.name.text === 'body' && isParam(node.expression, requestParam);
+    }
+    return ts.isCallExpression(node)
+      && ts.isPropertyAccessExpression(node.expression)
+      && node.expression.name.text === 'json'
+      && isParam(node.expression.expression, requestParam);
+  };
+
+  const visit = node => {
+    // Method checks in Next.js style handlers
+    if (ts.isBinaryExpression(node)
+      && [ts.SyntaxKind.EqualsEqualsEqualsToken, ts.SyntaxKind.EqualsEqualsToken].includes(node.operatorToken.kind)) {
+      for (const [left, right] of [[node.left, node.right], [node.right, node.left]]) {
+        if (isMethodAccess(left) && ts.isStringLiteral(right)) handler.methods.push(right.text.toUpperCase());
+      }
+    }
+    if (ts.isSwitchStatement(node) && isMethodAccess(node.expression)) {
+      for (const clause of node.caseBlock.clauses) {
+        if (ts.isCaseClause(clause) && ts.isStringLiteral(clause.expression)) {
+          handler.methods.push(clause.expression.text.toUpperCase());
+        }
+      }
+    }
+
+    // Typed request body
+    if (ts.isVariableDeclaration(node) && node.type && node.initializer && isBodyRead(node.initializer)) {
+      handler.body ??= toSchema(checker.getTypeFromTypeNode(node.type));
+    }
+    if (ts.isAsExpression(node) && isBodyRead(node.expression)) {
+      handler.body ??= toSchema(checker.getTypeFromTypeNode(node.type));
+    }
+
+    // Query params: url.searchParams.get('page') or req.query.page
+    if (ts.isCallExpression(node)
+      && ts.isPropertyAccessExpression(node.expression)
+      && node.expression.name.text === 'get'
+      && ts.isPropertyAccessExpression(node.expression.expression)
+      && node.expression.expression.name.text === 'searchParams'
+      && node.arguments[0] && ts.isStringLiteral(node.arguments[0])) {
+      handler.query.push(node.arguments[0].text);
+    }
+    if (ts.isPropertyAccessExpression(node)
+      && ts.isPropertyAccessExpression(node.expression)
+      && node.expression.name.text === 'query'
+      && isParam(node.expression.expression, requestParam)) {
+      handler.query.push(node.name.text);
+    }
+
+    // Responses
+    if (ts.isCallExpression(node)) {
+      const callee = node.expression;
+      const [first, second, third] = node.arguments;
+
+      if (ts.isPropertyAccessExpression(callee) && callee.name.text === 'json') {
+        const target = callee.expression;
+
+        if (ts.isIdentifier(target) && target.text === 'Response' && first) {
+          // Response.json(data, { status })
+          addTypedResponse(statusOf(second, 200), toSchema(checker.getTypeAtLocation(first)));
+        } else if (isParam(target, responseParam) && first) {
+          // res.json(data)
+          addTypedResponse(200, toSchema(checker.getTypeAtLocation(first)));
+        } else if (ts.isCallExpression(target)
+          && ts.isPropertyAccessExpression(target.expression)
+          && target.expression.name.text === 'status'
+          && isParam(target.expression.expression, responseParam)
+          && first) {
+          // res.status(201).json(data)
+          addTypedResponse(numberValue(target.arguments[0]), toSchema(checker.getTypeAtLocation(first)));
+        }
+      }
+
+      if (ts.isIdentifier(callee) && callee.text === 'createSuccessResponse' && first) {
+        addTypedResponse(third ? numberValue(third) : 200, {
+          type: 'object',
+          required: ['success', 'data'],
+          properties: {
+            success: { type: 'boolean', const: true },
+            data: toSchema(checker.getTypeAtLocation(first)),
+            message: { type: 'string' },
+          },
+        });
+      }
+
+      if (ts.isIdentifier(callee) && callee.text === 'createErrorResponse') {
+        addTypedResponse(second ? numberValue(second) : 400, { $ref: '#/components/schemas/ApiErrorResponse' });
+      }
+    }
+
+    // new Response(JSON.stringify(data), { status })
+    if (ts.isNewExpression(node)
+      && ts.isIdentifier(node.expression)
+      && node.expression.text === 'Response') {
+      const [body, init] = node.arguments || [];
+      if (body
+        && ts.isCallExpression(body)
+        && body.expression.getText(sourceFile) === 'JSON.stringify'
+        && body.arguments[0]) {
+        addTypedResponse(statusOf(init, 200), toSchema(checker.getTypeAtLocation(body.arguments[0])));
+      }
+    }
+
+    ts.forEachChild(node, visit);
+  };
+
+  visit(fn.body);
+  handler.query = [...new Set(handler.query)];
+
+  return handler;
+}
+
+// First line of the comment directly above the handler
+function getSummary(ts, sourceFile, statement) {
+  const ranges = ts.getLeadingCommentRanges(sourceFile.text, statement.pos) || [];
+  const range = ranges[ranges.length - 1];
+  if (!range) return '';
+
+  const lines = sourceFile.text
+    .slice(range.pos, range.end)
+    .replace(/^\/\*\*?|\*\/$/g, '')
+    .split('\n')
+    .map(line => line.replace(/^\s*(\/\/|\*)?\s*/, '').trim());
+
+  return lines.find(line => line && !line.startsWith('@')) || '';
+}
+
+/**
+ * JSON Schema for a TypeScript type
+ * Covers what survives JSON serialization: primitives, literals, unions,
+ * arrays, tuples, objects and index signatures. Dates become date-time strings.
+ */
+function typeToSchema(ts, checker, type, seen = new Set()) {
+  const { flags } = type;
+
+  if (flags & (ts.TypeFlags.Any | ts.TypeFlags.Unknown)) return {};
+  if (flags & ts.TypeFlags.Null) return { type: 'null' };
+  if (type.isStringLiteral()) return { type: 'string', const: type.value };
+  if (type.isNumberLiteral()) return { type: 'number', const: type.value };
+  if (flags & ts.TypeFlags.BooleanLiteral) return { type: 'boolean', const: checker.typeToString(type) === 'true' };
+  if (flags & ts.TypeFlags.StringLike) return { type: 'string' };
+  if (flags & ts.TypeFlags.NumberLike) return { type: 'number' };
+  if (flags & ts.TypeFlags.BigIntLike) return { type: 'integer' };
+  if (flags & ts.TypeFlags.BooleanLike) return { type: 'boolean' };
+
+  if (type.isUnion()) {
+    const members = type.types.filter(member => !(member.flags & (ts.TypeFlags.Undefined | ts.TypeFlags.Void)));
+    if (members.length > 1 && members.every(member => member.isStringLiteral())) {
+      return { type: 'string', enum: members.map(member => member.value) };
+    }
+    if (members.length > 1 && members.every(member => member.isNumberLiteral())) {
+      return { type: 'number', enum: members.map(member => member.value) };
+    }
+
+    // `boolean` is the union true | false
+    const booleans = members.filter(member => member.flags & ts.TypeFlags.BooleanLiteral);
+    const rest = booleans.length === 2 ? members.filter(member => !booleans.includes(member)) : members;
+
+    const schemas = rest.map(member => typeToSchema(ts, checker, member, seen));
+    if (booleans.length === 2) schemas.push({ type: 'boolean' });
+
+    const unique = schemas.filter((schema, index) =>
+      schemas.findIndex(other => JSON.stringify(other) === JSON.stringify(schema)) === index
+    );
+    return unique.length === 1 ? unique[0] : { anyOf: unique };
+  }
+
+  if (checker.isTupleType(type)) {
+    return {
+      type: 'array',
+      prefixItems: checker.getTypeArguments(type).map(item => typeToSchema(ts, checker, item, seen)),
+    };
+  }
+
+  if (checker.isArrayType(type)) {
+    const [item] = checker.getTypeArguments(type);
+    return { type: 'array', items: item ? typeToSchema(ts, checker, item, seen) : {} };
+  }
+
+  if (type.getSymbol()?.getName() === 'Date') {
+    return { type: 'string', format: 'date-time' };
+  }
+
+  if (flags & ts.TypeFlags.Object || type.isIntersection()) {
+    // Recursive types stop at the first repeat
+    if (seen.has(type)) return { type: 'object' };
+    const nextSeen = new Set(seen).add(type);
+
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+
+    for (const property of checker.getPropertiesOfType(type)) {
+      const propertyType = checker.getTypeOfSymbol(property);
+      if (checker.getSignaturesOfType(propertyType, ts.SignatureKind.Call).length > 0) continue;
+
+      schema.properties[property.name] = typeToSchema(ts, checker, propertyType, nextSeen);
+      if (!(property.flags & ts.SymbolFlags.Optional)) required.push(property.name);
+    }
+
+    const stringIndex = checker.getIndexInfosOfType(type).find(info => info.keyType.flags & ts.TypeFlags.String);
+    if (stringIndex) {
+      schema.additionalProperties = typeToSchema(ts, checker, stringIndex.type, nextSeen);
+    }
+
+    if (required.length > 0) schema.required = required;
+    return schema;
+  }
+
+  return {};
+}
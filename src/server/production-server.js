@@ -0,0 +1,108 @@
+/**
+ * Standalone production server for built API routes
+ * Serves the route manifest produced by `vite build` over node http/https
+ */
+
+import { createServer } from 'http';
+import { createServer as createHttpsServer } from 'https';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createApiMiddleware } from './api-middleware.js';
+import { loadRouteManifest } from './build.js';
+
+/**
+ * Read a key/cert that may be given as a Buffer, PEM string or file path
+ */
+function readCredential(value) {
+  if (!value) return value;
+  if (typeof value === 'string' && !value.includes('-----BEGIN') && fs.existsSync(value)) {
+    return fs.readFileSync(value);
+  }
+  return value;
+}
+
+/**
+ * Point an API middleware at a built route manifest
+ */
+export function useBuiltRoutes(api, dir) {
+  const { manifest, routes, middleware } = loadRouteManifest(dir);
+
+  api.setRoutes(routes, middleware);
+  api.setModuleLoader(filePath => import(pathToFileURL(filePath).href));
+
+  return manifest;
+}
+
+/**
+ * Create a node request listener that serves built API routes
+ */
+export function createApiRequestListener(options = {}) {
+  const {
+    dir = 'build/api',
+    mode = 'production',
+    ...pluginOptions
+  } = options;
+
+  const manifestDir = path.resolve(dir);
+  const { manifest } = loadRouteManifest(manifestDir);
+
+  const api = createApiMiddleware({ apiPrefix: manifest.apiPrefix, ...pluginOptions });
+  api.init({ mode });
+  useBuiltRoutes(api, manifestDir);
+
+  const listener = (req, res) => {
+    api.middleware(req, res, () => {
+      if (!res.writableEnded) {
+        res.statusCode = 404;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ error: 'Not Found' }));
+      }
+    });
+  };
+
+  listener.api = api;
+  return listener;
+}
+
+/**
+ * Create an http(s) server for built API routes
+ *
+ * Usage:
+ *   const server = createApiServer({ dir: 'build/api', rateLimit: { ... } });
+ *   server.listen(3000);
+ */
+export function createApiServer(options = {}) {
+  const {
+    https = { enabled: false, key: null, cert: null },
+    ...listenerOptions
+  } = options;
+
+  const listener = createApiRequestListener(listenerOptions);
+
+  if (!https.enabled) {
+    console.warn('⚠ WARNING: HTTPS is not enabled in production mode. This is insecure!');
+  }
+
+  const server = https.enabled
+    ? createHttpsServer({ key: readCredential(https.key), cert: readCredential(https.cert) }, listener)
+    : createServer(listener);
+
+  // Nothing else here takes upgrades: refuse the ones outside apiPrefix
+  // rather than leaving their sockets open
+  server.on('upgrade', (req, socket, head) => {
+    listener.api.upgrade(req, socket, head)
+      .then((handled) => {
+        if (!handled) {
+          socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\nContent-Length: 0\r\n\r\n', () => socket.destroy());
+        }
+      })
+      .catch((error) => {
+        console.error('WebSocket upgrade error:', error);
+        socket.destroy();
+      });
+  });
+  server.on('close', () => listener.api.close());
+
+  return server;
+}
@@ -0,0 +1,184 @@
+/**
+ * Client address, protocol and host behind reverse proxies (`trustProxy`)
+ *
+ * - `false` (default): the socket's address and the request's own Host;
+ *   forwarding headers are ignored, as any client can send them
+ * - `true`: every proxy is trusted (the left-most forwarded address)
+ * - a number: that many proxies in front of the server are trusted
+ * - CIDR list (array or comma-separated string): proxies with these
+ *   addresses are trusted; 'loopback', 'linklocal' and 'uniquelocal' name
+ *   the usual private ranges
+ *
+ * `Forwarded` (RFC 7239) is read when present, otherwise X-Forwarded-For,
+ * X-Forwarded-Proto and X-Forwarded-Host.
+ */
+
+import net from 'net';
+
+const PRESETS = {
+  loopback: ['127.0.0.1/8', '::1/128'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+  uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+};
+
+/**
+ * Turn a `trustProxy` value into `(address, hop) => boolean`
+ * `hop` counts from the server: 0 is the socket's peer.
+ */
+export function compileTrustProxy(trustProxy = false) {
+  if (typeof trustProxy === 'function') {
+    return trustProxy;
+  }
+  if (typeof trustProxy === 'boolean') {
+    return () => trustProxy;
+  }
+  if (typeof trustProxy === 'number') {
+    if (!Number.isInteger(trustProxy) || trustProxy < 0) {
+      throw new Error('trustProxy must be a boolean, a number of proxy hops or a list of CIDR ranges');
+    }
+    return (address, hop) => hop < trustProxy;
+  }
+
+  const ranges = typeof trustProxy === 'string' ? trustProxy.split(',') : trustProxy;
+  if (!Array.isArray(ranges)) {
+    throw new Error('trustProxy must be a boolean, a number of proxy hops or a list of CIDR ranges');
+  }
+
+  const list = new net.BlockList();
+  for (const range of ranges.flatMap(entry => PRESETS[entry.trim()] || [entry.trim()])) {
+    const [address, prefix] = range.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (!net.isIP(address)) {
+      throw new Error(`trustProxy: invalid address "${range}"`);
+    }
+    list.addSubnet(address, prefix === undefined ? (type === 'ipv6' ? 128 : 32) : Number(prefix), type);
+  }
+
+  return (address) => {
+    const ip = unmapIPv4(address);
+    return net.isIP(ip) !== 0 && list.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+  };
+}
+
+/**
+ * Resolve `{ ip, protocol, host }` for a request
+ * `trust` is a compiled `trustProxy` (or a raw option value).
+ */
+export function resolveClient(req, trust = false) {
+  const isTrusted = typeof trust === 'function' ? trust : compileTrustProxy(trust);
+  const socketIp = req.socket?.remoteAddress || 'unknown';
+  const client = {
+    ip: socketIp,
+    protocol: req.socket?.encrypted ? 'https' : 'http',
+    host: req.headers.host || 'localhost',
+  };
+
+  // Nearest hop first; hop i was recorded by the proxy at address i
+  const hops = readForwardedHops(req);
+  const addresses = [socketIp, ...hops.map(hop => hop.for)];
+
+  let index = 0;
+  while (index < addresses.length - 1 && isTrusted(addresses[index], index)) {
+    index++;
+  }
+  if (index === 0) {
+    return client;
+  }
+
+  // The trusted proxy that talked to the client describes its request
+  const hop = hops[index - 1];
+  return {
+    ip: addresses[index],
+    protocol: hop.proto?.toLowerCase() || client.protocol,
+    host: hop.host || client.host,
+  };
+}
+
+export function getClientIp(req, trust = false) {
+  return resolveClient(req, trust).ip;
+}
+
+// Forwarding hops from `Forwarded` or the X-Forwarded-* headers, nearest first
+function readForwardedHops(req) {
+  if (req.headers.forwarded) {
+    return parseForwarded(req.headers.forwarded).reverse();
+  }
+
+  const list = (name) => String(req.headers[name] || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .reverse();
+
+  const forwardedFor = list('x-forwarded-for');
+  const protos = list('x-forwarded-proto');
+  const hosts = list('x-forwarded-host');
+
+  // Proxies usually overwrite Proto/Host instead of appending: a shorter
+  // list applies to the farther hops as well
+  return forwardedFor.map((address, i) => ({
+    for: address,
+    proto: protos[Math.min(i, protos.length - 1)],
+    host: hosts[Math.min(i, hosts.length - 1)],
+  }));
+}
+
+/**
+ * Parse a `Forwarded` header into `{ for, proto, host, by }` elements
+ * Ports and IPv6 brackets are removed from `for`.
+ */
+export function parseForwarded(header) {
+  return splitOutsideQuotes(header, ',').map((element) => {
+    const hop = {};
+
+    for (const pair of splitOutsideQuotes(element, ';')) {
+      const eq = pair.indexOf('=');
+      if (eq === -1) continue;
+
+      const name = pair.slice(0, eq).trim().toLowerCase();
+      let value = pair.slice(eq + 1).trim();
+      if (value.startsWith('"') && value.endsWith('"')) {
+        value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+      }
+      hop[name] = name === 'for' || name === 'by' ? stripPort(value) : value;
+    }
+
+    hop.for = hop.for || 'unknown';
+    return hop;
+  });
+}
+
+function splitOutsideQuotes(value, separator) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '"' && value[i - 1] !== '\\') quoted = !quoted;
+
+    if (char === separator && !quoted) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+
+  return parts;
+}
+
+// "[2001:db8::1]:4711" -> "2001:db8::1", "192.0.2.60:8080" -> "192.0.2.60"
+function stripPort(value) {
+  if (value.startsWith('[')) {
+    return value.slice(1, value.indexOf(']'));
+  }
+  const colons = value.split(':').length - 1;
+  return colons === 1 ? value.slice(0, value.indexOf(':')) : value;
+}
+
+function unmapIPv4(address) {
+  return address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+}
@@ -0,0 +1,97 @@
+/**
+ * Per-route configuration (`export const config`)
+ *
+ * A route file can tune the global options for itself:
+ *
+ *   export const config = {
+ *     bodyParser: { sizeLimit: '5mb' },
+ *     timeout: 120000,
+ *     rateLimit: { windowMs: 60000, max: 10 },
+ *     cache: { ttl: 60, varyBy: ['accept-language'] },
+ *     cors: { origin: ['https://partner.example'] },
+ *     csrf: false,
+ *     securityHeaders: { contentSecurityPolicy: { directives: { 'img-src': ['*'] } } },
+ *     runtime: 'nodejs',
+ *   };
+ *
+ * `false` turns rate limiting, caching, CORS or security headers off for the
+ * route. Security headers merge CSP directives one by one.
+ * Next.js' `config.api.bodyParser` is accepted as well.
+ */
+
+import { mergeSecurityHeaders } from '../lib/security-headers.js';
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+const RUNTIMES = ['nodejs', 'edge'];
+const KNOWN_KEYS = ['api', 'bodyParser', 'timeout', 'rateLimit', 'cache', 'cors', 'csrf', 'securityHeaders', 'runtime', 'sanitize'];
+
+/**
+ * Parse a byte size: a number or a string like '500kb' / '1.5mb'
+ */
+export function parseSize(value) {
+  if (typeof value === 'number' && value >= 0) {
+    return value;
+  }
+
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) {
+    throw new Error(`Invalid size "${value}" (expected bytes or a string like "1mb")`);
+  }
+  return Math.floor(Number(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+/**
+ * Merge a route's `config` export over the global settings
+ *
+ * `defaults` holds the global values in the shape returned here:
+ * `{ maxBodySize, timeout, rateLimit, cache, cors, csrf, securityHeaders }`,
+ * where `rateLimit`, `cache`, `cors` and `securityHeaders` may be null when
+ * turned off.
+ * A route with its own rate limit gets its own counter (`rateLimit.scope`).
+ */
+export function resolveRouteConfig(config, defaults, route) {
+  if (config === undefined || config === null) {
+    return { ...defaults, runtime: 'nodejs', sanitize: undefined };
+  }
+  if (typeof config !== 'object') {
+    throw new Error(`${route}: \`export const config\` must be an object`);
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!KNOWN_KEYS.includes(key)) {
+      console.warn(`⚠️  ${route}: unknown config option "${key}"`);
+    }
+  }
+
+  const bodyParser = config.bodyParser ?? config.api?.bodyParser;
+  const runtime = config.runtime ?? 'nodejs';
+
+  if (!RUNTIMES.includes(runtime)) {
+    throw new Error(`${route}: unsupported runtime "${runtime}" (expected ${RUNTIMES.join(' or ')})`);
+  }
+
+  if (config.timeout !== undefined && !(Number.isFinite(config.timeout) && config.timeout >= 0)) {
+    throw new Error(`${route}: config.timeout must be a number of milliseconds`);
+  }
+
+  return {
+    maxBodySize: bodyParser?.sizeLimit !== undefined ? parseSize(bodyParser.sizeLimit) : defaults.maxBodySize,
+    timeout: config.timeout ?? defaults.timeout,
+    rateLimit: mergeSection(config.rateLimit, defaults.rateLimit, { scope: route }),
+    cache: mergeSection(config.cache, defaults.cache),
+    cors: mergeSection(config.cors, defaults.cors),
+    csrf: config.csrf ?? defaults.csrf,
+    securityHeaders: config.securityHeaders === false
+      ? null
+      : mergeSecurityHeaders(defaults.securityHeaders, config.securityHeaders),
+    runtime,
+    sanitize: config.sanitize,
+  };
+}
+
+// false disables, an object is merged over the global section
+function mergeSection(value, defaults, extra = {}) {
+  if (value === undefined) return defaults;
+  if (value === false) return null;
+  return { ...defaults, ...value, ...extra };
+}
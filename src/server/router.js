@@ -0,0 +1,149 @@
+/**
+ * Precompiled route matcher
+ * Radix tree over path segments with deterministic priority:
+ * static segments beat dynamic ones, which beat catch-alls.
+ */
+
+import { parseSegment } from './routes.js';
+
+function createNode() {
+  return {
+    static: new Map(),
+    dynamic: null, // { name, node }
+    catchAll: null, // { name, route, handler }
+    optionalCatchAll: null, // { name, route, handler }
+    route: null,
+    handler: null,
+  };
+}
+
+/**
+ * Build a router from a Map (or iterable) of route pattern -> handler
+ * Throws if two routes can match the same path with the same priority.
+ */
+export function createRouter(routes) {
+  const root = createNode();
+  const conflicts = [];
+
+  for (const [route, handler] of routes) {
+    insert(root, route, handler, conflicts);
+  }
+
+  if (conflicts.length > 0) {
+    throw new Error(`Conflicting API routes:\n${conflicts.map(c => `  - ${c}`).join('\n')}`);
+  }
+
+  return {
+    /**
+     * Find the route for a pathname
+     * Returns { route, handler, params } or null
+     */
+    match(pathname) {
+      const segments = pathname.split('/').filter(Boolean);
+      return matchNode(root, segments, 0, {});
+    },
+  };
+}
+
+function insert(root, route, handler, conflicts) {
+  const segments = route.split('/').filter(Boolean);
+  let node = root;
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = parseSegment(segments[i]);
+
+    if (segment.type === 'catchAll' || segment.type === 'optionalCatchAll') {
+      if (i !== segments.length - 1) {
+        conflicts.push(`${route}: catch-all segments must be the last segment`);
+        return;
+      }
+
+      const existing = node.catchAll || node.optionalCatchAll;
+      if (existing) {
+        conflicts.push(`${route} conflicts with ${existing.route}`);
+        return;
+      }
+
+      if (segment.type === 'optionalCatchAll' && node.route) {
+        conflicts.push(`${route} conflicts with ${node.route} (optional catch-all also matches the bare path)`);
+        return;
+      }
+
+      node[segment.type] = { name: segment.name, route, handler };
+      return;
+    }
+
+    if (segment.type === 'dynamic') {
+      if (node.dynamic && node.dynamic.name !== segment.name) {
+        conflicts.push(`${route}: param ":${segment.name}" conflicts with ":${node.dynamic.name}" at the same position`);
+        return;
+      }
+      if (!node.dynamic) {
+        node.dynamic = { name: segment.name, node: createNode() };
+      }
+      node = node.dynamic.node;
+      continue;
+    }
+
+    if (!node.static.has(segment.value)) {
+      node.static.set(segment.value, createNode());
+    }
+    node = node.static.get(segment.value);
+  }
+
+  if (node.route) {
+    conflicts.push(`${route} conflicts with ${node.route}`);
+    return;
+  }
+
+  if (node.optionalCatchAll) {
+    conflicts.push(`${route} conflicts with ${node.optionalCatchAll.route} (optional catch-all also matches the bare path)`);
+    return;
+  }
+
+  node.route = route;
+  node.handler = handler;
+}
+
+function matchNode(node, segments, index, params) {
+  if (index === segments.length) {
+    if (node.route) {
+      return { route: node.route, handler: node.handler, params };
+    }
+    if (node.optionalCatchAll) {
+      const { name, route, handler } = node.optionalCatchAll;
+      return { route, handler, params: { ...params, [name]: [] } };
+    }
+    return null;
+  }
+
+  const segment = segments[index];
+
+  // 1. Static segment
+  const staticChild = node.static.get(segment);
+  if (staticChild) {
+    const match = matchNode(staticChild, segments, index + 1, params);
+    if (match) return match;
+  }
+
+  // 2. Dynamic segment
+  if (node.dynamic) {
+    const match = matchNode(node.dynamic.node, segments, index + 1, {
+      ...params,
+      [node.dynamic.name]: segment,
+    });
+    if (match) return match;
+  }
+
+  // 3. Catch-all (one or more segments), then optional catch-all
+  const catchAll = node.catchAll || node.optionalCatchAll;
+  if (catchAll) {
+    return {
+      route: catchAll.route,
+      handler: catchAll.handler,
+      params: { ...params, [catchAll.name]: segments.slice(index) },
+    };
+  }
+
+  return null;
+}
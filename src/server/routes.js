@@ -0,0 +1,215 @@
+/**
+ * File-based route discovery
+ * Shared by the dev middleware, the preview server and the production build
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const ROUTE_FILE_PATTERN = /\.(js|ts|tsx|jsx|mjs|cjs)$/;
+
+// Directory middleware: runs for every route in its folder and below
+export const MIDDLEWARE_FILE_PATTERN = /^_middleware\.(js|ts|mjs|cjs)$/;
+
+/**
+ * Locate the API directory (pages/api or src/pages/api)
+ */
+export function resolveApiDir(root, apiDir) {
+  const possibleDirs = [
+    path.join(root, apiDir),
+    path.join(root, 'src', apiDir),
+  ];
+
+  return possibleDirs.find(dir => fs.existsSync(dir)) || null;
+}
+
+/**
+ * Scan the API directory and return a Map of route path -> file path
+ */
+export function scanRoutes(root, apiDir, apiPrefix) {
+  const routes = new Map();
+  const duplicates = [];
+  const dir = resolveApiDir(root, apiDir);
+
+  for (const filePath of dir ? listRouteFiles(dir) : []) {
+    const relativePath = path.relative(dir, filePath);
+    const route = filePathToRoute(relativePath, apiPrefix);
+
+    if (routes.has(route)) {
+      duplicates.push(`${route} is defined by both ${path.relative(dir, routes.get(route))} and ${relativePath}`);
+      continue;
+    }
+
+    routes.set(route, filePath);
+  }
+
+  // e.g. users.ts and users/index.ts both map to /api/users
+  if (duplicates.length > 0) {
+    throw new Error(`Conflicting API routes:\n${duplicates.map(d => `  - ${d}`).join('\n')}`);
+  }
+
+  return routes;
+}
+
+/**
+ * Scan the API directory for `_middleware` files
+ * Returns a Map of route path -> middleware file paths, outermost first.
+ * Routes without any middleware are left out.
+ */
+export function scanMiddleware(root, apiDir, apiPrefix) {
+  const middleware = new Map();
+  const dir = resolveApiDir(root, apiDir);
+
+  if (!dir) return middleware;
+
+  for (const [route, filePath] of scanRoutes(root, apiDir, apiPrefix)) {
+    const files = findMiddlewareFiles(dir, filePath);
+    if (files.length > 0) {
+      middleware.set(route, files);
+    }
+  }
+
+  return middleware;
+}
+
+/**
+ * Recursively list route files under a directory, in a stable order
+ */
+export function listRouteFiles(dir) {
+  const files = [];
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const filePath = path.join(dir, file);
+
+    if (fs.statSync(filePath).isDirectory()) {
+      files.push(...listRouteFiles(filePath));
+    } else if (ROUTE_FILE_PATTERN.test(file) && !MIDDLEWARE_FILE_PATTERN.test(file)) {
+      files.push(filePath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Find the `_middleware` files that apply to a route file
+ * Walks from the API directory down to the route's folder.
+ */
+export function findMiddlewareFiles(baseDir, filePath) {
+  const relativeDir = path.relative(baseDir, path.dirname(filePath));
+  const dirs = [baseDir];
+
+  let current = baseDir;
+  for (const part of relativeDir.split(path.sep).filter(Boolean)) {
+    current = path.join(current, part);
+    dirs.push(current);
+  }
+
+  const files = [];
+  for (const dir of dirs) {
+    const file = fs.readdirSync(dir).sort().find(name => MIDDLEWARE_FILE_PATTERN.test(name));
+    if (file) {
+      files.push(path.join(dir, file));
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Convert a file path (relative to the API directory) to a route path
+ *
+ *   users/[id].ts          -> /api/users/:id
+ *   docs/[...slug].ts      -> /api/docs/:slug+   (catch-all, one or more segments)
+ *   shop/[[...slug]].ts    -> /api/shop/:slug*   (optional catch-all, zero or more)
+ */
+export function filePathToRoute(filePath, apiPrefix = '/api') {
+  let route = filePath
+    .replace(/\\/g, '/')
+    .replace(ROUTE_FILE_PATTERN, '')
+    .replace(/\/index$/, '');
+
+  // Handle dynamic routes: [[...slug]] -> :slug*, [...slug] -> :slug+, [id] -> :id
+  route = route
+    .replace(/\[\[\.\.\.([^\]]+)\]\]/g, ':$1*')
+    .replace(/\[\.\.\.([^\]]+)\]/g, ':$1+')
+    .replace(/\[([^\]]+)\]/g, ':$1');
+
+  return apiPrefix + (route ? '/' + route : '');
+}
+
+/**
+ * Parse a single route segment
+ */
+export function parseSegment(segment) {
+  if (!segment.startsWith(':')) {
+    return { type: 'static', value: segment };
+  }
+
+  if (segment.endsWith('*')) {
+    return { type: 'optionalCatchAll', name: segment.slice(1, -1) };
+  }
+
+  if (segment.endsWith('+')) {
+    return { type: 'catchAll', name: segment.slice(1, -1) };
+  }
+
+  return { type: 'dynamic', name: segment.slice(1) };
+}
+
+/**
+ * List the params declared by a route pattern
+ */
+export function getRouteParams(route) {
+  return route
+    .split('/')
+    .filter(Boolean)
+    .map(parseSegment)
+    .filter(segment => segment.type !== 'static')
+    .map(segment => ({
+      name: segment.name,
+      catchAll: segment.type !== 'dynamic',
+      optional: segment.type === 'optionalCatchAll',
+    }));
+}
+
+/**
+ * Match a route pattern against a pathname
+ * Catch-all params are returned as arrays of path segments
+ */
+export function matchRoute(route, pathname) {
+  const routeParts = route.split('/').filter(Boolean);
+  const pathParts = pathname.split('/').filter(Boolean);
+  const params = {};
+
+  for (let i = 0; i < routeParts.length; i++) {
+    const segment = parseSegment(routeParts[i]);
+
+    if (segment.type === 'catchAll' || segment.type === 'optionalCatchAll') {
+      const rest = pathParts.slice(i);
+
+      // Catch-all segments are only valid as the last segment
+      if (i !== routeParts.length - 1 || (segment.type === 'catchAll' && rest.length === 0)) {
+        return null;
+      }
+      params[segment.name] = rest;
+      return { params };
+    }
+
+    if (i >= pathParts.length) {
+      return null;
+    }
+
+    if (segment.type === 'dynamic') {
+      params[segment.name] = pathParts[i];
+    } else if (segment.value !== pathParts[i]) {
+      return null;
+    }
+  }
+
+  if (routeParts.length !== pathParts.length) {
+    return null;
+  }
+
+  return { params };
+}
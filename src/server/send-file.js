@@ -0,0 +1,132 @@
+/**
+ * File responses for Next.js style handlers (res.sendFile / res.download)
+ * Files are streamed with a Content-Type guessed from the extension. With
+ * `root` the path is resolved inside that directory and may not escape it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+const CONTENT_TYPES = {
+  '.txt': 'text/plain; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.wasm': 'application/wasm',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+};
+
+export function getContentType(filePath) {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Stream a file to the response
+ *
+ * Options:
+ * - `root` - directory relative paths are resolved against (required for
+ *   relative paths)
+ * - `headers` - extra response headers
+ * - `maxAge` - Cache-Control max-age in seconds
+ *
+ * Missing files answer 404 and paths outside `root` 403; the promise
+ * resolves once the response is finished.
+ */
+export async function sendFile(req, res, filePath, options = {}) {
+  const { root = null, headers = {}, maxAge = null } = options;
+
+  if (!root && !path.isAbsolute(filePath)) {
+    throw new Error('sendFile: path must be absolute or `root` must be set');
+  }
+
+  const fullPath = root ? path.resolve(root, `.${path.sep}${filePath}`) : path.resolve(filePath);
+  if (root && !isInside(path.resolve(root), fullPath)) {
+    return sendError(res, 403, 'Forbidden');
+  }
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(fullPath);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return sendError(res, 404, 'File not found');
+    }
+    throw error;
+  }
+  if (!stat.isFile()) {
+    return sendError(res, 404, 'File not found');
+  }
+
+  if (!res.getHeader('content-type')) {
+    res.setHeader('Content-Type', getContentType(fullPath));
+  }
+  res.setHeader('Content-Length', stat.size);
+  res.setHeader('Last-Modified', stat.mtime.toUTCString());
+  if (maxAge !== null) {
+    res.setHeader('Cache-Control', `public, max-age=${Math.floor(maxAge)}`);
+  }
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value);
+  }
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+
+  await pipeline(fs.createReadStream(fullPath), res);
+}
+
+/**
+ * sendFile() with Content-Disposition: attachment
+ * `filename` defaults to the file's basename.
+ */
+export function download(req, res, filePath, filename = path.basename(filePath), options = {}) {
+  return sendFile(req, res, filePath, {
+    ...options,
+    headers: {
+      'Content-Disposition': contentDisposition(filename),
+      ...options.headers,
+    },
+  });
+}
+
+// RFC 6266: ASCII fallback plus an RFC 5987 encoded name
+export function contentDisposition(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+function sendError(res, status, message) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ error: message }));
+}
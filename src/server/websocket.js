@@ -0,0 +1,447 @@
+/**
+ * WebSocket support for API routes
+ * A dependency-free RFC 6455 server side (no extensions), plus the room
+ * registry shared by all connections. Rooms are kept in the StateManager so
+ * they outlive route module reloads.
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { globalStateManager } from '../hmr/state-manager.js';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+export const DEFAULT_WEBSOCKET_OPTIONS = {
+  maxPayload: 1024 * 1024, // 1MB per message
+  heartbeat: 30000, // Ping interval; connections that miss a pong are dropped
+};
+
+/**
+ * Check for a valid version 13 WebSocket handshake request
+ */
+export function isWebSocketRequest(req) {
+  return req.method === 'GET' &&
+    req.headers.upgrade?.toLowerCase() === 'websocket' &&
+    /^[A-Za-z0-9+/]{22}==$/.test(req.headers['sec-websocket-key'] || '') &&
+    req.headers['sec-websocket-version'] === '13';
+}
+
+/**
+ * Complete the handshake on the upgraded socket
+ * The first requested subprotocol is accepted, if any.
+ */
+export function acceptWebSocket(req, socket, head, options = {}) {
+  const accept = crypto
+    .createHash('sha1')
+    .update(req.headers['sec-websocket-key'] + GUID)
+    .digest('base64');
+
+  const protocol = (req.headers['sec-websocket-protocol'] || '').split(',')[0].trim();
+
+  const headers = [
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+  ];
+  if (protocol) headers.push(`Sec-WebSocket-Protocol: ${protocol}`);
+
+  socket.write(headers.join('\r\n') + '\r\n\r\n');
+
+  return new WebSocketConnection(socket, head, { ...options, protocol });
+}
+
+/**
+ * A server-side WebSocket connection
+ *
+ * Events: `message` (data, isBinary), `close` (code, reason), `error`, `pong`.
+ * Text messages arrive as strings, binary ones as Buffers.
+ */
+export class WebSocketConnection extends EventEmitter {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+
+  constructor(socket, head, options = {}) {
+    super();
+
+    const { maxPayload, heartbeat, protocol = '', rooms = null } = {
+      ...DEFAULT_WEBSOCKET_OPTIONS,
+      ...options,
+    };
+
+    this.socket = socket;
+    this.protocol = protocol;
+    this.readyState = WebSocketConnection.OPEN;
+    this.maxPayload = maxPayload;
+    this.roomRegistry = rooms;
+    this.joinedRooms = new Set();
+
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentsSize = 0;
+    this.fragmentOpcode = null;
+    this.closeTimer = null;
+    this.heartbeatTimer = null;
+    this.alive = true;
+    this.closeEmitted = false;
+
+    socket.setNoDelay(true);
+    socket.setTimeout(0);
+
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('error', (error) => {
+      // A reset mid-close is expected, anything else is worth reporting
+      if (this.readyState === WebSocketConnection.OPEN) this.emit('error', error);
+    });
+    socket.on('close', () => this.finalize(1006, ''));
+    socket.on('end', () => socket.end());
+
+    if (heartbeat > 0) {
+      this.heartbeatTimer = setInterval(() => {
+        if (!this.alive) {
+          this.terminate();
+          return;
+        }
+        this.alive = false;
+        this.ping();
+      }, heartbeat);
+      this.heartbeatTimer.unref?.();
+    }
+
+    if (head?.length) {
+      this.receive(head);
+    }
+  }
+
+  /**
+   * Bytes queued on the socket but not yet sent
+   */
+  get bufferedAmount() {
+    return this.socket.writableLength;
+  }
+
+  /**
+   * Rooms this connection has joined
+   */
+  get rooms() {
+    return new Set(this.joinedRooms);
+  }
+
+  /**
+   * Send a message: strings as text, Buffers and typed arrays as binary,
+   * anything else JSON encoded. Returns false if the socket buffer is full.
+   */
+  send(data) {
+    if (this.readyState !== WebSocketConnection.OPEN) return false;
+
+    if (typeof data === 'string') {
+      return this.writeFrame(OPCODES.TEXT, Buffer.from(data));
+    }
+    if (Buffer.isBuffer(data) || ArrayBuffer.isView(data)) {
+      return this.writeFrame(OPCODES.BINARY, Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+    }
+    if (data instanceof ArrayBuffer) {
+      return this.writeFrame(OPCODES.BINARY, Buffer.from(data));
+    }
+    return this.writeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(data)));
+  }
+
+  ping(data = '') {
+    if (this.readyState !== WebSocketConnection.OPEN) return;
+    this.writeFrame(OPCODES.PING, Buffer.from(data).subarray(0, 125));
+  }
+
+  /**
+   * Start the closing handshake; the socket is dropped if the client
+   * does not answer within a few seconds
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState !== WebSocketConnection.OPEN) return;
+
+    this.readyState = WebSocketConnection.CLOSING;
+    this.closeCode = code;
+    this.closeReason = reason;
+    this.writeFrame(OPCODES.CLOSE, encodeClose(code, reason));
+
+    this.closeTimer = setTimeout(() => this.terminate(), 5000);
+    this.closeTimer.unref?.();
+  }
+
+  /**
+   * Drop the connection without a closing handshake
+   */
+  terminate() {
+    this.socket.destroy();
+  }
+
+  join(room) {
+    this.roomRegistry?.join(room, this);
+    this.joinedRooms.add(room);
+    return this;
+  }
+
+  leave(room) {
+    this.roomRegistry?.leave(room, this);
+    this.joinedRooms.delete(room);
+    return this;
+  }
+
+  /**
+   * Send to everyone else in a room
+   */
+  broadcast(room, data) {
+    return this.roomRegistry?.broadcast(room, data, { except: this }) || 0;
+  }
+
+  writeFrame(opcode, payload) {
+    let header;
+
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    return this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  receive(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    while (this.buffer.length >= 2 && this.readyState !== WebSocketConnection.CLOSED) {
+      const frame = this.readFrame();
+      if (!frame) return;
+      this.handleFrame(frame);
+    }
+  }
+
+  // Returns null until the whole frame has arrived
+  readFrame() {
+    const buffer = this.buffer;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const rsv = buffer[0] & 0x70;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) return null;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) return null;
+      const bigLength = buffer.readBigUInt64BE(2);
+      length = bigLength > BigInt(Number.MAX_SAFE_INTEGER) ? Infinity : Number(bigLength);
+      offset = 10;
+    }
+
+    // Check before buffering the payload
+    if (rsv !== 0 || !masked) {
+      this.fail(1002, rsv !== 0 ? 'Unsupported extension' : 'Client frames must be masked');
+      return null;
+    }
+    if (length > this.maxPayload) {
+      this.fail(1009, 'Message too big');
+      return null;
+    }
+
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i & 3];
+    }
+
+    this.buffer = buffer.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    if (opcode >= OPCODES.CLOSE) {
+      if (!fin || payload.length > 125) {
+        this.fail(1002, 'Invalid control frame');
+        return;
+      }
+      this.handleControlFrame(opcode, payload);
+      return;
+    }
+
+    if (opcode === OPCODES.CONTINUATION) {
+      if (this.fragmentOpcode === null) {
+        this.fail(1002, 'Unexpected continuation frame');
+        return;
+      }
+    } else if (opcode === OPCODES.TEXT || opcode === OPCODES.BINARY) {
+      if (this.fragmentOpcode !== null) {
+        this.fail(1002, 'Expected continuation frame');
+        return;
+      }
+      this.fragmentOpcode = opcode;
+    } else {
+      this.fail(1002, 'Unknown opcode');
+      return;
+    }
+
+    this.fragmentsSize += payload.length;
+    if (this.fragmentsSize > this.maxPayload) {
+      this.fail(1009, 'Message too big');
+      return;
+    }
+    this.fragments.push(payload);
+
+    if (!fin) return;
+
+    const message = Buffer.concat(this.fragments);
+    const isBinary = this.fragmentOpcode === OPCODES.BINARY;
+    this.fragments = [];
+    this.fragmentsSize = 0;
+    this.fragmentOpcode = null;
+
+    if (isBinary) {
+      this.emit('message', message, true);
+      return;
+    }
+
+    let text;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(message);
+    } catch {
+      this.fail(1007, 'Invalid UTF-8');
+      return;
+    }
+    this.emit('message', text, false);
+  }
+
+  handleControlFrame(opcode, payload) {
+    if (opcode === OPCODES.PING) {
+      if (this.readyState === WebSocketConnection.OPEN) this.writeFrame(OPCODES.PONG, payload);
+      return;
+    }
+
+    if (opcode === OPCODES.PONG) {
+      this.alive = true;
+      this.emit('pong', payload);
+      return;
+    }
+
+    // Close: answer unless we started it, then let the client end the TCP connection
+    const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+    const reason = payload.length > 2 ? payload.subarray(2).toString('utf8') : '';
+
+    if (this.readyState === WebSocketConnection.OPEN) {
+      this.readyState = WebSocketConnection.CLOSING;
+      this.writeFrame(OPCODES.CLOSE, code === 1005 ? Buffer.alloc(0) : encodeClose(code, ''));
+    }
+
+    this.closeCode = code;
+    this.closeReason = reason;
+    this.socket.end();
+  }
+
+  // Protocol error: close with a status code and stop reading
+  fail(code, reason) {
+    this.close(code, reason);
+    this.buffer = Buffer.alloc(0);
+    this.readyState = WebSocketConnection.CLOSING;
+  }
+
+  finalize(code, reason) {
+    if (this.closeEmitted) return;
+    this.closeEmitted = true;
+
+    this.readyState = WebSocketConnection.CLOSED;
+    clearTimeout(this.closeTimer);
+    clearInterval(this.heartbeatTimer);
+
+    for (const room of this.joinedRooms) {
+      this.roomRegistry?.leave(room, this);
+    }
+    this.joinedRooms.clear();
+
+    this.emit('close', this.closeCode ?? code, this.closeReason ?? reason);
+  }
+}
+
+function encodeClose(code, reason) {
+  const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+  payload.writeUInt16BE(code, 0);
+  payload.write(reason, 2);
+  return payload.subarray(0, 125);
+}
+
+// ============================================================================
+// Rooms
+// ============================================================================
+
+/**
+ * Create the room registry
+ * Membership lives in a StateManager store (room name -> Set of
+ * connections), so it survives HMR reloads of the route modules.
+ */
+export function createRoomRegistry(stateManager = globalStateManager, key = 'websocket:rooms') {
+  const store = stateManager.createPersistentStore(key, new Map());
+  const rooms = () => store.get();
+
+  return {
+    join(room, socket) {
+      if (!rooms().has(room)) rooms().set(room, new Set());
+      rooms().get(room).add(socket);
+    },
+
+    leave(room, socket) {
+      const members = rooms().get(room);
+      if (!members) return;
+      members.delete(socket);
+      if (members.size === 0) rooms().delete(room);
+    },
+
+    /**
+     * Connections in a room
+     */
+    members(room) {
+      return new Set(rooms().get(room) || []);
+    },
+
+    /**
+     * Room names with their connection counts
+     */
+    list() {
+      return Object.fromEntries(Array.from(rooms(), ([room, members]) => [room, members.size]));
+    },
+
+    /**
+     * Send to every open connection in a room; returns the number reached
+     */
+    broadcast(room, data, { except = null } = {}) {
+      let sent = 0;
+      for (const socket of rooms().get(room) || []) {
+        if (socket !== except && socket.readyState === WebSocketConnection.OPEN) {
+          socket.send(data);
+          sent++;
+        }
+      }
+      return sent;
+    },
+  };
+}
@@ -1,5 +1,5 @@
 // Testing utilities for Vite API Routes
-import type { ApiRequest, User } from '../types/api';
+import type { ApiRequest, RouteContext, RouteParams, User } from '../types/api';
 
 /**
  * Create a mock API request for testing
@@ -10,9 +10,10 @@ export function createTestRequest(
     ip?: string;
     user?: User;
     cookies?: Record<string, string>;
+    params?: RouteParams;
   } = {}
 ): ApiRequest {
-  const { ip = '127.0.0.1', user, cookies = {}, ...requestOptions } = options;
+  const { ip = '127.0.0.1', user, cookies = {}, params = {}, ...requestOptions } = options;
   
   const request = new Request(url, requestOptions) as ApiRequest;
   
@@ -20,11 +21,23 @@ export function createTestRequest(
   request.ip = ip;
   request.user = user;
   request.cookies = cookies;
+  request.params = params;
+  request.locals = {};
   request.getCsrfToken = () => 'test-csrf-token';
   
   return request;
 }
 
+/**
+ * Create the context passed as the second handler argument
+ * Usage: await GET(request, createTestContext({ id: '1' }))
+ */
+export function createTestContext<P extends RouteParams = RouteParams>(
+  params: P = {} as P
+): RouteContext<P> {
+  return { params };
+}
+
 /**
  * Create a mock user for testing
  */
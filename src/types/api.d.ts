@@ -28,6 +28,16 @@ export interface ApiRequest extends IncomingMessage {
    */
   body: any;
 
+  /**
+   * Original body bytes (null for streamed and multipart bodies)
+   */
+  rawBody: Buffer | null;
+
+  /**
+   * Files from a multipart body, by field name (temp files removed after the response)
+   */
+  files: Record<string, UploadedFile[]>;
+
   /**
    * Parsed cookies
    */
@@ -60,9 +70,14 @@ export interface ApiRequest extends IncomingMessage {
   sessionId?: string;
 
   /**
-   * Generate a CSRF token
+   * The CSRF token for this session; sets the CSRF cookie when it is new
    */
   getCsrfToken(): string;
+
+  /**
+   * This response's CSP nonce, when the policy uses "'nonce'"
+   */
+  cspNonce: string | null;
 }
 
 /**
@@ -90,15 +105,174 @@ export interface ApiResponse extends ServerResponse {
   setHeader(name: string, value: string | number | string[]): this;
 
   /**
-   * Set secure cookie
+   * Add a value to a header, keeping earlier ones
+   */
+  appendHeader(name: string, value: string | string[]): this;
+
+  /**
+   * Add a secure cookie; repeated calls set several cookies
    */
   setCookie(
     name: string,
     value: string,
     options?: CookieOptions
   ): this;
+
+  /**
+   * Redirect with 307, or the given status
+   */
+  redirect(url: string): this;
+  redirect(status: number, url: string): this;
+
+  /**
+   * Drop the cached GET response for a path (response caching)
+   */
+  revalidate(urlPath: string): Promise<void>;
+
+  /**
+   * Stream a file; relative paths need `root`. Missing files answer 404
+   */
+  sendFile(path: string, options?: SendFileOptions): Promise<void>;
+
+  /**
+   * sendFile() as an attachment named `filename` (default: the basename)
+   */
+  download(path: string, filename?: string, options?: SendFileOptions): Promise<void>;
+
+  /**
+   * Start a server-sent event stream
+   */
+  sse(options?: EventStreamOptions): EventStream;
+}
+
+/**
+ * res.sendFile() / res.download() options
+ */
+export interface SendFileOptions {
+  /**
+   * Directory relative paths resolve against; paths may not escape it
+   */
+  root?: string;
+  headers?: Record<string, string>;
+  /**
+   * Cache-Control max-age in seconds
+   */
+  maxAge?: number;
+}
+
+/**
+ * Next.js names, so migrated `pages/api` handlers keep their types
+ */
+export type NextApiRequest = ApiRequest;
+export type NextApiResponse<T = any> = ApiResponse;
+
+/**
+ * createEventStream() options
+ */
+export interface EventStreamOptions {
+  /**
+   * Reconnection delay sent to the client (ms)
+   */
+  retry?: number;
+
+  /**
+   * Keep-alive comment interval (ms, 0 to disable; default: 15000)
+   */
+  heartbeat?: number;
+
+  /**
+   * Closes the stream when aborted (e.g. request.signal)
+   */
+  signal?: AbortSignal;
+
+  headers?: Record<string, string>;
+}
+
+/**
+ * Server-sent event stream
+ */
+export interface EventStream {
+  /**
+   * Return this from an App Router handler
+   */
+  response: Response;
+
+  /**
+   * Aborted when the client disconnects or the stream is closed
+   */
+  signal: AbortSignal;
+
+  readonly closed: boolean;
+
+  /**
+   * Send an event (objects are JSON encoded); false once closed
+   */
+  send(data: any, options?: { event?: string; id?: string | number; retry?: number }): boolean;
+
+  /**
+   * Send a comment line
+   */
+  comment(text?: string): boolean;
+
+  close(): void;
 }
 
+/**
+ * Server side of a WebSocket connection, given to `WEBSOCKET` handlers
+ */
+export interface WebSocketConnection {
+  readonly readyState: 0 | 1 | 2 | 3;
+
+  /**
+   * Accepted subprotocol ('' if none was requested)
+   */
+  readonly protocol: string;
+
+  readonly bufferedAmount: number;
+  readonly rooms: Set<string>;
+
+  /**
+   * Strings are sent as text, Buffers and typed arrays as binary, anything else as JSON
+   */
+  send(data: any): boolean;
+  ping(data?: string | Buffer): void;
+  close(code?: number, reason?: string): void;
+  terminate(): void;
+
+  join(room: string): this;
+  leave(room: string): this;
+
+  /**
+   * Send to everyone else in the room; returns the number of connections reached
+   */
+  broadcast(room: string, data: any): number;
+
+  on(event: 'message', listener: (data: string | Buffer, isBinary: boolean) => void): this;
+  on(event: 'close', listener: (code: number, reason: string) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  on(event: 'pong', listener: (data: Buffer) => void): this;
+}
+
+/**
+ * Rooms shared by every WebSocket connection (survive HMR)
+ */
+export interface WebSocketRooms {
+  join(room: string, socket: WebSocketConnection): void;
+  leave(room: string, socket: WebSocketConnection): void;
+  members(room: string): Set<WebSocketConnection>;
+  list(): Record<string, number>;
+  broadcast(room: string, data: any, options?: { except?: WebSocketConnection }): number;
+}
+
+/**
+ * `export function WEBSOCKET(socket, request, { params, rooms })`
+ */
+export type WebSocketHandler = (
+  socket: WebSocketConnection,
+  request: Request & { params: Record<string, string>; user?: any; ip: string },
+  context: { params: Record<string, string | string[]>; rooms: WebSocketRooms }
+) => void | Promise<void>;
+
 /**
  * Cookie options
  */
@@ -162,21 +336,26 @@ export interface ApiRouteHandlers {
 
 /**
  * Auth middleware function
+ * Runs for both handler styles. Return false (or respond through `res`) to
+ * deny: 401 without `req.user`, 403 with it. A returned Response is sent as is.
  */
 export type AuthMiddleware = (
   req: ApiRequest,
   res: ApiResponse
-) => boolean | Promise<boolean>;
+) => boolean | Response | Promise<boolean | Response>;
 
 /**
  * CORS configuration
  */
 export interface CorsConfig {
+  /** '*', an origin, or origins and patterns like 'https://*.example.com' */
   origin: string | string[] | ((origin: string) => string | boolean);
   methods: string[];
+  /** Never sent with origin '*' */
   credentials: boolean;
   maxAge: number;
-  allowedHeaders?: string[];
+  /** Default: the headers the preflight requests */
+  allowedHeaders?: string[] | null;
   exposedHeaders?: string[];
 }
 
@@ -186,6 +365,125 @@ export interface CorsConfig {
 export interface RateLimitConfig {
   windowMs: number;
   max: number;
+
+  /**
+   * 'sliding-window' (default) or 'token-bucket'
+   */
+  algorithm: 'sliding-window' | 'token-bucket';
+
+  /**
+   * Token bucket size (default: max); tokens refill at `max` per `windowMs`
+   */
+  burst?: number;
+
+  /**
+   * What a client is counted by; falls back to the IP when the request has
+   * no such value. 'user' limits are checked after the auth hook.
+   */
+  key: 'ip' | 'user' | 'apiKey' | ((req: IncomingMessage, context: { ip: string }) => string | null);
+
+  /**
+   * 'redis' shares counters between instances through `redis` (node-redis v4)
+   */
+  type: 'memory' | 'redis';
+  redis?: any;
+  keyPrefix?: string;
+
+  /**
+   * Custom store; takes precedence over `type`
+   */
+  store?: RateLimitStore;
+
+  /**
+   * Extra limits applied on top of this one
+   */
+  rules?: RateLimitRule[];
+}
+
+/**
+ * Rate limit for matching requests; unset options come from `rateLimit`
+ */
+export interface RateLimitRule extends Partial<Omit<RateLimitConfig, 'rules' | 'store' | 'type' | 'redis' | 'keyPrefix'>> {
+  /**
+   * Shown in `/__hmr_status` (default: "METHODS path")
+   */
+  name?: string;
+
+  /**
+   * Request path; `*` matches any characters
+   */
+  path: string | RegExp;
+
+  methods?: string[];
+
+  /**
+   * Overrides by the authenticated user's `plan`
+   */
+  plans?: Record<string, Partial<Pick<RateLimitConfig, 'windowMs' | 'max' | 'burst' | 'algorithm'>>>;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  /**
+   * Epoch ms when the next request is allowed (or the limit is fully restored)
+   */
+  resetTime: number;
+}
+
+/**
+ * Rate limit counter storage
+ */
+export interface RateLimitStore {
+  consume(key: string, rule: RateLimitConfig): Promise<RateLimitResult>;
+  reset?(key: string): Promise<void>;
+  close?(): Promise<void>;
+}
+
+export interface CsrfConfig {
+  /** Signs tokens; defaults to CSRF_SECRET or COOKIE_SECRET, else a per-process secret */
+  secret?: string;
+  /** Cookie holding the token (`__Host-` prefixed over HTTPS, default 'csrf') */
+  cookieName?: string;
+  /** Header the client sends the token in (default 'x-csrf-token') */
+  headerName?: string;
+  /** Cookie tokens are bound to (default 'sessionId') */
+  sessionCookie?: string;
+  /** What tokens are bound to; overrides `sessionCookie` */
+  identify?: (req: IncomingMessage) => string | null | undefined;
+  /** Token lifetime in ms (default 1 hour) */
+  maxAge?: number;
+  /** Origins besides the server's own (and CORS origins) allowed to send unsafe requests */
+  trustedOrigins?: string[];
+  /** 'cookies' (default): only requests carrying cookies need a token; true: every unsafe request */
+  requireToken?: boolean | 'cookies';
+  /** Token endpoint below apiPrefix (default '/csrf-token'); false disables it */
+  tokenPath?: string | false;
+}
+
+/**
+ * Security response headers; `false` leaves a header out
+ */
+export interface SecurityHeadersConfig {
+  contentSecurityPolicy?: {
+    /** e.g. { 'script-src': ["'self'", "'nonce'"] }; "'nonce'" gets a per-request nonce */
+    directives?: Record<string, string | string[] | boolean | null>;
+    reportOnly?: boolean;
+    /** Violation report route below apiPrefix, e.g. '/csp-report' */
+    reportPath?: string | null;
+    onReport?: ((report: { type: string; body: Record<string, any> }, req: IncomingMessage) => void | Promise<void>) | null;
+  } | false;
+  crossOriginOpenerPolicy?: string | false;
+  crossOriginEmbedderPolicy?: string | false;
+  crossOriginResourcePolicy?: string | false;
+  /** Only sent on secure requests */
+  strictTransportSecurity?: { maxAge?: number; includeSubDomains?: boolean; preload?: boolean } | string | false;
+  frameOptions?: string | false;
+  noSniff?: boolean;
+  referrerPolicy?: string | false;
+  permissionsPolicy?: Record<string, string[]> | string | false;
+  xssProtection?: string | false;
 }
 
 /**
@@ -193,7 +491,9 @@ export interface RateLimitConfig {
  */
 export interface SecurityConfig {
   enableCsrf: boolean;
+  csrf?: CsrfConfig;
   enableHelmet: boolean;
+  headers?: SecurityHeadersConfig;
   maxBodySize: number;
   allowedMethods: string[];
 }
@@ -218,6 +518,161 @@ export interface ErrorTrackingConfig {
   beforeSend?: (event: any, hint: any) => any;
 }
 
+/**
+ * Production build configuration
+ */
+export interface ServerBuildConfig {
+  /**
+   * Bundle API routes during `vite build`
+   */
+  enabled: boolean;
+
+  /**
+   * Output directory for route bundles and manifest.json
+   */
+  outDir: string;
+}
+
+/**
+ * A file from a multipart upload, streamed to a temp file
+ */
+export interface UploadedFile {
+  field: string;
+  /** Client-side file name (basename only) */
+  name: string;
+  type: string;
+  size: number;
+  /** Temp file path; move it to keep the file past the request */
+  path: string;
+}
+
+/**
+ * Multipart upload limits
+ */
+export interface UploadConfig {
+  maxFileSize: number;
+  maxFiles: number;
+  maxFieldSize: number;
+  maxFields: number;
+  maxTotalSize: number;
+  /**
+   * Where uploads are written (default: os.tmpdir())
+   */
+  tmpDir: string | null;
+}
+
+/**
+ * Input sanitization policy; also accepted per route as `export const sanitize`
+ */
+export interface SanitizeConfig {
+  /**
+   * 'reject' answers 400 on HTML markup, 'escape' HTML-encodes, 'strip'
+   * removes angle brackets, or a function that returns the value or throws
+   */
+  sanitizer: 'reject' | 'escape' | 'strip' | 'none' | ((value: string, field: string) => string);
+
+  /**
+   * Field paths left untouched, e.g. 'body.content' or 'body.items.*.html'
+   */
+  allow: string[];
+
+  maxKeyLength: number;
+  maxStringLength: number | null;
+}
+
+/**
+ * Request body parser; throwing answers 400
+ */
+export type BodyParser = (body: Buffer, info: { type: string; charset: BufferEncoding }) => any;
+
+/**
+ * Response serializer used by res.json()/res.send() when the client's
+ * Accept header selects its media type
+ */
+export type BodySerializer = (data: any) => string | Buffer;
+
+/**
+ * Per-route settings exported as `export const config`
+ * Merged over the plugin options for that route; `false` turns rate
+ * limiting, caching or CORS headers off.
+ */
+export interface RouteConfig {
+  /**
+   * Largest accepted body, in bytes or as '500kb' / '5mb'
+   */
+  bodyParser?: { sizeLimit?: number | string };
+
+  /**
+   * Next.js style, same as `bodyParser`
+   */
+  api?: { bodyParser?: { sizeLimit?: number | string } };
+
+  /**
+   * Request timeout in ms (0 to disable)
+   */
+  timeout?: number;
+
+  /**
+   * Limits counted separately from the global rate limit
+   */
+  rateLimit?: Partial<RateLimitConfig> | false;
+
+  /**
+   * Response cache TTL (seconds) and headers the cache key varies by
+   */
+  cache?: { ttl?: number; varyBy?: string[] } | false;
+
+  cors?: Partial<CorsConfig> | false;
+  csrf?: boolean;
+
+  /**
+   * Merged over `security.headers`; CSP directives are merged one by one
+   */
+  securityHeaders?: SecurityHeadersConfig | false;
+  sanitize?: Partial<SanitizeConfig> | false;
+  runtime?: 'nodejs' | 'edge';
+}
+
+/**
+ * WebSocket route options
+ */
+export interface WebSocketConfig {
+  /**
+   * Largest accepted message in bytes (default: 1MB)
+   */
+  maxPayload: number;
+
+  /**
+   * Ping interval in ms; connections that miss a pong are dropped (0 to disable)
+   */
+  heartbeat: number;
+}
+
+/**
+ * Route schema validation
+ */
+export interface ValidationConfig {
+  /**
+   * Check responses against `schema.response` (development only)
+   */
+  responses: boolean;
+}
+
+/**
+ * Standalone production server options
+ */
+export interface ApiServerOptions extends Omit<ApiRoutesOptions, 'apiDir' | 'serverBuild'> {
+  /**
+   * Directory containing manifest.json (default: build/api)
+   */
+  dir?: string;
+
+  /**
+   * Runtime mode; 'development' includes error details in responses
+   */
+  mode?: 'development' | 'production';
+}
+
 /**
  * Plugin options
  */
@@ -226,10 +681,29 @@ export interface ApiRoutesOptions {
   apiPrefix?: string;
   cors?: Partial<CorsConfig>;
   rateLimit?: Partial<RateLimitConfig>;
+  /**
+   * Reverse proxies whose Forwarded / X-Forwarded-* headers are believed:
+   * true for all, the number of hops in front of the server, or CIDR ranges
+   * ('loopback', 'linklocal' and 'uniquelocal' included). Default: false
+   */
+  trustProxy?: boolean | number | string | string[];
   security?: Partial<SecurityConfig>;
   https?: Partial<HttpsConfig>;
   errorTracking?: Partial<ErrorTrackingConfig>;
   auth?: AuthMiddleware | null;
+  serverBuild?: Partial<ServerBuildConfig>;
+  validation?: Partial<ValidationConfig>;
+  uploads?: Partial<UploadConfig>;
+  websocket?: Partial<WebSocketConfig>;
+  sanitize?: Partial<SanitizeConfig> | false;
+  /**
+   * Extra body parsers by media type (false removes a built-in)
+   */
+  parsers?: Record<string, BodyParser | false>;
+  /**
+   * Extra response serializers by media type (false removes a built-in)
+   */
+  serializers?: Record<string, BodySerializer | false>;
 }
 
 /**
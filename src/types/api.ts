@@ -5,7 +5,11 @@ export interface ApiRequest extends Request {
   ip: string;
   user?: User;
   cookies: Record<string, string>;
+  params: RouteParams;
+  locals: Record<string, any>;
+  rawBody: Buffer | null;
   getCsrfToken(): string;
+  cspNonce: string | null;
 }
 
 // User interface for authentication
@@ -59,14 +63,19 @@ export interface PaginatedResponse<T> {
   };
 }
 
+// Second argument passed to App Router style handlers (Next.js compatible)
+export interface RouteContext<P extends RouteParams = RouteParams> {
+  params: P;
+}
+
 // HTTP Method handler types
-export type GetHandler = (request: ApiRequest) => Promise<Response>;
-export type PostHandler = (request: ApiRequest) => Promise<Response>;
-export type PutHandler = (request: ApiRequest) => Promise<Response>;
-export type PatchHandler = (request: ApiRequest) => Promise<Response>;
-export type DeleteHandler = (request: ApiRequest) => Promise<Response>;
-export type HeadHandler = (request: ApiRequest) => Promise<Response>;
-export type OptionsHandler = (request: ApiRequest) => Promise<Response>;
+export type GetHandler = (request: ApiRequest, context: RouteContext) => Promise<Response>;
+export type PostHandler = (request: ApiRequest, context: RouteContext) => Promise<Response>;
+export type PutHandler = (request: ApiRequest, context: RouteContext) => Promise<Response>;
+export type PatchHandler = (request: ApiRequest, context: RouteContext) => Promise<Response>;
+export type DeleteHandler = (request: ApiRequest, context: RouteContext) => Promise<Response>;
+export type HeadHandler = (request: ApiRequest, context: RouteContext) => Promise<Response>;
+export type OptionsHandler = (request: ApiRequest, context: RouteContext) => Promise<Response>;
 
 // Generic API handler type
 export type ApiHandler = 
@@ -78,9 +87,17 @@ export type ApiHandler =
   | HeadHandler 
   | OptionsHandler;
 
-// Route parameter extraction helper
+// Directory middleware (_middleware.ts): return a Response to short-circuit,
+// or await next() to post-process the downstream response
+export type NextMiddleware = () => Promise<Response | null>;
+export type ApiMiddleware = (
+  request: ApiRequest,
+  next: NextMiddleware
+) => Response | void | Promise<Response | void>;
+
+// Route parameter extraction helper (catch-all segments are arrays)
 export interface RouteParams {
-  [key: string]: string;
+  [key: string]: string | string[];
 }
 
 // Query parameter helper
@@ -106,26 +123,174 @@ export interface ValidationError {
   value?: any;
 }
 
+// Route contract: `export const schema = { body, query, params, response }`
+// Zod-style schemas (anything with safeParse) or JSON Schema objects
+export interface SafeParseSchema {
+  safeParse(value: unknown): {
+    success: boolean;
+    error?: { issues: Array<{ path: (string | number)[]; message: string }> };
+  };
+}
+
+export type JsonSchema = Record<string, any>;
+export type Schema = SafeParseSchema | JsonSchema;
+
+export interface RouteSchema {
+  body?: Schema;
+  query?: Schema;
+  params?: Schema;
+  response?: Schema | Record<number, Schema>;
+}
+
+// Either one contract for the file or one per HTTP method
+export type RouteSchemaExport =
+  | RouteSchema
+  | Partial<Record<'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE' | 'HEAD' | 'OPTIONS', RouteSchema>>;
+
+// 400 body sent when a request fails its schema
+export interface ValidationErrorResponse {
+  error: 'Validation failed';
+  errors: ValidationError[];
+}
+
 // API configuration types
 export interface CorsConfig {
-  origin: string | string[] | '*';
+  origin: string | string[] | '*' | ((origin: string) => string | boolean);
   methods: string[];
   credentials: boolean;
   maxAge: number;
+  allowedHeaders?: string[] | null;
+  exposedHeaders?: string[];
 }
 
 export interface RateLimitConfig {
   windowMs: number;
   max: number;
+  algorithm?: 'sliding-window' | 'token-bucket';
+  burst?: number;
+  // 'user' limits are checked after the auth hook
+  key?: 'ip' | 'user' | 'apiKey' | ((req: any, context: { ip: string }) => string | null);
+  type?: 'memory' | 'redis';
+  redis?: any;
+  keyPrefix?: string;
+  store?: RateLimitStore;
+  rules?: RateLimitRule[];
+}
+
+// Extra limit by path/method; `plans` overrides by the user's plan
+export interface RateLimitRule extends Partial<Omit<RateLimitConfig, 'rules' | 'store' | 'type' | 'redis' | 'keyPrefix'>> {
+  name?: string;
+  path: string | RegExp;
+  methods?: string[];
+  plans?: Record<string, Partial<Pick<RateLimitConfig, 'windowMs' | 'max' | 'burst' | 'algorithm'>>>;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  resetTime: number;
+}
+
+// Shared counters for rate limiting (memory, Redis or custom)
+export interface RateLimitStore {
+  consume(key: string, rule: RateLimitConfig): Promise<RateLimitResult>;
+  reset?(key: string): Promise<void>;
+  close?(): Promise<void>;
+}
+
+// Stateless double-submit CSRF tokens (see src/lib/csrf.js)
+export interface CsrfConfig {
+  secret?: string;
+  cookieName?: string;
+  headerName?: string;
+  sessionCookie?: string;
+  identify?: (req: any) => string | null | undefined;
+  maxAge?: number;
+  trustedOrigins?: string[];
+  requireToken?: boolean | 'cookies';
+  tokenPath?: string | false;
+}
+
+// Security response headers (see src/lib/security-headers.js)
+export interface SecurityHeadersConfig {
+  contentSecurityPolicy?: {
+    directives?: Record<string, string | string[] | boolean | null>;
+    reportOnly?: boolean;
+    reportPath?: string | null;
+    onReport?: ((report: { type: string; body: Record<string, any> }, req: any) => void | Promise<void>) | null;
+  } | false;
+  crossOriginOpenerPolicy?: string | false;
+  crossOriginEmbedderPolicy?: string | false;
+  crossOriginResourcePolicy?: string | false;
+  strictTransportSecurity?: { maxAge?: number; includeSubDomains?: boolean; preload?: boolean } | string | false;
+  frameOptions?: string | false;
+  noSniff?: boolean;
+  referrerPolicy?: string | false;
+  permissionsPolicy?: Record<string, string[]> | string | false;
+  xssProtection?: string | false;
 }
 
 export interface SecurityConfig {
   enableCsrf: boolean;
+  csrf?: CsrfConfig;
   enableHelmet: boolean;
+  headers?: SecurityHeadersConfig;
   maxBodySize: number;
   allowedMethods: string[];
 }
 
+// Multipart limits; files are streamed to temp files under tmpDir
+export interface UploadConfig {
+  maxFileSize: number;
+  maxFiles: number;
+  maxFieldSize: number;
+  maxFields: number;
+  maxTotalSize: number;
+  tmpDir?: string | null;
+}
+
+// req.files entry for Next.js style handlers
+export interface UploadedFile {
+  field: string;
+  name: string;
+  type: string;
+  size: number;
+  path: string;
+}
+
+// Input sanitization; the default rejects HTML markup with a 400
+export interface SanitizeConfig {
+  sanitizer: 'reject' | 'escape' | 'strip' | 'none' | ((value: string, field: string) => string);
+  allow: string[];
+  maxKeyLength: number;
+  maxStringLength: number | null;
+}
+
+// Body parser registry entries; a parser throws on malformed input (400)
+export type BodyParser = (body: Buffer, info: { type: string; charset: BufferEncoding }) => any;
+export type BodySerializer = (data: any) => string | Buffer;
+
+// `export const config` in a route file; false turns a section off
+export interface RouteConfig {
+  bodyParser?: { sizeLimit?: number | string };
+  api?: { bodyParser?: { sizeLimit?: number | string } };
+  timeout?: number;
+  rateLimit?: Partial<RateLimitConfig> | false;
+  cache?: { ttl?: number; varyBy?: string[] } | false;
+  cors?: Partial<CorsConfig> | false;
+  csrf?: boolean;
+  securityHeaders?: SecurityHeadersConfig | false;
+  sanitize?: Partial<SanitizeConfig> | false;
+  runtime?: 'nodejs' | 'edge';
+}
+
+// WebSocket routes: message size limit and ping interval (ms, 0 disables)
+export interface WebSocketConfig {
+  maxPayload: number;
+  heartbeat: number;
+}
+
 export interface HttpsConfig {
   enabled: boolean;
   key?: Buffer | string;
@@ -140,8 +305,17 @@ export interface ErrorTrackingConfig {
   beforeSend?: (event: any, hint?: any) => any;
 }
 
+// res-like object given to the auth hook (a recorder for App Router handlers)
+export interface AuthResponse {
+  status(code: number): AuthResponse;
+  json(data: any): AuthResponse;
+  send(data: any): AuthResponse;
+  setHeader(name: string, value: string): AuthResponse;
+}
+
+// Runs for both handler styles; false denies with 401 (403 once request.user is set)
 export interface AuthMiddleware {
-  (request: ApiRequest, response: Response): Promise<boolean>;
+  (request: ApiRequest, response: AuthResponse): Promise<boolean | Response>;
 }
 
 export interface PluginConfig {
@@ -149,10 +323,19 @@ export interface PluginConfig {
   apiPrefix?: string;
   cors?: CorsConfig;
   rateLimit?: RateLimitConfig;
+  trustProxy?: boolean | number | string | string[];
   security?: SecurityConfig;
   https?: HttpsConfig;
   errorTracking?: ErrorTrackingConfig;
   auth?: AuthMiddleware;
+  validation?: {
+    responses?: boolean;
+  };
+  uploads?: Partial<UploadConfig>;
+  websocket?: Partial<WebSocketConfig>;
+  sanitize?: Partial<SanitizeConfig> | false;
+  parsers?: Record<string, BodyParser | false>;
+  serializers?: Record<string, BodySerializer | false>;
 }
 
 // Utility types for response creation
@@ -155,6 +155,9 @@ export class EncryptionManager {
       this.rotationTimer = setInterval(() => {
         this.rotateKeys();
       }, rotationMs);
+
+      // Don't keep the process alive just for key rotation
+      this.rotationTimer.unref?.();
     }
   }
 